@@ -5,21 +5,58 @@ import dgram from 'dgram';
 import { fileURLToPath } from 'url'; 
 import { dirname, join, basename } from 'path'; 
 import fs from 'fs';
+import process from 'process';
 import serverState from './state.js';
+import { CommandDispatcher, resultStatusCode, getCommandProfile, redactCommand } from './server/commandDispatcher.js';
+import { TelemetryListener } from './server/telemetry.js';
+import { RcController } from './server/rcController.js';
+import { parseMission, MissionValidationError } from './server/missionParser.js';
+import { MissionRunner } from './server/missionRunner.js';
+import { FlightLogger, listFlightLogs, readFlightLog, isValidLogName } from './server/flightLog.js';
+import { FlightReplay } from './server/flightReplay.js';
+import { createHttpError } from './server/httpError.js';
+import { MediaLibrary, isMediaType } from './server/media.js';
+import { processRecording } from './server/recordingMetadata.js';
+import { loadConfig, getClientConfig, ConfigError } from './server/config.js';
+import { buildStreamArgs, buildRecordingArgs } from './server/videoPipeline.js';
+import { Fleet } from './server/fleet.js';
+import { Swarm, PRIMARY_ID } from './server/swarm.js';
+import { buildApCommand, scanSubnet } from './server/provisioning.js';
+import { Geofence } from './server/geofence.js';
+import { Failsafe } from './server/failsafe.js';
+import { WebRtcRelay } from './server/webrtc.js';
+import { VideoProfiles, parseViewerOptions } from './server/videoProfiles.js';
+import { LiveOutput } from './server/liveOutput.js';
+import { Restreamer } from './server/restream.js';
+import { validateCommand } from './shared/telloCommands.js';
+import { checkManeuver, explainManeuverError } from './server/maneuvers.js';
+import { timingSafeEqual } from 'crypto';
+import { Buffer } from 'buffer';
 
 const __filename = fileURLToPath(import.meta.url); // to get the whole path of the file
 const __dirname = dirname(__filename); // to get the directory name of the file
 
 
 
+// Load defaults, config file, env vars and CLI flags; refuse to start on invalid settings
+let config;
+try {
+    config = loadConfig({ defaultFile: join(__dirname, 'config.json') });
+} catch (error) {
+    console.error(error instanceof ConfigError ? error.message : `Failed to load configuration: ${error.message}`);
+    process.exit(1);
+}
+
 // Create separate folders for different media types if they don't exist
 const createMediaFolders = () => {
     try {
         const uploadsDir = join(__dirname, 'uploads'); //create a folder called uploads in the same directory as the file
         const photosDir = join(uploadsDir, 'photos'); //create a folder called photos in the uploads folder
         const mp4Dir = join(uploadsDir, 'mp4_recordings'); //create a folder called mp4_recordings in the uploads folder
+        const logsDir = join(uploadsDir, 'flight_logs'); //create a folder called flight_logs in the uploads folder
+        const fleetDir = join(uploadsDir, 'drones'); //one folder per fleet drone, created when it joins
 
-        [uploadsDir, photosDir, mp4Dir].forEach(dir => {
+        [uploadsDir, photosDir, mp4Dir, logsDir, fleetDir].forEach(dir => {
             if (!fs.existsSync(dir)) {
                 fs.mkdirSync(dir, { recursive: true, mode: 0o755 }); //create the folder if it doesn't exist
             }
@@ -29,7 +66,7 @@ const createMediaFolders = () => {
         fs.writeFileSync(testFile, '');
         fs.unlinkSync(testFile);
 
-        return { uploadsDir, photosDir, mp4Dir }; // return the folders
+        return { uploadsDir, photosDir, mp4Dir, logsDir, fleetDir }; // return the folders
     } catch (error) {
         console.error('Error creating media folders:', error);
         throw error;
@@ -37,9 +74,9 @@ const createMediaFolders = () => {
 };
 
 // Initialize folders with error handling with global access
-let photosDir, mp4Dir;
+let uploadsDir, photosDir, mp4Dir, logsDir, fleetDir;
 try {
-    ({ photosDir, mp4Dir } = createMediaFolders());
+    ({ uploadsDir, photosDir, mp4Dir, logsDir, fleetDir } = createMediaFolders());
 } catch (error) {
     console.error('Failed to create or verify media folders:', error);
     process.exit(1);
@@ -47,21 +84,112 @@ try {
 
 // Initialize Express app
 const app = express();
-const port = 3000; // express port to serve static files
-const streamPort = 3001; // websocket port
+const port = config.server.port; // express port to serve static files
+const streamPort = config.server.streamPort; // websocket port
 
 // Configure middleware
 app.use(express.json()); // parse json bodies in the request
 app.use(express.urlencoded({ extended: true })); // parse urlencoded bodies in the request
 
 // Tello drone configuration
-const TELLO_IP = '192.168.10.1'; // drone ip address
-const TELLO_PORT = 8889; // drone port
-const TELLO_VIDEO_PORT = 11111; // drone video port
+const TELLO_IP = config.drone.ip; // drone ip address, set TELLO_IP=127.0.0.1 to fly the simulator
+const TELLO_PORT = config.drone.commandPort; // drone port
+const TELLO_VIDEO_PORT = config.drone.videoPort; // drone video port
+const TELLO_STATE_PORT = config.drone.statePort; // drone pushes its state string here
+const RC_RATE_HZ = config.control.rcRateHz; // how often stick positions are sent in stick mode
+const STATE_STREAM_RATE_HZ = config.server.stateStreamRateHz; // SSE state updates per second
 
 // Create UDP client for drone commands
 const droneClient = dgram.createSocket('udp4');
 
+// Every outgoing command is checked against the fence first, whether it comes from a route, a mission or a swarm
+const geofence = new Geofence({ safety: config.safety });
+
+// All commands go through the dispatcher so every reply is matched to the command that caused it
+const commandDispatcher = new CommandDispatcher({
+    socket: droneClient,
+    host: TELLO_IP,
+    port: TELLO_PORT,
+    guard: (command, options) => geofence.guard(command, options)
+});
+
+// Every connected session is written to uploads/flight_logs as NDJSON
+const flightLogger = new FlightLogger({ logsDir });
+
+commandDispatcher.on('sent', ({ command }) => flightLogger.logCommand(command));
+commandDispatcher.on('result', (result) => flightLogger.logResult(result));
+commandDispatcher.on('unsolicited', (response) => flightLogger.logResult({ command: null, status: 'unsolicited', response }));
+commandDispatcher.on('result', (result) => geofence.handleResult(result));
+
+// Rejections, clamps and overrides end up in the console, the flight log and on the state stream
+geofence.on('violation', (violation) => {
+    console.warn(`Geofence ${violation.action}: ${violation.command} ${violation.reason}`);
+    flightLogger.write('geofence', violation);
+    serverState.broadcastSSEEvent('geofence', violation);
+});
+
+// Lands (or hovers) the drone on low battery, when the pilot is gone or when the drone stops answering
+const failsafe = new Failsafe({
+    settings: config.failsafe,
+    actions: {
+        // A running mission lands through its own abort, so it doesn't fly its next step afterwards
+        land: async () => {
+            if (missionRunner.isActive()) {
+                missionRunner.abort();
+                return;
+            }
+            if (isPrimaryInSwarmMission()) {
+                swarm.missionRunner.abort();
+                return;
+            }
+            rcController.center();
+            await commandDispatcher.send('land');
+        },
+        hover: async () => {
+            rcController.center();
+            await commandDispatcher.send('stop');
+        }
+    },
+    isFlying: () => geofence.flying,
+    isAutonomous: () => missionRunner.isActive() || isPrimaryInSwarmMission()
+});
+
+commandDispatcher.on('result', (result) => failsafe.handleResult(result));
+
+// Each failsafe is its own SSE event type so the UI can tell a warning from an automatic landing
+failsafe.on('event', (event) => {
+    console.warn(`Failsafe ${event.type}: ${event.message}`);
+    flightLogger.write('failsafe', event);
+    serverState.broadcastSSEEvent(event.type, event);
+});
+
+failsafe.start();
+
+// Plays recorded logs back through the state stream
+const flightReplay = new FlightReplay();
+
+// Repeats the latest stick positions to the drone at ~20 Hz while stick mode is in use
+const rcController = new RcController({
+    dispatcher: commandDispatcher,
+    rateHz: RC_RATE_HZ
+});
+
+// Listen for the state packets the drone pushes ~10 times a second
+const telemetryListener = new TelemetryListener({ port: TELLO_STATE_PORT });
+
+telemetryListener.on('state', (state) => {
+    serverState.updateDroneStateFields(state);
+    flightLogger.logState(state);
+    geofence.updateTelemetry(state);
+    failsafe.updateTelemetry(state);
+});
+
+telemetryListener.on('error', (error) => {
+    console.error('Telemetry listener error:', error.message);
+});
+
+telemetryListener.start();
+
 // Create WebSocket server
 const wss = new WebSocketServer({ 
     port: streamPort,
@@ -77,19 +205,63 @@ wss.on('error', (error) => {
     console.error('WebSocket server error:', error.message);
 });
 
-wss.on('connection', (ws) => {
+// WebRTC viewers get the drone's original H.264 from the same FFmpeg process, see server/webrtc.js
+const webrtcRelay = new WebRtcRelay({ name: 'primary', rtpPort: config.webrtc.rtpPort, settings: config.webrtc });
+webrtcRelay.start();
+
+// WebSocket viewers get the quality profile they ask for, see server/videoProfiles.js
+const videoProfiles = new VideoProfiles({
+    name: 'primary',
+    video: config.video,
+    defaultProfile: config.video.defaultProfile,
+    adaptive: config.video.adaptive
+});
+videoProfiles.on('profile', (event) => serverState.broadcastSSEEvent('video-profile', event));
+
+// Ordinary players watch the rolling HLS/DASH window under /live, see server/liveOutput.js
+const liveOutput = new LiveOutput({
+    name: 'primary',
+    dir: join(uploadsDir, 'live'),
+    baseUrl: '/live',
+    settings: config.live
+});
+serverState.setLiveOutput(liveOutput);
+
+// Pushes to an RTMP/SRT endpoint, reported as 'restream' events on the state stream, see server/restream.js
+const restreamer = new Restreamer({ name: 'primary', isStreaming: () => serverState.isVideoStreamActive() });
+restreamer.on('status', (status) => serverState.broadcastSSEEvent('restream', status));
+
+wss.on('connection', (ws, req) => {
+    // ws://host:streamPort/drones/<ip> subscribes to one fleet drone, the bare URL to the primary drone.
+    // Either takes ?profile=<low|medium|high|original>&viewer=<id>.
+    const viewerOptions = { ...parseViewerOptions(req.url), address: req.socket.remoteAddress };
+    const fleetMatch = req.url?.match(/^\/drones\/([^/?]+)/);
+    if (fleetMatch) {
+        const session = fleet.get(decodeURIComponent(fleetMatch[1]));
+        if (!session) {
+            ws.close(1008, 'Unknown drone');
+            return;
+        }
+        session.addVideoClient(ws, viewerOptions);
+        return;
+    }
+
     try {
         const clientId = serverState.addClient(ws);
-        console.log(`New client ${clientId} connected (Total: ${serverState.websocket.clients.size})`);
+        const profile = videoProfiles.addClient(ws, { ...viewerOptions, id: clientId });
+        console.log(`New client ${clientId} connected with profile ${profile} (Total: ${serverState.websocket.clients.size})`);
 
         ws.on('close', () => {
             serverState.removeClient(ws);
+            videoProfiles.removeClient(ws);
             console.log(`Client ${clientId} disconnected (Remaining: ${serverState.websocket.clients.size})`);
         });
 
         ws.on('error', (error) => {
             console.error(`Client ${clientId} error:`, error.message);
             serverState.removeClient(ws);
+            videoProfiles.removeClient(ws);
+            ws.terminate(); // a broken socket must not linger half-open
         });
     } catch (error) {
         console.error('WebSocket connection error:', error.message);
@@ -97,15 +269,26 @@ wss.on('connection', (ws) => {
     }
 });
 
-// Simplified monitoring - check battery, speed and time every 10 seconds
+// Simplified monitoring - poll battery and time every 10 seconds, in case the state port is not reaching us
 function startDroneMonitoring() {
     if (serverState.drone.monitoringInterval) {
         return;
     }
     
-    const interval = setInterval(() => {
-        droneClient.send('battery?', 0, 8, TELLO_PORT, TELLO_IP);
-        droneClient.send('time?', 0, 5, TELLO_PORT, TELLO_IP);
+    const interval = setInterval(async () => {
+        try {
+            const battery = await commandDispatcher.send('battery?');
+            if (battery.status === 'value') {
+                serverState.updateDroneState('battery', battery.value);
+            }
+
+            const time = await commandDispatcher.send('time?');
+            if (time.status === 'value') {
+                serverState.updateDroneState('time', time.value);
+            }
+        } catch (error) {
+            console.error('Error polling drone state:', error);
+        }
     }, 10000);
 
     serverState.setMonitoringInterval(interval);
@@ -118,8 +301,36 @@ function stopDroneMonitoring() {
     }
 }
 
-// Add SSE endpoint for drone state updates
-app.get('/drone-state-stream', (req, res) => { // Each client gets their own 'res' object
+// Push drone state to SSE clients at a fixed rate instead of once per telemetry packet
+function startStateBroadcast() {
+    if (serverState.drone.stateBroadcast.interval) {
+        return;
+    }
+
+    const interval = setInterval(() => {
+        // A replay owns the stream while it plays, live state resumes afterwards
+        if (flightReplay.isActive()) {
+            return;
+        }
+
+        if (serverState.takePendingStateUpdate()) {
+            serverState.broadcastSSEUpdate(serverState.getDroneState());
+        }
+    }, 1000 / STATE_STREAM_RATE_HZ);
+
+    serverState.setStateBroadcastInterval(interval);
+}
+
+startStateBroadcast();
+
+// Settings the frontend needs: ports to connect to and the size of the video it will receive
+app.get('/config', (req, res) => {
+    res.json(getClientConfig(config));
+});
+
+// Set up an SSE response and return the function that writes to THIS CLIENT'S 'res' object
+// Named events (mission progress, ...) get an 'event:' line, plain state updates stay unnamed
+const openEventStream = (res) => {
     // Set headers for SSE
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
@@ -128,16 +339,27 @@ app.get('/drone-state-stream', (req, res) => { // Each client gets their own 're
     // Then flush them immediately to establish the SSE connection
     res.flushHeaders();
 
-    // Send initial state whoever is connected to the SSE endpoint will receive the initial state
-    const initialState = serverState.getDroneState();
-    res.write(`data: ${JSON.stringify(initialState)}\n\n`); // The double newline (\n\n) is crucial - it marks the end of an SSE message
-
-    // This function is created in the scope where it has access to THIS CLIENT'S 'res' object
-    const sendUpdate = (state) => {
+    return (state, event = null) => {
         if (!res.writableEnded) {
-            res.write(`data: ${JSON.stringify(state)}\n\n`);
+            if (event) {
+                res.write(`event: ${event}\n`);
+            }
+            res.write(`data: ${JSON.stringify(state)}\n\n`); // The double newline (\n\n) is crucial - it marks the end of an SSE message
         }
     };
+};
+
+// Add SSE endpoint for drone state updates
+app.get('/drone-state-stream', (req, res) => { // Each client gets their own 'res' object
+    const sendUpdate = openEventStream(res);
+
+    // Send initial state whoever is connected to the SSE endpoint will receive the initial state
+    sendUpdate(serverState.getDroneState());
+
+    // Late joiners still see a mission that is already under way
+    if (missionRunner.getStatus().status !== 'idle') {
+        sendUpdate(missionRunner.getStatus(), 'mission');
+    }
 
     // Store the client's send function
     const clientId = Date.now();
@@ -149,101 +371,139 @@ app.get('/drone-state-stream', (req, res) => { // Each client gets their own 're
     });
 });
 
-// Update the message handler to store state
-droneClient.on('message', (msg) => {
-    try {
-        const response = msg.toString().trim();
-        
-        // Update state based on response
-        if (!isNaN(response)) { // is a Number
-            serverState.updateDroneState('battery', parseInt(response));
-        } else if (response.includes('cm/s')) {
-            serverState.updateDroneState('speed', response);
-        } else if (response.includes('s')) {
-            serverState.updateDroneState('time', response);
-        }
-        
-        // Send update to all SSE clients
-        const state = serverState.getDroneState();
-        serverState.broadcastSSEUpdate(state);
-        
-        console.log('Drone response:', response);
-    } catch (error) {
-        console.error('Error processing drone response:', error);
+// Stick mode: the browser posts the four rc axes (-100..100) whenever they change
+app.post('/drone/rc', (req, res) => {
+    const { a, b, c, d } = req.body ?? {};
+
+    if (![a, b, c, d].every(value => Number.isFinite(Number(value)))) {
+        return res.status(400).json({ error: 'rc expects numeric a, b, c and d between -100 and 100' });
     }
+
+    failsafe.noteInput();
+    const sticks = rcController.setSticks({ a, b, c, d });
+    res.json({ status: 'ok', sticks });
+});
+
+// The control UI posts this while it is open, so a pilot who is hovering without touching anything is not
+// taken for a lost link
+app.post('/drone/heartbeat', (req, res) => {
+    failsafe.noteInput();
+    res.json({ status: 'ok' });
 });
 
+// Send a command to the primary drone along with its side effects on the server (used by the route and by swarms)
+async function sendDroneCommand(command, options = {}) {
+    // Discrete landing commands must not be fought by sticks still held over from stick mode
+    if (command === 'land' || command === 'emergency') {
+        rcController.center();
+    }
+
+    failsafe.noteInput();
+    checkManeuver(command, serverState.getDroneState());
+    const result = await commandDispatcher.send(command, options);
+    if (result.status === 'error') {
+        return { ...result, reason: explainManeuverError(command, result.reason, serverState.getDroneState()) };
+    }
+    if (result.status !== 'ok') {
+        return result;
+    }
+
+    if (command === 'command') {
+        serverState.setDroneConnection(true);
+        startDroneMonitoring();
+        flightLogger.start();
+        return result;
+    }
+
+    serverState.setLastCommand(redactCommand(command));
+
+    // Start FFmpeg if not already running
+    if (command === 'streamon') {
+        if (!serverState.getVideoStreamProcess()) {
+            startFFmpeg();
+        } else if (!liveOutput.isActive()) {
+            liveOutput.start(); // stopped by an earlier streamoff
+        }
+        serverState.setVideoStreamActive(true);
+    }
+
+    // The stream process idles without video, but the live window must not keep advertising a finished flight
+    // and a push without video would only time out at the endpoint
+    if (command === 'streamoff') {
+        serverState.setVideoStreamActive(false);
+        liveOutput.stop();
+        restreamer.close();
+    }
+    return result;
+}
+
+// Route body for a dispatcher result, with a readable error for anything that did not succeed.
+// Geofence rejections already explain themselves.
+const describeCommandResult = (command, result) => {
+    if (resultStatusCode(result) === 200) return result;
+    return {
+        ...result,
+        error: result.status === 'rejected' ? result.reason : `'${command}' failed: ${result.reason}`
+    };
+};
+
+// Admins bypass the geofence by sending the configured token as X-Safety-Override. Throws on a bad token,
+// so a failed override attempt never silently turns into a normal (fenced) command.
+const isSafetyOverride = (req) => {
+    const token = req.get('X-Safety-Override');
+    if (token === undefined) return false;
+
+    if (!config.safety.overrideToken) {
+        throw createHttpError(403, 'Safety overrides are disabled, set safety.overrideToken to enable them');
+    }
+    const given = Buffer.from(token);
+    const expected = Buffer.from(config.safety.overrideToken);
+    if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+        throw createHttpError(403, 'Invalid safety override token');
+    }
+    return true;
+};
+
+// 400 body for a command that does not match the SDK schema, e.g.
+// { error: 'forward: distance must be an integer from 20 to 500 cm, got 600', code: 'OUT_OF_RANGE', usage, argument }
+const describeInvalidCommand = ({ message, ...details }) => ({ error: message, ...details });
+
+// ap/wifi carry Wi-Fi credentials, which do not belong in URLs (proxy and browser history keep those)
+const CREDENTIALS_IN_URL = 'Wi-Fi credentials cannot be sent in the URL, use POST /provisioning/ap';
+// ...nor to a whole group, whose results are returned and logged per drone
+const CREDENTIALS_TO_GROUP = 'Wi-Fi credentials cannot be sent to a group, use POST /provisioning/ap for each drone';
 
 // Add route for drone commands
 app.get('/drone/:command', async (req, res) => {
     try {
-        const command = req.params.command;
-        
+        if (getCommandProfile(req.params.command).sensitive) {
+            return res.status(400).json({ error: CREDENTIALS_IN_URL });
+        }
+        const { command, error } = validateCommand(req.params.command);
+        if (error) {
+            return res.status(400).json(describeInvalidCommand(error));
+        }
+
+        const result = await sendDroneCommand(command, { override: isSafetyOverride(req) });
+
         if (command === 'command') {
-            try {
-                droneClient.send('command', 0, 7, TELLO_PORT, TELLO_IP, (err) => {
-                    if (err) throw err;
-                    droneClient.once('message', (msg) => {
-                        const response = msg.toString().trim();
-                        startDroneMonitoring();
-                        res.json({ status: response === 'ok' ? 'connected' : 'failed', response });
-                    });
-                });
-            } catch (error) {
-                res.json({ status: 'failed', response: error.message });
-            }
-        } else if (command === 'streamon') {
-            droneClient.send(command, 0, command.length, TELLO_PORT, TELLO_IP, (err) => {
-                if (err) { // if there is an error sending the command
-                    return res.status(500).json({ error: err.message });
-                }
-                
-                try {
-                    droneClient.once('message', (msg) => {
-                        const response = msg.toString().trim();
-                        if (response === 'ok') {
-                            // Start FFmpeg if not already running
-                            if (!serverState.getVideoStreamProcess()) {
-                                startFFmpeg();
-                            }
-                            serverState.setLastCommand(command);
-                            serverState.setVideoStreamActive(true);
-                            res.json({ status: 'ok', response });
-                        }
-                    });
-                } catch (error) {
-                    return res.status(500).json({ error: 'Error starting video stream' });
-                }
-            });
-        } else if (command === 'streamoff') {
-            droneClient.send(command, 0, command.length, TELLO_PORT, TELLO_IP, (err) => {
-                if (err) {
-                    return res.status(500).json({ error: err.message });
-                }
-                droneClient.once('message', (msg) => {
-                    const response = msg.toString().trim();
-                    serverState.setLastCommand(command);
-                    res.json({ status: 'ok', response });
-                });
-            });
-        } else {
-            // Send other commands normally
-            droneClient.send(command, 0, command.length, TELLO_PORT, TELLO_IP, (err) => {
-                if (err) {
-                    return res.status(500).json({ error: err.message });
-                }
-                droneClient.once('message', (msg) => {
-                    const response = msg.toString().trim();
-                    serverState.setLastCommand(command);
-                    res.json({ status: 'ok', response });
-                });
+            return res.json({
+                status: result.status === 'ok' ? 'connected' : 'failed',
+                response: result.response ?? result.reason
             });
         }
+
+        res.status(resultStatusCode(result)).json(describeCommandResult(command, result));
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.statusCode ?? 500).json({ error: error.message });
     }
 });
 
+// Fence limits, the estimated position and the recorded violations
+app.get('/safety', (req, res) => {
+    res.json(geofence.getStatus());
+});
+
 // Add shutdown endpoint
 app.post('/drone/shutdown', async (req, res) => {
     try {
@@ -268,45 +528,17 @@ function startFFmpeg() {
         return;
     }
 
-    const ffmpeg = spawn('ffmpeg', [
-        '-hide_banner',           // Hide FFmpeg compilation info
-        '-loglevel', 'error',     // Only show errors in logs
-        '-y',                     // Force overwrite output files
-
-        // Input configuration
-        '-fflags', '+genpts',     // Generate presentation timestamps
-        '-i', `udp://0.0.0.0:${TELLO_VIDEO_PORT}?overrun_nonfatal=1&fifo_size=50000000`,
-
-        // First output: MPEG1 video for JSMpeg streaming
-        '-map', '0:v:0',         // Map video stream
-        '-c:v', 'mpeg1video',    // Use MPEG1 video codec (works well with JSMpeg)
-        '-b:v', '2000k',         // Increased base bitrate to 2 Mbps
-        '-maxrate', '4000k',     // Increased max bitrate to 4 Mbps
-        '-bufsize', '8000k',     // Doubled buffer size relative to maxrate
-        '-minrate', '1000k',     // Added minimum bitrate constraint
-        '-an',                   // Remove audio (drone has no audio)
-        '-f', 'mpegts',          // Output format: MPEG transport stream
-        '-s', '640x480',         // Video size: 640x480 pixels
-        '-r', '30',              // Frame rate: 30 fps
-        '-q:v', '5',             // Video quality (1-31, lower is better)
-        '-tune', 'zerolatency',  // Optimize for low latency
-        '-preset', 'ultrafast',  // Fastest encoding speed
-        '-pix_fmt', 'yuv420p',   // Pixel format: YUV420
-        '-flush_packets', '1',    // Flush packets immediately
-        '-reset_timestamps', '1', // Reset timestamps at the start
-        'pipe:1',                // Output to stdout for streaming
-
-        // Second output: JPEG frames for photo capture
-        '-map', '0:v:0',         // Map video stream again
-        '-c:v', 'mjpeg',         // JPEG codec for stills
-        '-q:v', '2',             // High quality for stills
-        '-vf', 'fps=2',          // 2 frames per second is enough for stills
-        '-update', '1',          // Update the same file and continuosly overwrite it instead of creating new files
-        '-f', 'image2',          // Output format for stills
-        join(photosDir, 'current_frame.jpg') // make the current frame always avilable in photosdirectory
-    ]);
+    const ffmpeg = spawn('ffmpeg', buildStreamArgs({
+        inputPort: TELLO_VIDEO_PORT,
+        video: config.video,
+        snapshotPath: join(photosDir, 'current_frame.jpg'), // make the current frame always avilable in photosdirectory
+        rtpPort: webrtcRelay.isAvailable() ? config.webrtc.rtpPort : null
+    }), { stdio: ['pipe', 'pipe', 'pipe', 'pipe'] }); // fd 3 carries the H.264 copy for the quality profiles
 
     serverState.setVideoStreamProcess(ffmpeg);
+    videoProfiles.restartEncoders();
+    liveOutput.start();
+    restreamer.restart();
 
     // Enhanced error logging
     ffmpeg.stderr.on('data', (data) => {
@@ -323,6 +555,7 @@ function startFFmpeg() {
     // Handle process errors and exit
     ffmpeg.on('error', (error) => {
         console.error('FFmpeg process error:', error.message);
+        flightLogger.logError('ffmpeg', error.message);
         if (serverState.getVideoStreamProcess() === ffmpeg) {
             serverState.setVideoStreamProcess(null);
             if (serverState.getLastCommand() === 'streamon') {
@@ -350,15 +583,8 @@ function startFFmpeg() {
     ffmpeg.stdout.on('data', (chunk) => {
         if (!serverState.isVideoStreamActive()) return;
 
-        // Send to all connected WebSocket clients
-        serverState.getConnectedClients().forEach((client) => {
-            try {
-                client.send(chunk, { binary: true }); // websocket can only transmit data in either string format or binary format
-            } catch (err) {
-                console.error(`Failed to send to client: ${err}`);
-                serverState.removeClient(client);
-            }
-        });
+        // Send to the WebSocket clients on the main profile, the others get theirs from the profile encoders
+        videoProfiles.writeMain(chunk);
         
         // Send to MP4 recording if active
         if (serverState.getVideoRecordingActive() && 
@@ -377,13 +603,72 @@ function startFFmpeg() {
         }
     });
 
+    // Always drained, a full pipe would stall the whole FFmpeg process
+    ffmpeg.stdio[3].on('data', (chunk) => {
+        if (!serverState.isVideoStreamActive()) return;
+        videoProfiles.writeSource(chunk);
+        liveOutput.write(chunk);
+        restreamer.write(chunk);
+    });
+
     return ffmpeg;
 }
 
-// Modify photo capture endpoint
-app.post('/capture-photo', async (req, res) => {
+// Viewers and running encoders per quality profile
+app.get('/video/profiles', (req, res) => {
+    res.json(videoProfiles.describe());
+});
+
+// Per-viewer delivery stats of the WebSocket stream: queued, sent and dropped, see server/videoFanout.js
+app.get('/video/clients', (req, res) => {
+    res.json(videoProfiles.describeClients());
+});
+
+// Playlists change with every segment and must never be cached; players on other origins (dashboards,
+// hls.js pages) need CORS like the state stream
+const liveStaticOptions = {
+    setHeaders: (res, filePath) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Cache-Control', /\.(m3u8|mpd)$/.test(filePath) ? 'no-cache' : 'max-age=60');
+    }
+};
+
+// Whether the live window is being written, with its playlist URLs
+app.get('/live/status', (req, res) => {
+    res.json(liveOutput.describe());
+});
+
+app.use('/live', express.static(liveOutput.dir, liveStaticOptions));
+
+// Restream status, start ({ url }) and stop; the same for fleet drones under /drones/:droneId
+const addRestreamRoutes = (base, getRestreamer) => {
+    app.get(base, (req, res) => {
+        res.json(getRestreamer(req).describe());
+    });
+
+    app.post(base, (req, res) => {
+        try {
+            res.json(getRestreamer(req).start(req.body?.url));
+        } catch (error) {
+            res.status(error.statusCode ?? 500).json({ error: error.message });
+        }
+    });
+
+    app.delete(base, (req, res) => {
+        try {
+            res.json(getRestreamer(req).stop());
+        } catch (error) {
+            res.status(error.statusCode ?? 500).json({ error: error.message });
+        }
+    });
+};
+
+addRestreamRoutes('/video/restream', () => restreamer);
+
+// Copy the latest MJPEG frame into a timestamped photo (used by the route and by missions)
+async function capturePhoto() {
     if (!serverState.isVideoStreamActive()) {
-        return res.status(400).send('Video stream not active');
+        throw createHttpError(400, 'Video stream not active');
     }
 
     try {
@@ -392,17 +677,81 @@ app.post('/capture-photo', async (req, res) => {
         const currentFramePath = join(photosDir, 'current_frame.jpg');
 
         await fs.promises.copyFile(currentFramePath, finalPhotoPath);
-        
-        res.json({ 
+
+        return {
             fileName: `photo_${timestamp}.jpg`,
             timestamp: timestamp
-        });
+        };
     } catch (error) {
         console.error('Failed to capture photo:', error);
-        res.status(500).send('Failed to capture photo');
+        throw createHttpError(500, 'Failed to capture photo');
+    }
+}
+
+// Modify photo capture endpoint
+app.post('/capture-photo', async (req, res) => {
+    try {
+        res.json(await capturePhoto());
+    } catch (error) {
+        res.status(error.statusCode ?? 500).send(error.message);
     }
 });
 
+// WebRTC signaling, the same for the primary drone and every fleet drone:
+//   GET    <base>                              relay status and viewer count
+//   POST   <base>                              -> 201 { id, type: 'offer', sdp } with all ICE candidates
+//   POST   <base>/:sessionId/answer            { type: 'answer', sdp } -> 204
+//   DELETE <base>/:sessionId                   the viewer left
+const addWebRtcRoutes = (base, getRelay) => {
+    app.get(base, (req, res) => {
+        res.json(getRelay(req).describe());
+    });
+
+    app.post(base, async (req, res) => {
+        try {
+            res.status(201).json(await getRelay(req).createSession());
+        } catch (error) {
+            res.status(error.statusCode ?? 500).json({ error: error.message });
+        }
+    });
+
+    app.post(`${base}/:sessionId/answer`, async (req, res) => {
+        try {
+            await getRelay(req).acceptAnswer(req.params.sessionId, req.body);
+            res.status(204).end();
+        } catch (error) {
+            res.status(error.statusCode ?? 500).json({ error: error.message });
+        }
+    });
+
+    app.delete(`${base}/:sessionId`, (req, res) => {
+        if (!getRelay(req).closeSession(req.params.sessionId)) {
+            return res.status(404).json({ error: `No WebRTC session ${req.params.sessionId}` });
+        }
+        res.status(204).end();
+    });
+};
+
+addWebRtcRoutes('/video/webrtc', () => webrtcRelay);
+
+const RECORDING_STOP_TIMEOUT = 5000; // time FFmpeg gets to finalize the MP4 before it is killed
+
+// The clip being written: { context, closed, processed }, kept until its post-processing is done
+let currentRecording = null;
+
+const endRecordingContext = (context) => {
+    if (context.endedAt) return;
+    context.endedAt = Date.now();
+    context.batteryEnd = serverState.getDroneState().battery;
+};
+
+// Commands issued during a clip go into its metadata; rc and the battery/time polling would drown them out
+commandDispatcher.on('result', ({ command, status }) => {
+    const context = currentRecording?.context;
+    if (!context || context.endedAt || status === 'sent' || !command || command.endsWith('?')) return;
+    context.commands.push({ t: Date.now() - context.startedAt, command, status });
+});
+
 // Function to initialize MP4 process
 function initializeMP4Process() {
     console.log('Starting MP4 process...');
@@ -417,20 +766,43 @@ function initializeMP4Process() {
     const mp4FilePath = join(mp4Dir, mp4FileName);
     
     try {
-        const Mp4Process = spawn('ffmpeg', [
-            '-i', 'pipe:0',           // Input from pipe
-            '-c:v', 'libx264',        // Convert to H.264
-            '-preset', 'ultrafast',    // Fastest encoding
-            '-tune', 'zerolatency',    // Minimize latency
-            '-crf', '23',             // Balance quality/size
-            '-movflags', '+faststart', // Enable streaming
-            '-y',                      // Overwrite output
-            mp4FilePath
-        ]);
+        const Mp4Process = spawn('ffmpeg', buildRecordingArgs({
+            recording: config.recording,
+            outputPath: mp4FilePath
+        }));
 
         serverState.setVideoRecordingProcess(Mp4Process);
         serverState.setVideoRecordingFilePath(mp4FilePath);
 
+        // Flight context for the sidecar, filled in while the clip is recorded
+        const context = {
+            startedAt: timestamp,
+            endedAt: null,
+            batteryStart: serverState.getDroneState().battery,
+            batteryEnd: null,
+            commands: []
+        };
+
+        // Once FFmpeg has finished the file, probe it and render its poster and preview
+        const closed = new Promise(resolve => {
+            Mp4Process.once('close', resolve);
+            Mp4Process.once('error', resolve);
+        });
+        const processed = closed
+            .then(() => {
+                endRecordingContext(context);
+                return processRecording(mp4FilePath, context);
+            })
+            .catch(error => {
+                console.error('Failed to process recording:', error.message);
+                return null;
+            })
+            .finally(() => {
+                if (currentRecording?.context === context) currentRecording = null;
+            });
+
+        currentRecording = { context, closed, processed };
+
         Mp4Process.stderr.on('data', (data) => {
             const message = data.toString().trim();
             if (message.toLowerCase().includes('error') || 
@@ -442,6 +814,7 @@ function initializeMP4Process() {
         // Handle process errors and exit
         Mp4Process.on('error', (err) => {
             console.error('MP4 process error:', err.message);
+            if (serverState.getVideoRecordingProcess() !== Mp4Process) return; // already released by stopRecording
             serverState.setVideoRecordingProcess(null);
             serverState.setVideoRecordingActive(false);
             serverState.setVideoRecordingFilePath(null);
@@ -452,6 +825,7 @@ function initializeMP4Process() {
                 const error = `MP4 process exited with code ${code}, signal: ${signal}`;
                 console.error(error);
             }
+            if (serverState.getVideoRecordingProcess() !== Mp4Process) return;
             serverState.setVideoRecordingProcess(null);
             serverState.setVideoRecordingActive(false);
             serverState.setVideoRecordingFilePath(null);
@@ -465,80 +839,655 @@ function initializeMP4Process() {
     }
 }
 
+// Start piping the stream into a new MP4 file (used by the route and by missions)
+function startRecording() {
+    if (serverState.getVideoRecordingActive()) {
+        throw createHttpError(400, 'Recording already in progress');
+    }
+
+    if (!serverState.getVideoRecordingProcess()) {
+        initializeMP4Process();
+    }
+
+    if (!serverState.getVideoRecordingProcess()?.stdin.writable) {
+        throw createHttpError(500, 'Failed to initialize MP4 process');
+    }
+
+    serverState.setVideoRecordingActive(true);
+    return { status: 'ok', message: 'Recording started successfully' };
+}
+
+// Stop the recording and wait for the finished file's metadata (null if post-processing failed)
+async function stopRecording() {
+    if (!serverState.getVideoRecordingActive()) {
+        throw createHttpError(400, 'No active recording');
+    }
+
+    // Get the whole file path
+    const filePath = serverState.getVideoRecordingFilePath();
+    // from file path extract the last name with basename
+    const fileName = filePath ? basename(filePath) : null;
+    const recorder = serverState.getVideoRecordingProcess();
+    const recording = currentRecording;
+
+    serverState.setVideoRecordingActive(false);
+    serverState.setVideoRecordingProcess(null);
+    if (recording) endRecordingContext(recording.context);
+
+    if (recorder) {
+        // Closing stdin lets FFmpeg write the MP4 trailer, it only gets killed if it hangs
+        recorder.stdin.end();
+        const killTimer = setTimeout(() => recorder.kill(), RECORDING_STOP_TIMEOUT);
+        await recording?.closed;
+        clearTimeout(killTimer);
+    }
+
+    const metadata = recording ? await recording.processed : null;
+
+    // Keep the file hidden from the gallery until it is complete, unless a new recording took over meanwhile
+    if (serverState.getVideoRecordingFilePath() === filePath) {
+        serverState.setVideoRecordingFilePath(null);
+    }
+
+    return {
+        status: 'ok',
+        message: 'Recording stopped',
+        fileName: fileName,
+        metadata
+    };
+}
+
 // Add route for saving video chunks
 app.post('/start-recording', (req, res) => {
-    if (serverState.getVideoRecordingActive()) {
-        return res.status(400).json({ error: 'Recording already in progress' });
+    try {
+        res.json(startRecording());
+    } catch (error) {
+        res.status(error.statusCode ?? 500).json({ error: error.message });
+    }
+});
+
+app.post('/stop-recording', async (req, res) => {
+    try {
+        res.json(await stopRecording());
+    } catch (error) {
+        res.status(error.statusCode ?? 500).json({ error: error.message });
+    }
+});
+
+// ==== MISSIONS ====
+const missionRunner = new MissionRunner({
+    sendCommand: (command) => sendDroneCommand(command),
+    actions: { capturePhoto, startRecording, stopRecording }
+});
+
+// Mission progress goes out on the state stream as 'mission' events
+missionRunner.on('progress', (status) => {
+    serverState.broadcastSSEEvent('mission', status);
+    flightLogger.write('mission', { status: status.status, step: status.step?.label ?? null, error: status.error });
+});
+
+// Upload a mission ({ name, steps } or { name, script }) and start running it
+app.post('/mission', (req, res) => {
+    if (missionRunner.isActive()) {
+        return res.status(409).json({ error: 'A mission is already running' });
+    }
+    if (isPrimaryInSwarmMission()) {
+        return res.status(409).json({ error: 'The primary drone is flying a swarm mission' });
     }
 
     try {
-        if (!serverState.getVideoRecordingProcess()) {
-            initializeMP4Process();
+        const mission = parseMission(req.body);
+        failsafe.noteInput();
+        missionRunner.start(mission);
+        res.json(missionRunner.getStatus());
+    } catch (error) {
+        if (error instanceof MissionValidationError) {
+            return res.status(400).json({ error: error.message, errors: error.errors });
         }
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        if (!serverState.getVideoRecordingProcess()?.stdin.writable) {
-            return res.status(500).json({ error: 'Failed to initialize MP4 process' });
+app.get('/mission', (req, res) => {
+    res.json(missionRunner.getStatus());
+});
+
+// pause / resume / abort share the same shape, they only differ in the runner method they call
+['pause', 'resume', 'abort'].forEach(action => {
+    app.post(`/mission/${action}`, (req, res) => {
+        try {
+            missionRunner[action]();
+            res.json(missionRunner.getStatus());
+        } catch (error) {
+            res.status(409).json({ error: error.message });
         }
+    });
+});
 
-        serverState.setVideoRecordingActive(true);
-        res.json({ status: 'ok', message: 'Recording started successfully' });
-        
+// ==== FLIGHT LOGS ====
+// Resolve a log name from the URL to its file, refusing anything that is not one of our log files
+const resolveLogPath = (name) => {
+    if (!isValidLogName(name)) {
+        throw createHttpError(400, 'Invalid log name');
+    }
+    const filePath = join(logsDir, name);
+    if (!fs.existsSync(filePath)) {
+        throw createHttpError(404, 'Log not found');
+    }
+    return filePath;
+};
+
+app.get('/logs', async (req, res) => {
+    try {
+        res.json(await listFlightLogs(logsDir, flightLogger.getActiveLogName()));
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-app.post('/stop-recording', (req, res) => {
-    if (!serverState.getVideoRecordingActive()) {
-        return res.status(400).json({ error: 'No active recording' });
+app.get('/logs/:name', (req, res) => {
+    try {
+        res.download(resolveLogPath(req.params.name));
+    } catch (error) {
+        res.status(error.statusCode ?? 500).json({ error: error.message });
     }
+});
 
+app.delete('/logs/:name', async (req, res) => {
     try {
-        // Get the whole file path
-        const filePath = serverState.getVideoRecordingFilePath();
-        // from file path extract the last name with basename
-        const fileName = filePath ? basename(filePath) : null;
+        const filePath = resolveLogPath(req.params.name);
+        if (req.params.name === flightLogger.getActiveLogName()) {
+            return res.status(409).json({ error: 'Cannot delete the log of the current session' });
+        }
+        await fs.promises.unlink(filePath);
+        res.json({ status: 'ok', name: req.params.name });
+    } catch (error) {
+        res.status(error.statusCode ?? 500).json({ error: error.message });
+    }
+});
 
-        if (serverState.getVideoRecordingProcess()) {
-            serverState.getVideoRecordingProcess().stdin.end();
-            serverState.getVideoRecordingProcess().kill();
-            serverState.setVideoRecordingProcess(null);
+// Replayed state goes out as regular state updates, so the UI needs no special mode to show it
+flightReplay.on('state', (state, entry) => {
+    serverState.broadcastSSEUpdate({ ...state, lastUpdate: entry.t, replay: true });
+});
+
+flightReplay.on('entry', (entry) => {
+    serverState.broadcastSSEEvent('replay-entry', entry);
+});
+
+flightReplay.on('progress', (status) => {
+    serverState.broadcastSSEEvent('replay', status);
+});
+
+// Replay a recorded log at ?speed=1 (real time) or faster
+app.post('/logs/:name/replay', async (req, res) => {
+    try {
+        const entries = await readFlightLog(resolveLogPath(req.params.name));
+        flightReplay.start(req.params.name, entries, req.query.speed ?? req.body?.speed);
+        res.json(flightReplay.getStatus());
+    } catch (error) {
+        res.status(error.statusCode ?? 500).json({ error: error.message });
+    }
+});
+
+app.get('/replay', (req, res) => {
+    res.json(flightReplay.getStatus());
+});
+
+app.post('/replay/stop', (req, res) => {
+    flightReplay.stop();
+    res.json(flightReplay.getStatus());
+});
+
+// ==== MEDIA GALLERY ====
+const mediaLibrary = new MediaLibrary({
+    dirs: { photos: photosDir, recordings: mp4Dir }
+});
+
+// The MP4 that is still being written is neither listed nor touchable until recording stops
+const getActiveRecordingName = () => {
+    const filePath = serverState.getVideoRecordingFilePath();
+    return filePath ? basename(filePath) : null;
+};
+
+const resolveMediaPath = (type, name) => {
+    const filePath = mediaLibrary.resolvePath(type, name);
+    if (!filePath) {
+        throw createHttpError(400, 'Invalid media type or file name');
+    }
+    if (!fs.existsSync(filePath)) {
+        throw createHttpError(404, 'Media file not found');
+    }
+    if (type === 'recordings' && name === getActiveRecordingName()) {
+        throw createHttpError(409, 'Recording is still in progress');
+    }
+    return filePath;
+};
+
+// List photos and recordings, optionally ?type=photos|recordings
+app.get('/media', async (req, res) => {
+    const { type } = req.query;
+    if (type && !isMediaType(type)) {
+        return res.status(400).json({ error: 'type must be photos or recordings' });
+    }
+
+    try {
+        const exclude = [getActiveRecordingName()].filter(Boolean);
+        res.json(await mediaLibrary.list(type ?? null, { exclude }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Serve a file; sendFile answers Range requests so the player can seek. ?download=1 forces a download.
+app.get('/media/:type/:name', (req, res) => {
+    try {
+        const filePath = resolveMediaPath(req.params.type, req.params.name);
+        if (req.query.download) {
+            res.download(filePath);
+        } else {
+            res.sendFile(filePath, { acceptRanges: true });
+        }
+    } catch (error) {
+        res.status(error.statusCode ?? 500).json({ error: error.message });
+    }
+});
+
+// Poster frame or animated preview generated when the recording finished
+app.get('/media/recordings/:name/:asset', (req, res) => {
+    try {
+        resolveMediaPath('recordings', req.params.name);
+        const assetPath = mediaLibrary.resolveAssetPath(req.params.name, req.params.asset);
+        if (!assetPath) {
+            return res.status(404).json({ error: `No ${req.params.asset} for this recording` });
         }
+        res.sendFile(assetPath);
+    } catch (error) {
+        res.status(error.statusCode ?? 500).json({ error: error.message });
+    }
+});
 
-        serverState.setVideoRecordingActive(false);
-        serverState.setVideoRecordingFilePath(null);
-        
-        res.json({ 
-            status: 'ok', 
-            message: 'Recording stopped',
-            fileName: fileName
-        });
+app.delete('/media/:type/:name', async (req, res) => {
+    try {
+        resolveMediaPath(req.params.type, req.params.name);
+        await mediaLibrary.remove(req.params.type, req.params.name);
+        res.json({ status: 'ok', name: req.params.name });
+    } catch (error) {
+        res.status(error.statusCode ?? 500).json({ error: error.message });
+    }
+});
+
+// Rename with { name: 'new-name' }, the extension is kept
+app.patch('/media/:type/:name', async (req, res) => {
+    if (typeof req.body?.name !== 'string' || !req.body.name.trim()) {
+        return res.status(400).json({ error: 'name is required' });
+    }
+
+    try {
+        resolveMediaPath(req.params.type, req.params.name);
+        const newName = await mediaLibrary.rename(req.params.type, req.params.name, req.body.name.trim());
+        res.json(await mediaLibrary.describe(req.params.type, newName));
+    } catch (error) {
+        res.status(error.statusCode ?? 500).json({ error: error.message });
+    }
+});
+
+// ==== FLEET ====
+// Tello EDUs in station mode, each with its own command channel, telemetry, stream, recordings and media
+const fleet = new Fleet({ config, mediaRoot: fleetDir, getSwarmMission: (id) => swarm.getMissionFor(id) });
+
+// Every /drones/:droneId route works on that drone's session
+app.param('droneId', (req, res, next, droneId) => {
+    req.drone = fleet.get(droneId);
+    if (!req.drone) {
+        return res.status(404).json({ error: `No drone ${droneId} in the fleet` });
+    }
+    next();
+});
+
+app.get('/drones', (req, res) => {
+    res.json(fleet.list());
+});
+
+// Register a drone by IP ({ ip, name }) and put it in SDK mode
+app.post('/drones', async (req, res) => {
+    try {
+        const session = await fleet.add(req.body ?? {});
+        res.status(201).json(session.describe());
+    } catch (error) {
+        res.status(error.statusCode ?? 500).json({ error: error.message });
+    }
+});
+
+app.get('/drones/:droneId/safety', (req, res) => {
+    res.json(req.drone.geofence.getStatus());
+});
+
+app.get('/drones/:droneId', (req, res) => {
+    res.json(req.drone.describe());
+});
+
+// ?stopMotors=true cuts the motors before the drone is let go, otherwise it keeps doing what it was doing
+app.delete('/drones/:droneId', async (req, res) => {
+    try {
+        await fleet.remove(req.drone.id, { stopMotors: req.query.stopMotors === 'true' });
+        res.json({ status: 'ok', id: req.drone.id });
+    } catch (error) {
+        res.status(error.statusCode ?? 500).json({ error: error.message });
+    }
+});
+
+app.get('/drones/:droneId/command/:command', async (req, res) => {
+    try {
+        if (getCommandProfile(req.params.command).sensitive) {
+            return res.status(400).json({ error: CREDENTIALS_IN_URL });
+        }
+        const { command, error } = validateCommand(req.params.command);
+        if (error) {
+            return res.status(400).json(describeInvalidCommand(error));
+        }
+
+        const result = await req.drone.sendCommand(command, { override: isSafetyOverride(req) });
+
+        if (command === 'command') {
+            return res.json({
+                status: result.status === 'ok' ? 'connected' : 'failed',
+                response: result.response ?? result.reason
+            });
+        }
+
+        res.status(resultStatusCode(result)).json(describeCommandResult(command, result));
+    } catch (error) {
+        res.status(error.statusCode ?? 500).json({ error: error.message });
+    }
+});
+
+app.post('/drones/:droneId/rc', (req, res) => {
+    const { a, b, c, d } = req.body ?? {};
+
+    if (![a, b, c, d].every(value => Number.isFinite(Number(value)))) {
+        return res.status(400).json({ error: 'rc expects numeric a, b, c and d between -100 and 100' });
+    }
+
+    req.drone.failsafe.noteInput();
+    res.json({ status: 'ok', sticks: req.drone.rcController.setSticks({ a, b, c, d }) });
+});
+
+app.post('/drones/:droneId/heartbeat', (req, res) => {
+    req.drone.failsafe.noteInput();
+    res.json({ status: 'ok' });
+});
+
+app.post('/drones/:droneId/capture-photo', async (req, res) => {
+    try {
+        res.json(await req.drone.capturePhoto());
+    } catch (error) {
+        res.status(error.statusCode ?? 500).json({ error: error.message });
+    }
+});
+
+app.post('/drones/:droneId/start-recording', (req, res) => {
+    try {
+        res.json(req.drone.startRecording());
+    } catch (error) {
+        res.status(error.statusCode ?? 500).json({ error: error.message });
+    }
+});
+
+app.post('/drones/:droneId/stop-recording', async (req, res) => {
+    try {
+        res.json(await req.drone.stopRecording());
+    } catch (error) {
+        res.status(error.statusCode ?? 500).json({ error: error.message });
+    }
+});
+
+addWebRtcRoutes('/drones/:droneId/video/webrtc', (req) => req.drone.webrtc);
+
+app.get('/drones/:droneId/video/profiles', (req, res) => {
+    res.json(req.drone.videoProfiles.describe());
+});
+
+app.get('/drones/:droneId/video/clients', (req, res) => {
+    res.json(req.drone.videoProfiles.describeClients());
+});
+
+addRestreamRoutes('/drones/:droneId/video/restream', (req) => req.drone.restreamer);
+
+app.get('/drones/:droneId/live/status', (req, res) => {
+    res.json(req.drone.live.describe());
+});
+
+app.use('/drones/:droneId/live', (req, res, next) => {
+    express.static(req.drone.live.dir, liveStaticOptions)(req, res, next);
+});
+
+app.get('/drones/:droneId/state-stream', (req, res) => {
+    const sendUpdate = openEventStream(res);
+    const clientId = Date.now();
+    req.drone.addSSEClient(clientId, sendUpdate);
+
+    req.on('close', () => {
+        req.drone.removeSSEClient(clientId);
+    });
+});
+
+// Each drone's photos and recordings, same shape as /media for the primary drone
+app.get('/drones/:droneId/media', async (req, res) => {
+    const { type } = req.query;
+    if (type && !isMediaType(type)) {
+        return res.status(400).json({ error: 'type must be photos or recordings' });
+    }
+
+    try {
+        const exclude = [req.drone.recorder.getFileName()].filter(Boolean);
+        res.json(await req.drone.media.list(type ?? null, { exclude }));
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+app.get('/drones/:droneId/media/:type/:name', (req, res) => {
+    const filePath = req.drone.media.resolvePath(req.params.type, req.params.name);
+    if (!filePath || !fs.existsSync(filePath)) {
+        return res.status(404).json({ error: 'Media file not found' });
+    }
+    if (req.query.download) {
+        res.download(filePath);
+    } else {
+        res.sendFile(filePath, { acceptRanges: true });
+    }
+});
+
+// ==== SWARM ====
+// The primary drone as a group member, with the same interface as a fleet DroneSession
+const primaryMember = {
+    id: PRIMARY_ID,
+    name: 'Primary',
+    sendCommand: sendDroneCommand,
+    capturePhoto,
+    startRecording,
+    stopRecording
+};
+
+const swarm = new Swarm({
+    getMember: (id) => id === PRIMARY_ID ? primaryMember : fleet.get(id),
+    listConnected: () => [
+        ...(serverState.isDroneConnected() ? [primaryMember] : []),
+        ...fleet.list().filter(drone => drone.connected).map(drone => fleet.get(drone.id))
+    ]
+});
+
+function isPrimaryInSwarmMission() {
+    return swarm.getMissionFor(PRIMARY_ID) !== null;
+}
+
+// Formation mission progress goes out on the primary state stream, next to single-drone 'mission' events
+swarm.on('mission', (status) => serverState.broadcastSSEEvent('swarm', status));
+
+app.get('/swarm/groups', (req, res) => {
+    res.json(swarm.listGroups());
+});
+
+// Create or replace a group, body { members: ['primary', '192.168.1.21', ...] }
+app.put('/swarm/groups/:group', (req, res) => {
+    try {
+        res.json(swarm.setGroup(req.params.group, req.body?.members));
+    } catch (error) {
+        res.status(error.statusCode ?? 500).json({ error: error.message });
+    }
+});
+
+app.delete('/swarm/groups/:group', (req, res) => {
+    try {
+        swarm.deleteGroup(req.params.group);
+        res.json({ status: 'ok', name: req.params.group });
+    } catch (error) {
+        res.status(error.statusCode ?? 500).json({ error: error.message });
+    }
+});
+
+// Send { command } to every member and answer once all of them replied, with one result per drone.
+// If any member fails, the group has already been landed by the time this returns (aborted: true).
+app.post('/swarm/groups/:group/command', async (req, res) => {
+    if (getCommandProfile(String(req.body?.command ?? '').trim()).sensitive) {
+        return res.status(400).json({ error: CREDENTIALS_TO_GROUP });
+    }
+    const { command, error } = validateCommand(req.body?.command);
+    if (error) {
+        return res.status(400).json(describeInvalidCommand(error));
+    }
+
+    try {
+        const result = await swarm.broadcast(req.params.group, command);
+        const statusCode = result.status === 'ok' ? 200 : 502;
+        res.status(statusCode).json({
+            ...result,
+            ...(statusCode !== 200 && { error: `'${result.command}' failed: ${result.reason}` })
+        });
+    } catch (error) {
+        res.status(error.statusCode ?? 500).json({ error: error.message });
+    }
+});
+
+// Run a mission ({ name, steps } or { name, script }) on a whole group, step by step in lockstep
+app.post('/swarm/groups/:group/mission', (req, res) => {
+    try {
+        const members = swarm.resolveGroup(req.params.group);
+        if (missionRunner.isActive() && members.includes(primaryMember)) {
+            return res.status(409).json({ error: 'The primary drone is flying a mission' });
+        }
+
+        const mission = parseMission(req.body);
+        res.json(swarm.startMission(req.params.group, mission));
+    } catch (error) {
+        if (error instanceof MissionValidationError) {
+            return res.status(400).json({ error: error.message, errors: error.errors });
+        }
+        res.status(error.statusCode ?? 500).json({ error: error.message });
+    }
+});
+
+app.get('/swarm/mission', (req, res) => {
+    res.json(swarm.getMissionStatus());
+});
+
+['pause', 'resume', 'abort'].forEach(action => {
+    app.post(`/swarm/mission/${action}`, (req, res) => {
+        try {
+            swarm.missionRunner[action]();
+            res.json(swarm.getMissionStatus());
+        } catch (error) {
+            res.status(409).json({ error: error.message });
+        }
+    });
+});
+
+// ==== PROVISIONING ====
+// Move the primary drone (connected to through its own access point) onto a shared network, body { ssid, password }.
+// The password only ever goes into the UDP datagram, the dispatcher logs the command as 'ap ***'.
+app.post('/provisioning/ap', async (req, res) => {
+    try {
+        const { ssid } = req.body ?? {};
+        const apCommand = buildApCommand(req.body ?? {});
+
+        const sdk = await sendDroneCommand('command');
+        if (sdk.status !== 'ok') {
+            throw createHttpError(resultStatusCode(sdk), `Drone did not enter SDK mode: ${sdk.reason}`);
+        }
+
+        const result = await commandDispatcher.send(apCommand);
+        if (result.status !== 'ok') {
+            return res.status(result.status === 'timeout' ? 504 : 502).json({
+                ...result,
+                error: `Drone did not accept the Wi-Fi settings: ${result.reason ?? result.response}`
+            });
+        }
+
+        res.json({ ...result, ssid, message: `Drone is restarting to join ${ssid}` });
+    } catch (error) {
+        res.status(error.statusCode ?? 500).json({ error: error.message });
+    }
+});
+
+// Look for drones answering 'command' on the subnet ({ subnet } or the configured one) and add new ones to the fleet
+app.post('/provisioning/scan', async (req, res) => {
+    try {
+        const subnet = req.body?.subnet ?? config.provisioning.subnet;
+        const found = await scanSubnet({ subnet, port: config.drone.commandPort, timeout: config.provisioning.scanTimeoutMs });
+
+        // One at a time, so fleet slots are handed out in address order
+        const drones = [];
+        for (const ip of found) {
+            if (ip === config.drone.ip) {
+                drones.push({ ip, status: 'primary' });
+            } else if (fleet.get(ip)) {
+                drones.push({ ip, status: 'known', drone: fleet.get(ip).describe() });
+            } else {
+                try {
+                    const session = await fleet.add({ ip });
+                    drones.push({ ip, status: 'added', drone: session.describe() });
+                } catch (error) {
+                    drones.push({ ip, status: 'failed', error: error.message });
+                }
+            }
+        }
+
+        res.json({ subnet, drones });
+    } catch (error) {
+        res.status(error.statusCode ?? 500).json({ error: error.message });
+    }
+});
+
 // Add this improved graceful shutdown handler
 const gracefulShutdown = async () => {
     console.log('Starting graceful shutdown...');
     
     stopDroneMonitoring();
+    rcController.stop();
+    failsafe.stop();
+    webrtcRelay.close();
+    videoProfiles.close();
+    restreamer.close();
     
     wss.close(() => {
         console.log('WebSocket server closed');
     });
 
-    // Send emergency stop to drone
+    // Send emergency stop to drone, ahead of anything still queued
     try {
-        await new Promise((resolve) => {
-            droneClient.send('emergency', 0, 'emergency'.length, TELLO_PORT, TELLO_IP, () => {
-                resolve();
-            });
-        });
+        await commandDispatcher.send('emergency', { retries: 0 });
     } catch (err) {
         console.error('Error sending emergency command:', err.message);
     }
 
+    // Fleet drones get the same emergency stop before their sessions are torn down
+    await fleet.closeAll({ stopMotors: true });
+
+    commandDispatcher.close();
+    telemetryListener.stop();
+    flightReplay.stop();
+    flightLogger.stop();
     droneClient.close();
     
     // Clean up all state
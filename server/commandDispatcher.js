@@ -0,0 +1,342 @@
+import { Buffer } from 'buffer';
+import { EventEmitter } from 'events';
+
+// Tello answers every SDK command on the same UDP socket with a bare string ('ok', 'error ...', '87', '12s'),
+// and it answers strictly in order. The dispatcher therefore keeps exactly one command in flight and treats the
+// next datagram as that command's reply, so a 'battery?' poll can never be answered with a 'takeoff' reply.
+// A command given up on (timed out, or cancelled by an emergency) may still be answered late, once per time it
+// was sent, and so may a retried command that was answered after all: its first reply settles it, the others are
+// still on their way. The next datagrams within STRAY_REPLY_WINDOW are taken to be those answers and discarded,
+// and the queue waits for them (or for the window to pass) before sending anything else. Only an emergency goes out without waiting; should the abandoned
+// command stay silent, the emergency's own reply is discarded instead and it is confirmed by its retry.
+
+const STRAY_REPLY_WINDOW = 2000; // ms an abandoned command's reply is waited for
+
+// Per-command timing. The first matching profile wins, so keep the specific patterns above the catch-all.
+// Retries only happen on timeout and only for commands that are safe to repeat (reads, mode switches).
+// 'noReply' commands never get an answer from the drone, so they are sent straight away without taking the slot.
+// 'sensitive' commands carry Wi-Fi credentials; everything but the datagram itself only ever sees them redacted.
+const COMMAND_PROFILES = [
+    { match: /^emergency$/, timeout: 3000, retries: 1, preempt: true },
+    { match: /^rc\b/, timeout: 0, retries: 0, noReply: true },
+    { match: /^command$/, timeout: 5000, retries: 2 },
+    { match: /\?$/, timeout: 3000, retries: 2 },                          // read commands: battery?, time?, sn? ...
+    { match: /^(takeoff|land)$/, timeout: 20000, retries: 0 },
+    { match: /^(up|down|left|right|forward|back|cw|ccw|flip|go|curve|jump|stop)\b/, timeout: 20000, retries: 0 },
+    { match: /^(streamon|streamoff|speed|mon|moff|mdirection)\b/, timeout: 5000, retries: 1 },
+    { match: /^(ap|wifi)\b/, timeout: 7000, retries: 0, sensitive: true },
+    { match: /.*/, timeout: 7000, retries: 0 }
+];
+
+export const getCommandProfile = (command) => {
+    return COMMAND_PROFILES.find(profile => profile.match.test(command));
+};
+
+// How a command appears in logs, events and results: 'ap MyNet hunter22' becomes 'ap ***'
+export const redactCommand = (command) => {
+    return getCommandProfile(command).sensitive ? `${command.split(/\s+/)[0]} ***` : command;
+};
+
+// Turn a raw reply into a typed result: 'ok', 'error' (with the drone's reason) or 'value' (numeric when possible)
+export const parseResponse = (raw) => {
+    const response = raw.trim();
+
+    if (response === 'ok') {
+        return { status: 'ok', response };
+    }
+
+    if (/^error\b/i.test(response)) {
+        return { status: 'error', response, reason: response.replace(/^error\s*/i, '') || 'Drone returned error' };
+    }
+
+    // Numeric replies optionally carry a unit, e.g. '87', '12s', '100.0cm/s', '65mm'
+    const numeric = response.match(/^(-?\d+(?:\.\d+)?)\s*([a-z/%]*)$/i);
+    if (numeric) {
+        return { status: 'value', response, value: parseFloat(numeric[1]), unit: numeric[2] || null };
+    }
+
+    return { status: 'value', response, value: response, unit: null };
+};
+
+// HTTP status a route should use for a dispatcher result
+export const resultStatusCode = (result) => {
+    switch (result.status) {
+        case 'ok':
+        case 'value':
+        case 'sent':
+            return 200;
+        case 'timeout':
+            return 504; // the drone never answered
+        case 'cancelled':
+            return 409; // superseded by an emergency or shutdown
+        case 'rejected':
+            return 403; // refused by the guard (geofence) before it was sent
+        default:
+            return 502; // the drone answered with an error
+    }
+};
+
+// Emits 'sent' ({ command, attempt }) for every datagram, 'result' for every settled command and 'unsolicited'
+// for replies nothing was waiting for, so logging and monitoring can follow the link without wrapping each call.
+export class CommandDispatcher extends EventEmitter {
+    constructor({ socket, host, port, guard = null }) {
+        super();
+        this.socket = socket;
+        this.host = host;
+        this.port = port;
+        this.guard = guard;   // (command, options) -> { command } to send or { rejected: reason }, see Geofence.guard.
+                              // Queued commands are guarded when their turn comes, once every move ahead of them
+                              // has been answered and is part of the position estimate.
+
+        this.queue = [];      // commands waiting for their turn
+        this.inFlight = null; // the one command currently waiting for a reply
+        this.stray = null;    // { until, remaining }: late replies still expected from abandoned commands
+        this.drainTimer = null;
+        this.closed = false;
+
+        this.socket.on('message', (msg) => this.handleMessage(msg));
+    }
+
+    // Queue a command and resolve with its typed result once the drone answers, refuses or times out.
+    // Only transport failures (socket errors) reject.
+    send(command, options = {}) {
+        if (this.closed) {
+            return Promise.reject(new Error('Command dispatcher is closed'));
+        }
+
+        const profile = getCommandProfile(command);
+
+        // Sticks skip the queue, so they are guarded right away
+        if (profile.noReply) {
+            const verdict = this.guard ? this.guard(command, options) : { command };
+            if (verdict.rejected) {
+                return Promise.resolve(this.reportRejected(command, verdict.rejected));
+            }
+            return this.sendWithoutReply(verdict.command);
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = {
+                command: redactCommand(command),
+                datagram: command, // the only place the unredacted command is kept
+                options,           // for the guard
+                timeout: options.timeout ?? profile.timeout,
+                retries: options.retries ?? profile.retries,
+                preempt: Boolean(profile.preempt),
+                attempts: 0,
+                startedAt: null,
+                timer: null,
+                resolve,
+                reject
+            };
+
+            if (profile.preempt) {
+                // Nothing queued behind an emergency should still fly afterwards
+                this.cancelAll(`Preempted by ${command}`);
+                this.queue.unshift(entry);
+            } else {
+                this.queue.push(entry);
+            }
+
+            this.processQueue();
+        });
+    }
+
+    // Resolves with status 'sent' once the datagram is out, replies are never expected
+    sendWithoutReply(command) {
+        const message = Buffer.from(command, 'utf8');
+
+        return new Promise((resolve, reject) => {
+            this.socket.send(message, 0, message.length, this.port, this.host, (err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+                const result = { command, status: 'sent', response: null, attempts: 1, latency: null };
+                this.emit('result', result);
+                resolve(result);
+            });
+        });
+    }
+
+    processQueue() {
+        while (!this.inFlight && this.queue.length > 0) {
+            // Hold back until the abandoned command's reply is in, so it cannot be matched to this one
+            if (this.isDraining() && !this.queue[0].preempt) {
+                if (!this.drainTimer) {
+                    this.drainTimer = setTimeout(() => {
+                        this.drainTimer = null;
+                        this.processQueue();
+                    }, this.stray.until - Date.now());
+                }
+                return;
+            }
+
+            const entry = this.queue.shift();
+            if (this.applyGuard(entry)) {
+                this.inFlight = entry;
+                this.transmit(entry);
+            }
+        }
+    }
+
+    // The guard may refuse the command (settling it right away) or hand back a safer one (e.g. a shorter move)
+    applyGuard(entry) {
+        if (!this.guard) return true;
+
+        const verdict = this.guard(entry.datagram, entry.options);
+        if (verdict.rejected) {
+            entry.resolve(this.reportRejected(entry.datagram, verdict.rejected));
+            return false;
+        }
+        entry.datagram = verdict.command;
+        entry.command = redactCommand(verdict.command);
+        return true;
+    }
+
+    reportRejected(command, reason) {
+        const rejected = {
+            command: redactCommand(command),
+            status: 'rejected',
+            response: null,
+            reason,
+            attempts: 0,
+            latency: null
+        };
+        this.emit('result', rejected);
+        return rejected;
+    }
+
+    transmit(entry) {
+        entry.attempts += 1;
+        entry.startedAt = Date.now();
+
+        // Byte length, not string length, so multi-byte characters are not truncated
+        const message = Buffer.from(entry.datagram, 'utf8');
+
+        this.emit('sent', { command: entry.command, attempt: entry.attempts });
+
+        this.socket.send(message, 0, message.length, this.port, this.host, (err) => {
+            if (this.inFlight !== entry) return; // already settled (e.g. preempted)
+
+            if (err) {
+                this.settle(entry, null, err);
+                return;
+            }
+
+            entry.timer = setTimeout(() => this.handleTimeout(entry), entry.timeout);
+        });
+    }
+
+    handleTimeout(entry) {
+        if (this.inFlight !== entry) return;
+
+        if (entry.attempts <= entry.retries) {
+            console.warn(`No reply to '${entry.command}' after ${entry.timeout}ms, retrying (${entry.attempts}/${entry.retries})`);
+            this.transmit(entry);
+            return;
+        }
+
+        this.expectStrayReply(entry.attempts);
+        this.settle(entry, {
+            status: 'timeout',
+            response: null,
+            reason: `No response within ${entry.timeout}ms`
+        });
+    }
+
+    // Replies to a command that was given up on or already answered, one per datagram, may still arrive
+    expectStrayReply(count = 1) {
+        const remaining = this.isDraining() ? this.stray.remaining : 0;
+        this.stray = { until: Date.now() + STRAY_REPLY_WINDOW, remaining: remaining + count };
+    }
+
+    isDraining() {
+        return this.stray !== null && this.stray.remaining > 0 && Date.now() < this.stray.until;
+    }
+
+    handleMessage(msg) {
+        const raw = msg.toString();
+
+        if (this.isDraining()) {
+            this.stray.remaining -= 1;
+            console.warn('Discarding late drone response to an earlier command:', raw.trim());
+            this.emit('unsolicited', raw.trim());
+            this.processQueue();
+            return;
+        }
+
+        const entry = this.inFlight;
+
+        if (!entry) {
+            // Late reply to a command that already timed out, nothing left to match it to
+            console.warn('Unsolicited drone response:', raw.trim());
+            this.emit('unsolicited', raw.trim());
+            return;
+        }
+
+        console.log('Drone response:', entry.command, '->', raw.trim());
+        // Which attempt this answers can't be told, every other attempt may still be answered
+        if (entry.attempts > 1) {
+            this.expectStrayReply(entry.attempts - 1);
+        }
+        this.settle(entry, parseResponse(raw));
+    }
+
+    settle(entry, result, error = null) {
+        clearTimeout(entry.timer);
+
+        if (this.inFlight === entry) {
+            this.inFlight = null;
+        }
+
+        if (error) {
+            this.emit('result', { command: entry.command, status: 'failed', reason: error.message, attempts: entry.attempts });
+            entry.reject(error);
+        } else {
+            const settled = {
+                command: entry.command,
+                ...result,
+                attempts: entry.attempts,
+                latency: entry.startedAt ? Date.now() - entry.startedAt : null
+            };
+            this.emit('result', settled);
+            entry.resolve(settled);
+        }
+
+        this.processQueue();
+    }
+
+    // Settle everything pending with a 'cancelled' result
+    cancelAll(reason) {
+        const pending = this.inFlight ? [this.inFlight, ...this.queue] : [...this.queue];
+        this.queue = [];
+
+        pending.forEach(entry => {
+            clearTimeout(entry.timer);
+            if (this.inFlight === entry) {
+                this.inFlight = null;
+                this.expectStrayReply(entry.attempts);
+            }
+            const cancelled = {
+                command: entry.command,
+                status: 'cancelled',
+                response: null,
+                reason,
+                attempts: entry.attempts,
+                latency: null
+            };
+            this.emit('result', cancelled);
+            entry.resolve(cancelled);
+        });
+    }
+
+    close() {
+        this.cancelAll('Dispatcher closed');
+        clearTimeout(this.drainTimer);
+        this.drainTimer = null;
+        this.closed = true;
+    }
+}
+
+export default CommandDispatcher;
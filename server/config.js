@@ -0,0 +1,359 @@
+import fs from 'fs';
+import { isIP } from 'net';
+import { resolve } from 'path';
+import { parseArgs } from 'util';
+import { validateSubnet } from './provisioning.js';
+import { PROFILE_NAMES, describeProfiles } from './videoProfiles.js';
+import process from 'process';
+
+// Server settings are layered, each layer overriding the one before:
+//   1. DEFAULT_CONFIG below
+//   2. a JSON config file (--config <file>, CONFIG_FILE, or config.json next to server.js when present)
+//   3. environment variables
+//   4. command line flags, e.g. node server.js --tello-ip 127.0.0.1 --video-width 960
+// Everything is validated once at startup and the result is frozen.
+
+export const DEFAULT_CONFIG = {
+    server: {
+        port: 3000,              // Express: API, SSE and the built frontend
+        streamPort: 3001,        // WebSocket video stream
+        stateStreamRateHz: 5     // SSE state updates per second
+    },
+    drone: {
+        ip: '192.168.10.1',
+        commandPort: 8889,
+        videoPort: 11111,
+        statePort: 8890
+    },
+    control: {
+        rcRateHz: 20             // how often stick positions are sent in stick mode
+    },
+    video: {
+        width: 640,
+        height: 480,
+        frameRate: 30,
+        bitrate: 2000,           // kbit/s
+        minBitrate: 1000,
+        maxBitrate: 4000,
+        bufferSize: 8000,
+        quality: 5,              // MPEG1 q:v, 1 (best) .. 31
+        snapshotFps: 2,          // how often current_frame.jpg is refreshed for photo capture
+        defaultProfile: 'high',  // quality profile for viewers that do not pick one, see server/videoProfiles.js
+        adaptive: true           // switch viewers whose connection cannot keep up to a lower profile
+    },
+    webrtc: {
+        enabled: true,           // also offer the drone's H.264 untranscoded over WebRTC, see server/webrtc.js
+        rtpPort: 5004,           // local UDP port the primary drone's FFmpeg sends RTP to
+        maxViewers: 8            // concurrent WebRTC viewers per drone
+    },
+    live: {
+        enabled: false,          // write a rolling HLS/DASH window served under /live, see server/liveOutput.js
+        format: 'hls',           // 'hls', 'dash' or 'both'
+        segmentSeconds: 2,       // target segment length, segments still end on the drone's keyframes
+        windowSegments: 6        // segments kept in the playlist
+    },
+    recording: {
+        crf: 23,
+        preset: 'ultrafast'
+    },
+    fleet: {
+        maxDrones: 8,            // Tello EDUs in station mode, each gets the next state and video port
+        statePortBase: 8900,
+        videoPortBase: 11200,
+        rtpPortBase: 5100        // local RTP ports for fleet drones' WebRTC video
+    },
+    provisioning: {
+        subnet: '192.168.1.0/24', // where drones switched to station mode are looked for
+        scanTimeoutMs: 2000      // how long to wait for 'command' replies during a scan
+    },
+    safety: {
+        enabled: true,           // geofence every outgoing command, see server/geofence.js
+        mode: 'reject',          // 'reject' refuses moves that leave the fence, 'clamp' shortens them to its edge
+        shape: 'cylinder',       // 'cylinder' (radius) or 'box' (length x width), centered on the takeoff point
+        radius: 500,             // cm
+        boxLength: 1000,         // cm along the heading at takeoff
+        boxWidth: 1000,          // cm across it
+        maxAltitude: 300,        // cm above the takeoff point
+        maxDistance: 800,        // cm straight-line from the takeoff point
+        overrideToken: ''        // sent as X-Safety-Override to bypass the fence; empty disables overrides
+    },
+    failsafe: {
+        enabled: true,           // see server/failsafe.js
+        batteryWarning: 25,      // %, warn the pilot
+        batteryLand: 15,         // %, land automatically
+        linkLossTimeout: 15,     // s without control input (commands, sticks, pilot heartbeat) before acting, 0 disables
+        linkLossAction: 'land',  // 'land' or 'hover'
+        droneSilentTimeout: 5    // s without telemetry before landing
+    }
+};
+
+const X264_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+
+// Every setting that can be overridden, with its env var, CLI flag and validation
+const OPTIONS = [
+    { path: 'server.port', env: 'PORT', flag: 'port', type: 'port' },
+    { path: 'server.streamPort', env: 'STREAM_PORT', flag: 'stream-port', type: 'port' },
+    { path: 'server.stateStreamRateHz', env: 'STATE_STREAM_RATE_HZ', flag: 'state-rate', type: 'number', min: 0.5, max: 30 },
+    { path: 'drone.ip', env: 'TELLO_IP', flag: 'tello-ip', type: 'host' },
+    { path: 'drone.commandPort', env: 'TELLO_PORT', flag: 'tello-port', type: 'port' },
+    { path: 'drone.videoPort', env: 'TELLO_VIDEO_PORT', flag: 'video-port', type: 'port' },
+    { path: 'drone.statePort', env: 'TELLO_STATE_PORT', flag: 'state-port', type: 'port' },
+    { path: 'control.rcRateHz', env: 'RC_RATE_HZ', flag: 'rc-rate', type: 'integer', min: 1, max: 50 },
+    { path: 'video.width', env: 'VIDEO_WIDTH', flag: 'video-width', type: 'integer', min: 160, max: 1920, even: true },
+    { path: 'video.height', env: 'VIDEO_HEIGHT', flag: 'video-height', type: 'integer', min: 120, max: 1080, even: true },
+    { path: 'video.frameRate', env: 'VIDEO_FRAME_RATE', flag: 'video-fps', type: 'integer', min: 1, max: 60 },
+    { path: 'video.bitrate', env: 'VIDEO_BITRATE', flag: 'video-bitrate', type: 'integer', min: 100, max: 20000 },
+    { path: 'video.minBitrate', env: 'VIDEO_MIN_BITRATE', flag: 'video-min-bitrate', type: 'integer', min: 0, max: 20000 },
+    { path: 'video.maxBitrate', env: 'VIDEO_MAX_BITRATE', flag: 'video-max-bitrate', type: 'integer', min: 100, max: 40000 },
+    { path: 'video.bufferSize', env: 'VIDEO_BUFFER_SIZE', flag: 'video-buffer-size', type: 'integer', min: 100, max: 80000 },
+    { path: 'video.quality', env: 'VIDEO_QUALITY', flag: 'video-quality', type: 'integer', min: 1, max: 31 },
+    { path: 'video.snapshotFps', env: 'SNAPSHOT_FPS', flag: 'snapshot-fps', type: 'number', min: 0.1, max: 30 },
+    { path: 'video.defaultProfile', env: 'VIDEO_DEFAULT_PROFILE', flag: 'video-default-profile', type: 'enum', values: PROFILE_NAMES },
+    { path: 'video.adaptive', env: 'VIDEO_ADAPTIVE', flag: 'video-adaptive', type: 'boolean' },
+    { path: 'webrtc.enabled', env: 'WEBRTC_ENABLED', flag: 'webrtc-enabled', type: 'boolean' },
+    { path: 'webrtc.rtpPort', env: 'WEBRTC_RTP_PORT', flag: 'webrtc-rtp-port', type: 'port' },
+    { path: 'webrtc.maxViewers', env: 'WEBRTC_MAX_VIEWERS', flag: 'webrtc-max-viewers', type: 'integer', min: 1, max: 64 },
+    { path: 'live.enabled', env: 'LIVE_ENABLED', flag: 'live-enabled', type: 'boolean' },
+    { path: 'live.format', env: 'LIVE_FORMAT', flag: 'live-format', type: 'enum', values: ['hls', 'dash', 'both'] },
+    { path: 'live.segmentSeconds', env: 'LIVE_SEGMENT_SECONDS', flag: 'live-segment-seconds', type: 'integer', min: 1, max: 10 },
+    { path: 'live.windowSegments', env: 'LIVE_WINDOW_SEGMENTS', flag: 'live-window-segments', type: 'integer', min: 2, max: 30 },
+    { path: 'recording.crf', env: 'RECORDING_CRF', flag: 'recording-crf', type: 'integer', min: 0, max: 51 },
+    { path: 'recording.preset', env: 'RECORDING_PRESET', flag: 'recording-preset', type: 'enum', values: X264_PRESETS },
+    { path: 'fleet.maxDrones', env: 'FLEET_MAX_DRONES', flag: 'fleet-max-drones', type: 'integer', min: 1, max: 32 },
+    { path: 'fleet.statePortBase', env: 'FLEET_STATE_PORT_BASE', flag: 'fleet-state-port-base', type: 'port' },
+    { path: 'fleet.videoPortBase', env: 'FLEET_VIDEO_PORT_BASE', flag: 'fleet-video-port-base', type: 'port' },
+    { path: 'fleet.rtpPortBase', env: 'FLEET_RTP_PORT_BASE', flag: 'fleet-rtp-port-base', type: 'port' },
+    { path: 'provisioning.subnet', env: 'PROVISION_SUBNET', flag: 'provision-subnet', type: 'cidr' },
+    { path: 'provisioning.scanTimeoutMs', env: 'PROVISION_SCAN_TIMEOUT_MS', flag: 'provision-scan-timeout', type: 'integer', min: 200, max: 30000 },
+    { path: 'safety.enabled', env: 'SAFETY_ENABLED', flag: 'safety-enabled', type: 'boolean' },
+    { path: 'safety.mode', env: 'SAFETY_MODE', flag: 'safety-mode', type: 'enum', values: ['reject', 'clamp'] },
+    { path: 'safety.shape', env: 'SAFETY_SHAPE', flag: 'safety-shape', type: 'enum', values: ['cylinder', 'box'] },
+    { path: 'safety.radius', env: 'SAFETY_RADIUS', flag: 'safety-radius', type: 'integer', min: 50, max: 10000 },
+    { path: 'safety.boxLength', env: 'SAFETY_BOX_LENGTH', flag: 'safety-box-length', type: 'integer', min: 100, max: 20000 },
+    { path: 'safety.boxWidth', env: 'SAFETY_BOX_WIDTH', flag: 'safety-box-width', type: 'integer', min: 100, max: 20000 },
+    { path: 'safety.maxAltitude', env: 'SAFETY_MAX_ALTITUDE', flag: 'safety-max-altitude', type: 'integer', min: 100, max: 3000 },
+    { path: 'safety.maxDistance', env: 'SAFETY_MAX_DISTANCE', flag: 'safety-max-distance', type: 'integer', min: 100, max: 10000 },
+    { path: 'safety.overrideToken', env: 'SAFETY_OVERRIDE_TOKEN', flag: 'safety-override-token', type: 'string', minLength: 12, secret: true },
+    { path: 'failsafe.enabled', env: 'FAILSAFE_ENABLED', flag: 'failsafe-enabled', type: 'boolean' },
+    { path: 'failsafe.batteryWarning', env: 'FAILSAFE_BATTERY_WARNING', flag: 'failsafe-battery-warning', type: 'integer', min: 5, max: 90 },
+    { path: 'failsafe.batteryLand', env: 'FAILSAFE_BATTERY_LAND', flag: 'failsafe-battery-land', type: 'integer', min: 5, max: 90 },
+    { path: 'failsafe.linkLossTimeout', env: 'FAILSAFE_LINK_LOSS_TIMEOUT', flag: 'failsafe-link-loss-timeout', type: 'integer', min: 0, max: 300 },
+    { path: 'failsafe.linkLossAction', env: 'FAILSAFE_LINK_LOSS_ACTION', flag: 'failsafe-link-loss-action', type: 'enum', values: ['land', 'hover'] },
+    { path: 'failsafe.droneSilentTimeout', env: 'FAILSAFE_DRONE_SILENT_TIMEOUT', flag: 'failsafe-drone-silent-timeout', type: 'integer', min: 2, max: 60 }
+];
+
+const HOSTNAME = /^[A-Za-z0-9]([A-Za-z0-9-]*[A-Za-z0-9])?(\.[A-Za-z0-9]([A-Za-z0-9-]*[A-Za-z0-9])?)*$/;
+
+export class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n  ${errors.join('\n  ')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+const setPath = (object, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    keys.reduce((value, key) => value[key], object)[last] = value;
+};
+
+// Env vars and flags are strings, file values may already be typed. Returns [value, error].
+const coerce = (option, raw) => {
+    const { type, min, max, even, values, minLength } = option;
+
+    if (type === 'host') {
+        const host = String(raw).trim();
+        return isIP(host) || HOSTNAME.test(host) ? [host] : [null, 'must be an IP address or hostname'];
+    }
+
+    if (type === 'boolean') {
+        if (typeof raw === 'boolean') return [raw];
+        const text = String(raw).trim().toLowerCase();
+        if (['true', '1', 'yes'].includes(text)) return [true];
+        if (['false', '0', 'no'].includes(text)) return [false];
+        return [null, 'must be true or false'];
+    }
+
+    // Empty means unset
+    if (type === 'string') {
+        const text = String(raw);
+        return text === '' || text.length >= minLength ? [text] : [null, `must be empty or at least ${minLength} characters`];
+    }
+
+    if (type === 'cidr') {
+        const error = validateSubnet(String(raw).trim());
+        return error ? [null, error] : [String(raw).trim()];
+    }
+
+    if (type === 'enum') {
+        return values.includes(raw) ? [raw] : [null, `must be one of ${values.join(', ')}`];
+    }
+
+    const number = typeof raw === 'number' ? raw : (String(raw).trim() === '' ? NaN : Number(raw));
+
+    if (type === 'port') {
+        return Number.isInteger(number) && number >= 1 && number <= 65535 ? [number] : [null, 'must be a port number between 1 and 65535'];
+    }
+    if (type === 'integer' && !Number.isInteger(number)) {
+        return [null, `must be a whole number between ${min} and ${max}`];
+    }
+    if (!Number.isFinite(number) || number < min || number > max) {
+        return [null, `must be a number between ${min} and ${max}`];
+    }
+    if (even && number % 2 !== 0) {
+        return [null, 'must be an even number (required by the video encoder)'];
+    }
+    return [number];
+};
+
+const readConfigFile = (filePath, errors) => {
+    try {
+        const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (typeof content !== 'object' || content === null || Array.isArray(content)) {
+            errors.push(`${filePath}: must contain a JSON object`);
+            return {};
+        }
+        return content;
+    } catch (error) {
+        errors.push(`${filePath}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+        return {};
+    }
+};
+
+// Typos in the file should fail loudly rather than silently fall back to a default
+const findUnknownKeys = (content, defaults, prefix = '') => {
+    return Object.entries(content).flatMap(([key, value]) => {
+        const path = `${prefix}${key}`;
+        if (!Object.hasOwn(defaults, key)) return [path];
+        if (typeof defaults[key] === 'object') {
+            return typeof value === 'object' && value !== null ? findUnknownKeys(value, defaults[key], `${path}.`) : [];
+        }
+        return [];
+    });
+};
+
+const parseFlags = (argv, errors) => {
+    const options = Object.fromEntries(OPTIONS.map(option => [option.flag, { type: 'string' }]));
+    options.config = { type: 'string' };
+
+    try {
+        return parseArgs({ args: argv, options, strict: true, allowPositionals: false }).values;
+    } catch (error) {
+        errors.push(error.message);
+        return {};
+    }
+};
+
+// Build the effective config. Throws ConfigError listing every problem at once.
+export const loadConfig = ({ argv = process.argv.slice(2), env = process.env, defaultFile = null } = {}) => {
+    const errors = [];
+    const config = structuredClone(DEFAULT_CONFIG);
+    const flags = parseFlags(argv, errors);
+
+    // Layer 2: config file
+    const explicitFile = flags.config ?? env.CONFIG_FILE;
+    const filePath = explicitFile ? resolve(explicitFile) : defaultFile;
+    const fileContent = filePath && (explicitFile || fs.existsSync(filePath)) ? readConfigFile(filePath, errors) : {};
+
+    findUnknownKeys(fileContent, DEFAULT_CONFIG).forEach(path => {
+        errors.push(`${filePath}: unknown setting "${path}"`);
+    });
+
+    // Layers 2-4 for each option, the last layer that sets it wins and is the only one validated
+    OPTIONS.forEach(option => {
+        const layers = [
+            [getPath(fileContent, option.path), `config file ${filePath}`],
+            [env[option.env], `env ${option.env}`],
+            [flags[option.flag], `flag --${option.flag}`]
+        ].filter(([raw]) => raw !== undefined);
+
+        if (layers.length === 0) return;
+
+        const [raw, source] = layers[layers.length - 1];
+        const [value, error] = coerce(option, raw);
+        if (error) {
+            const shown = option.secret ? 'a hidden value' : JSON.stringify(raw); // keep tokens out of startup logs
+            errors.push(`${option.path} ${error} (got ${shown} from ${source})`);
+        } else {
+            setPath(config, option.path, value);
+        }
+    });
+
+    // Settings that are only invalid in combination
+    const localPorts = ['server.port', 'server.streamPort', 'drone.videoPort', 'drone.statePort', 'webrtc.rtpPort'];
+    localPorts.forEach((path, index) => {
+        const clash = localPorts.slice(0, index).find(other => getPath(config, other) === getPath(config, path));
+        if (clash) errors.push(`${path} and ${clash} both use port ${getPath(config, path)}`);
+    });
+
+    // Fleet drones take port ranges starting at the bases, those must stay clear of everything else
+    const { maxDrones, statePortBase, videoPortBase, rtpPortBase } = config.fleet;
+    const fleetRanges = [
+        ['fleet.statePortBase', statePortBase],
+        ['fleet.videoPortBase', videoPortBase],
+        ['fleet.rtpPortBase', rtpPortBase]
+    ];
+    fleetRanges.forEach(([path, base], index) => {
+        if (base + maxDrones - 1 > 65535) {
+            errors.push(`${path} ${base} leaves no room for ${maxDrones} drones`);
+        }
+        localPorts.forEach(other => {
+            const port = getPath(config, other);
+            if (port >= base && port < base + maxDrones) {
+                errors.push(`${other} (${port}) falls inside the fleet range of ${path} (${base}-${base + maxDrones - 1})`);
+            }
+        });
+        fleetRanges.slice(0, index).forEach(([otherPath, otherBase]) => {
+            if (Math.abs(base - otherBase) < maxDrones) {
+                errors.push(`${otherPath} and ${path} ranges overlap for ${maxDrones} drones`);
+            }
+        });
+    });
+
+    if (config.failsafe.batteryLand >= config.failsafe.batteryWarning) {
+        errors.push(`failsafe.batteryLand (${config.failsafe.batteryLand}) must be below failsafe.batteryWarning (${config.failsafe.batteryWarning})`);
+    }
+
+    const { minBitrate, bitrate, maxBitrate } = config.video;
+    if (minBitrate > bitrate || bitrate > maxBitrate) {
+        errors.push(`video bitrates must satisfy minBitrate <= bitrate <= maxBitrate (got ${minBitrate}/${bitrate}/${maxBitrate})`);
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+
+    return deepFreeze(config);
+};
+
+const deepFreeze = (object) => {
+    Object.values(object).forEach(value => {
+        if (typeof value === 'object' && value !== null) deepFreeze(value);
+    });
+    return Object.freeze(object);
+};
+
+// The subset the frontend needs to reach the server and size the player
+export const getClientConfig = (config) => ({
+    port: config.server.port,
+    streamPort: config.server.streamPort,
+    stateStreamRateHz: config.server.stateStreamRateHz,
+    video: {
+        width: config.video.width,
+        height: config.video.height,
+        frameRate: config.video.frameRate,
+        defaultProfile: config.video.defaultProfile,
+        profiles: describeProfiles(config.video) // { low: { width, height, frameRate }, ... }
+    },
+    webrtc: {
+        enabled: config.webrtc.enabled
+    },
+    provisioning: {
+        subnet: config.provisioning.subnet
+    }
+});
+
+export default loadConfig;
@@ -0,0 +1,363 @@
+import dgram from 'dgram';
+import fs from 'fs';
+import { spawn } from 'child_process';
+import { join } from 'path';
+import { CommandDispatcher } from './commandDispatcher.js';
+import { TelemetryListener } from './telemetry.js';
+import { RcController } from './rcController.js';
+import { MediaLibrary } from './media.js';
+import { Mp4Recorder } from './recorder.js';
+import { Geofence } from './geofence.js';
+import { Failsafe } from './failsafe.js';
+import { checkManeuver, explainManeuverError } from './maneuvers.js';
+import { buildStreamArgs } from './videoPipeline.js';
+import { WebRtcRelay } from './webrtc.js';
+import { VideoProfiles } from './videoProfiles.js';
+import { LiveOutput } from './liveOutput.js';
+import { Restreamer } from './restream.js';
+import { createHttpError } from './httpError.js';
+
+const RESTART_DELAY = 1000; // wait before restarting a crashed FFmpeg, like the primary stream does
+
+// One drone of the fleet with everything it needs of its own: a command socket and dispatcher, a telemetry
+// port, the rc loop, an FFmpeg pipeline, a WebRTC relay, a live HLS/DASH output, an RTMP/SRT restream, a recorder
+// and a media folder. Video and state only go to the WebSocket, WebRTC and SSE clients that subscribed to this
+// drone.
+export class DroneSession {
+    constructor({ id, ip, name, statePort, videoPort, rtpPort, mediaDir, config, getSwarmMission = () => null }) {
+        this.id = id;
+        this.ip = ip;
+        this.name = name || ip;
+        this.statePort = statePort; // moved here with the SDK 'port' command so drones don't share 8890/11111
+        this.videoPort = videoPort;
+        this.config = config;
+
+        this.connected = false;
+        this.streaming = false;
+        this.state = { lastUpdate: null }; // same fields as the primary drone state, filled in by telemetry
+        this.statePending = false;
+        this.stateBroadcast = null;
+
+        this.videoProcess = null;
+        this.videoClients = new Set(); // WebSocket clients on /drones/:id
+        this.nextVideoClientId = 1;
+        this.webrtc = new WebRtcRelay({ name: this.name, rtpPort, settings: config.webrtc });
+        this.videoProfiles = new VideoProfiles({
+            name: this.name,
+            video: config.video,
+            defaultProfile: config.video.defaultProfile,
+            adaptive: config.video.adaptive
+        });
+        this.live = new LiveOutput({
+            name: this.name,
+            dir: join(mediaDir, 'live'),
+            baseUrl: `/drones/${encodeURIComponent(id)}/live`,
+            settings: config.live
+        });
+        this.restreamer = new Restreamer({ name: this.name, isStreaming: () => this.streaming });
+        this.sseClients = new Map();   // clientId -> send function, like ServerState.sseClients
+
+        this.dirs = {
+            photos: join(mediaDir, 'photos'),
+            recordings: join(mediaDir, 'recordings')
+        };
+        Object.values(this.dirs).forEach(dir => fs.mkdirSync(dir, { recursive: true, mode: 0o755 }));
+        this.snapshotPath = join(this.dirs.photos, 'current_frame.jpg');
+
+        this.socket = dgram.createSocket('udp4');
+        this.geofence = new Geofence({ safety: config.safety });
+        this.dispatcher = new CommandDispatcher({
+            socket: this.socket,
+            host: ip,
+            port: config.drone.commandPort,
+            guard: (command, options) => this.geofence.guard(command, options)
+        });
+        this.rcController = new RcController({ dispatcher: this.dispatcher, rateHz: config.control.rcRateHz });
+        this.telemetry = new TelemetryListener({ port: statePort });
+        this.media = new MediaLibrary({ dirs: this.dirs, baseUrl: `/drones/${encodeURIComponent(id)}/media` });
+        this.recorder = new Mp4Recorder({
+            dir: this.dirs.recordings,
+            recording: config.recording,
+            getBattery: () => this.state.battery ?? null
+        });
+
+        this.socket.on('error', (error) => console.error(`[${this.name}] command socket error:`, error.message));
+        this.dispatcher.on('result', (result) => this.recorder.logCommand(result));
+        this.dispatcher.on('result', (result) => this.geofence.handleResult(result));
+        this.failsafe = new Failsafe({
+            settings: config.failsafe,
+            actions: {
+                // A swarm mission lands the whole group through its own abort, so it doesn't fly its next step
+                land: async () => {
+                    const mission = getSwarmMission();
+                    if (mission) {
+                        mission.abort();
+                        return;
+                    }
+                    this.rcController.center();
+                    await this.dispatcher.send('land');
+                },
+                hover: async () => {
+                    const mission = getSwarmMission();
+                    if (mission?.status === 'running') mission.pause();
+                    this.rcController.center();
+                    await this.dispatcher.send('stop');
+                }
+            },
+            isFlying: () => this.geofence.flying,
+            isAutonomous: () => getSwarmMission() !== null
+        });
+        this.dispatcher.on('result', (result) => this.failsafe.handleResult(result));
+        this.failsafe.on('event', (event) => {
+            console.warn(`[${this.name}] failsafe ${event.type}: ${event.message}`);
+            this.broadcastSSEEvent(event.type, event);
+        });
+        this.videoProfiles.on('profile', (event) => this.broadcastSSEEvent('video-profile', event));
+        this.restreamer.on('status', (status) => this.broadcastSSEEvent('restream', status));
+        this.geofence.on('violation', (violation) => {
+            console.warn(`[${this.name}] geofence ${violation.action}: ${violation.command} ${violation.reason}`);
+            this.broadcastSSEEvent('geofence', violation);
+        });
+
+        this.telemetry.on('state', (state, rinfo) => {
+            if (rinfo.address !== this.ip) return; // the port is ours alone, but ignore strays anyway
+            Object.assign(this.state, state, { lastUpdate: Date.now() });
+            this.geofence.updateTelemetry(state);
+            this.failsafe.updateTelemetry(state);
+            this.statePending = true;
+        });
+        this.telemetry.on('error', (error) => {
+            console.error(`[${this.name}] telemetry error:`, error.message);
+        });
+    }
+
+    describe() {
+        return {
+            id: this.id,
+            ip: this.ip,
+            name: this.name,
+            connected: this.connected,
+            streaming: this.streaming,
+            recording: this.recorder.isActive(),
+            statePort: this.statePort,
+            videoPort: this.videoPort,
+            state: this.state
+        };
+    }
+
+    // Enter SDK mode and point the drone's state and video streams at our ports. 'port' needs SDK 2.0 or later
+    // (Tello EDU, RoboMaster TT); there is no falling back to 8890/11111, the primary drone is listening there.
+    async connect() {
+        this.telemetry.start();
+
+        const result = await this.dispatcher.send('command');
+        if (result.status !== 'ok') {
+            return result;
+        }
+
+        const ports = await this.dispatcher.send(`port ${this.statePort} ${this.videoPort}`);
+        if (ports.status === 'error') {
+            return { ...ports, reason: `refused the 'port' command (${ports.reason}), fleet drones need SDK 2.0 or later firmware (Tello EDU, RoboMaster TT)` };
+        }
+        if (ports.status !== 'ok') {
+            return { ...ports, reason: `could not assign ports: ${ports.reason}` };
+        }
+
+        this.connected = true;
+        await this.webrtc.start();
+        this.startStateBroadcast();
+        this.failsafe.start();
+        return result;
+    }
+
+    // Same rules as GET /drone/:command for the primary drone; options.override bypasses the geofence
+    async sendCommand(command, options = {}) {
+        this.failsafe.noteInput();
+        if (command === 'command') {
+            return this.connect();
+        }
+
+        // Discrete landing commands must not be fought by sticks still held over from stick mode
+        if (command === 'land' || command === 'emergency') {
+            this.rcController.center();
+        }
+
+        checkManeuver(command, this.state);
+        const result = await this.dispatcher.send(command, options);
+
+        if (result.status === 'error') {
+            return { ...result, reason: explainManeuverError(command, result.reason, this.state) };
+        }
+        if (result.status === 'ok') {
+            if (command === 'streamon') this.startVideo();
+            if (command === 'streamoff') this.stopVideo();
+        }
+        return result;
+    }
+
+    // ==== VIDEO ====
+    startVideo() {
+        this.streaming = true;
+        if (this.videoProcess) return;
+
+        const ffmpeg = spawn('ffmpeg', buildStreamArgs({
+            inputPort: this.videoPort,
+            video: this.config.video,
+            snapshotPath: this.snapshotPath,
+            rtpPort: this.webrtc.isAvailable() ? this.webrtc.rtpPort : null
+        }), { stdio: ['pipe', 'pipe', 'pipe', 'pipe'] }); // fd 3: the H.264 copy for the quality profiles
+        this.videoProcess = ffmpeg;
+        this.videoProfiles.restartEncoders();
+        this.live.start();
+        this.restreamer.restart();
+
+        ffmpeg.stdout.on('data', (chunk) => {
+            this.videoProfiles.writeMain(chunk);
+
+            if (this.recorder.isActive()) {
+                this.recorder.write(chunk);
+            }
+        });
+        ffmpeg.stdio[3].on('data', (chunk) => {
+            this.videoProfiles.writeSource(chunk);
+            this.live.write(chunk);
+            this.restreamer.write(chunk);
+        });
+
+        ffmpeg.stderr.on('data', (data) => {
+            const message = data.toString().trim();
+            if (message && !message.includes('Last message repeated')) {
+                console.error(`[${this.name}] FFmpeg:`, message);
+            }
+        });
+
+        const handleExit = () => {
+            if (this.videoProcess !== ffmpeg) return;
+            this.videoProcess = null;
+            if (this.streaming) {
+                console.log(`[${this.name}] FFmpeg exited, restarting...`);
+                setTimeout(() => this.streaming && this.startVideo(), RESTART_DELAY);
+            }
+        };
+        ffmpeg.on('error', (error) => {
+            console.error(`[${this.name}] FFmpeg process error:`, error.message);
+            handleExit();
+        });
+        ffmpeg.on('exit', handleExit);
+    }
+
+    stopVideo() {
+        this.streaming = false;
+        this.live.stop();
+        this.restreamer.close();
+        if (this.videoProcess) {
+            const ffmpeg = this.videoProcess;
+            this.videoProcess = null;
+            ffmpeg.kill();
+        }
+    }
+
+    // options: { profile, viewer, address } of the WebSocket connection
+    addVideoClient(ws, options) {
+        this.videoClients.add(ws);
+        this.videoProfiles.addClient(ws, { ...options, id: this.nextVideoClientId++ });
+        const remove = () => {
+            this.videoClients.delete(ws);
+            this.videoProfiles.removeClient(ws);
+        };
+        ws.on('close', remove);
+        ws.on('error', (error) => {
+            console.error(`[${this.name}] video client error:`, error.message);
+            remove();
+            ws.terminate();
+        });
+    }
+
+    // ==== MEDIA ====
+    async capturePhoto() {
+        if (!this.streaming) {
+            throw createHttpError(400, 'Video stream not active');
+        }
+
+        const timestamp = Date.now();
+        const fileName = `photo_${timestamp}.jpg`;
+        try {
+            await fs.promises.copyFile(this.snapshotPath, join(this.dirs.photos, fileName));
+        } catch (error) {
+            console.error(`[${this.name}] failed to capture photo:`, error.message);
+            throw createHttpError(500, 'Failed to capture photo');
+        }
+        return { fileName, timestamp };
+    }
+
+    startRecording() {
+        if (!this.streaming) {
+            throw createHttpError(400, 'Video stream not active');
+        }
+        return this.recorder.start();
+    }
+
+    stopRecording() {
+        return this.recorder.stop();
+    }
+
+    // ==== STATE STREAM ====
+    addSSEClient(clientId, send) {
+        this.sseClients.set(clientId, send);
+        send(this.state);
+    }
+
+    removeSSEClient(clientId) {
+        this.sseClients.delete(clientId);
+    }
+
+    broadcastSSEEvent(event, data) {
+        this.sseClients.forEach(send => send(data, event));
+    }
+
+    startStateBroadcast() {
+        if (this.stateBroadcast) return;
+
+        this.stateBroadcast = setInterval(() => {
+            if (!this.statePending) return;
+            this.statePending = false;
+            this.sseClients.forEach(send => send(this.state));
+        }, 1000 / this.config.server.stateStreamRateHz);
+    }
+
+    // ==== SHUTDOWN ====
+    // stopMotors sends 'emergency' first, the same last resort the primary drone gets on server shutdown
+    async close({ stopMotors = false } = {}) {
+        this.rcController.stop();
+        this.failsafe.stop();
+
+        if (stopMotors && this.connected) {
+            await this.dispatcher.send('emergency', { retries: 0 });
+        }
+
+        if (this.recorder.isActive()) {
+            await this.recorder.stop().catch(error => console.error(`[${this.name}] failed to stop recording:`, error.message));
+        }
+
+        this.stopVideo();
+        this.telemetry.stop();
+        clearInterval(this.stateBroadcast);
+        this.stateBroadcast = null;
+
+        this.broadcastSSEEvent('removed', { id: this.id });
+        this.videoClients.forEach(client => client.close(1001, 'Drone removed'));
+        this.videoClients.clear();
+        this.videoProfiles.close();
+        this.webrtc.close();
+
+        this.dispatcher.close();
+        try {
+            this.socket.close();
+        } catch (error) {
+            console.error(`[${this.name}] error closing command socket:`, error.message);
+        }
+        this.connected = false;
+    }
+}
+
+export default DroneSession;
@@ -0,0 +1,121 @@
+import { EventEmitter } from 'events';
+
+// Automatic reactions for when nobody (or nothing) is in control anymore:
+//   battery-warning  battery fell to failsafe.batteryWarning
+//   battery-land     battery fell to failsafe.batteryLand while flying, the drone is landed
+//   link-lost        no control input for failsafe.linkLossTimeout seconds, the drone lands or hovers
+//                    (failsafe.linkLossAction). Commands, sticks and the control UI's pilot heartbeat are input;
+//                    clients that only watch (state stream, video) are not, they can't fly the drone home
+//   drone-silent     the drone stopped talking to us (telemetry gone or commands timing out), the drone is landed
+// Each is emitted once per occurrence as 'event' ({ type, t, message, action, ... }) and re-armed when the
+// condition clears. Missions count as control input, they are meant to fly unattended.
+
+const CHECK_INTERVAL = 1000;
+const TIMEOUTS_BEFORE_SILENT = 2; // consecutive unanswered commands, for setups where telemetry never arrives
+const BATTERY_REARM_MARGIN = 5;   // % above a threshold before it can fire again (fresh battery)
+const REPLY_STATUSES = ['ok', 'value', 'error'];
+
+export class Failsafe extends EventEmitter {
+    constructor({ settings, actions, isFlying, isAutonomous = () => false }) {
+        super();
+        this.settings = settings;             // config.failsafe
+        this.actions = actions;               // { land, hover }, both async
+        this.isFlying = isFlying;
+        this.isAutonomous = isAutonomous;     // e.g. a mission is running
+
+        this.battery = null;
+        this.lastInputAt = Date.now();
+        this.lastTelemetryAt = null;
+        this.consecutiveTimeouts = 0;
+        this.fired = new Set(); // event types waiting for their condition to clear
+        this.interval = null;
+    }
+
+    start() {
+        if (this.interval || !this.settings.enabled) return;
+        this.interval = setInterval(() => this.check(), CHECK_INTERVAL);
+    }
+
+    stop() {
+        clearInterval(this.interval);
+        this.interval = null;
+    }
+
+    // ==== INPUTS ====
+    noteInput() {
+        this.lastInputAt = Date.now();
+    }
+
+    updateTelemetry(state) {
+        this.lastTelemetryAt = Date.now();
+        if (Number.isFinite(state.battery)) {
+            this.battery = state.battery;
+        }
+    }
+
+    handleResult({ status }) {
+        if (status === 'timeout') {
+            this.consecutiveTimeouts += 1;
+        } else if (REPLY_STATUSES.includes(status)) {
+            this.consecutiveTimeouts = 0;
+        }
+    }
+
+    // ==== CHECKS ====
+    check() {
+        const now = Date.now();
+        const flying = this.isFlying();
+        const { batteryWarning, batteryLand, linkLossTimeout, linkLossAction, droneSilentTimeout } = this.settings;
+
+        // Battery
+        if (this.battery !== null) {
+            if (this.battery <= batteryLand && flying) {
+                this.fire('battery-land', 'land', `Battery at ${this.battery}%, landing (limit ${batteryLand}%)`, { battery: this.battery });
+            } else if (this.battery <= batteryWarning) {
+                this.fire('battery-warning', null, `Battery at ${this.battery}%, land soon (auto-land at ${batteryLand}%)`, { battery: this.battery });
+            }
+            if (this.battery > batteryWarning + BATTERY_REARM_MARGIN) this.fired.delete('battery-warning');
+            if (this.battery > batteryLand + BATTERY_REARM_MARGIN) this.fired.delete('battery-land');
+        }
+
+        // Operator: input that keeps coming
+        if (this.isAutonomous()) {
+            this.lastInputAt = now;
+        }
+        const idleSeconds = (now - this.lastInputAt) / 1000;
+        if (linkLossTimeout > 0 && flying && idleSeconds >= linkLossTimeout) {
+            const verb = linkLossAction === 'hover' ? 'hovering' : 'landing';
+            this.fire('link-lost', linkLossAction, `No pilot for ${Math.round(idleSeconds)}s, ${verb}`, { idleSeconds: Math.round(idleSeconds) });
+        } else if (idleSeconds < linkLossTimeout) {
+            this.fired.delete('link-lost');
+        }
+
+        // Drone: telemetry that stopped, or commands that go unanswered
+        const silentSeconds = this.lastTelemetryAt ? (now - this.lastTelemetryAt) / 1000 : 0;
+        const silent = silentSeconds >= droneSilentTimeout || this.consecutiveTimeouts >= TIMEOUTS_BEFORE_SILENT;
+        if (flying && silent) {
+            const reason = silentSeconds >= droneSilentTimeout
+                ? `No telemetry for ${Math.round(silentSeconds)}s`
+                : `${this.consecutiveTimeouts} commands in a row went unanswered`;
+            this.fire('drone-silent', 'land', `${reason}, landing`, { silentSeconds: Math.round(silentSeconds) });
+        } else if (!silent) {
+            this.fired.delete('drone-silent');
+        }
+    }
+
+    fire(type, action, message, details) {
+        if (this.fired.has(type)) return;
+        this.fired.add(type);
+
+        const event = { type, t: Date.now(), action, message, ...details };
+        this.emit('event', event);
+
+        if (action) {
+            this.actions[action]().catch(error => {
+                console.error(`Failsafe ${action} failed:`, error.message);
+            });
+        }
+    }
+}
+
+export default Failsafe;
@@ -0,0 +1,96 @@
+import { isIP } from 'net';
+import { join } from 'path';
+import { DroneSession } from './droneSession.js';
+import { resultStatusCode } from './commandDispatcher.js';
+import { createHttpError } from './httpError.js';
+
+const MAX_NAME_LENGTH = 40;
+
+// Registry of Tello EDUs flying in station mode on the local network, keyed by IP.
+// Each drone gets a slot, and its state, video and RTP ports are the configured bases plus that slot.
+// The primary drone (config.drone.ip) keeps the classic single-drone endpoints and is not part of the fleet.
+export class Fleet {
+    constructor({ config, mediaRoot, getSwarmMission = () => null }) {
+        this.config = config;
+        this.mediaRoot = mediaRoot; // uploads/drones/<ip>/{photos,recordings}
+        this.getSwarmMission = getSwarmMission; // ip -> runner of the swarm mission the drone flies in, or null
+        this.sessions = new Map();  // ip -> DroneSession
+        this.slots = new Map();     // ip -> slot index
+    }
+
+    get(id) {
+        return this.sessions.get(id) ?? null;
+    }
+
+    list() {
+        return [...this.sessions.values()].map(session => session.describe());
+    }
+
+    nextFreeSlot() {
+        const used = new Set(this.slots.values());
+        for (let slot = 0; slot < this.config.fleet.maxDrones; slot++) {
+            if (!used.has(slot)) return slot;
+        }
+        return null;
+    }
+
+    // Register a drone and put it in SDK mode; it is dropped again if it does not answer
+    async add({ ip, name }) {
+        if (typeof ip !== 'string' || isIP(ip) !== 4) {
+            throw createHttpError(400, 'ip must be an IPv4 address');
+        }
+        if (name !== undefined && (typeof name !== 'string' || name.length > MAX_NAME_LENGTH)) {
+            throw createHttpError(400, `name must be a string of at most ${MAX_NAME_LENGTH} characters`);
+        }
+        if (ip === this.config.drone.ip) {
+            throw createHttpError(409, `${ip} is the primary drone, use the /drone endpoints for it`);
+        }
+        if (this.sessions.has(ip)) {
+            throw createHttpError(409, `${ip} is already in the fleet`);
+        }
+
+        const slot = this.nextFreeSlot();
+        if (slot === null) {
+            throw createHttpError(409, `Fleet is full (${this.config.fleet.maxDrones} drones)`);
+        }
+
+        const session = new DroneSession({
+            id: ip,
+            ip,
+            name: name?.trim(),
+            statePort: this.config.fleet.statePortBase + slot,
+            videoPort: this.config.fleet.videoPortBase + slot,
+            rtpPort: this.config.fleet.rtpPortBase + slot,
+            mediaDir: join(this.mediaRoot, ip),
+            config: this.config,
+            getSwarmMission: () => this.getSwarmMission(ip)
+        });
+        this.sessions.set(ip, session);
+        this.slots.set(ip, slot);
+
+        const result = await session.connect();
+        if (result.status !== 'ok') {
+            await this.remove(ip);
+            throw createHttpError(resultStatusCode(result), `${ip} could not be connected: ${result.reason}`);
+        }
+
+        console.log(`Fleet: added ${session.name} (${ip}), state port ${session.statePort}, video port ${session.videoPort}`);
+        return session;
+    }
+
+    async remove(id, options) {
+        const session = this.sessions.get(id);
+        if (!session) return false;
+
+        this.sessions.delete(id);
+        this.slots.delete(id);
+        await session.close(options);
+        return true;
+    }
+
+    async closeAll(options) {
+        await Promise.all([...this.sessions.keys()].map(id => this.remove(id, options)));
+    }
+}
+
+export default Fleet;
@@ -0,0 +1,125 @@
+import fs from 'fs';
+import { join } from 'path';
+
+// Flight logs are NDJSON, one event per line, each with a millisecond timestamp 't' and a 'type':
+//   { "t": 1700000000000, "type": "session", "event": "start" }
+//   { "t": ..., "type": "command", "command": "takeoff" }
+//   { "t": ..., "type": "response", "command": "takeoff", "status": "ok", "response": "ok", "latency": 2900 }
+//   { "t": ..., "type": "state", "state": { "battery": 87, "h": 80, ... } }
+//   { "t": ..., "type": "error", "source": "ffmpeg", "message": "..." }
+
+const LOG_FILE_PATTERN = /^flight_\d+\.ndjson$/;
+
+// Only names we created ourselves, so a request can never point outside the logs folder
+export const isValidLogName = (name) => LOG_FILE_PATTERN.test(name);
+
+export const listFlightLogs = async (logsDir, activeName = null) => {
+    const names = (await fs.promises.readdir(logsDir)).filter(isValidLogName);
+
+    const logs = await Promise.all(names.map(async (name) => {
+        const stats = await fs.promises.stat(join(logsDir, name));
+        return {
+            name,
+            size: stats.size,
+            createdAt: Number(name.match(/\d+/)[0]),
+            modifiedAt: stats.mtimeMs,
+            active: name === activeName
+        };
+    }));
+
+    return logs.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+export const readFlightLog = async (filePath) => {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+
+    return content.split('\n').reduce((entries, line) => {
+        if (!line.trim()) return entries;
+        try {
+            entries.push(JSON.parse(line));
+        } catch {
+            // A crash can leave a half-written last line, skip it
+        }
+        return entries;
+    }, []);
+};
+
+export class FlightLogger {
+    constructor({ logsDir, stateSampleInterval = 200 }) {
+        this.logsDir = logsDir;
+        this.stateSampleInterval = stateSampleInterval; // telemetry arrives at ~10 Hz, keep every n ms of it
+        this.stream = null;
+        this.fileName = null;
+        this.lastStateAt = 0;
+        this.lastRc = null;
+    }
+
+    isActive() {
+        return this.stream !== null;
+    }
+
+    getActiveLogName() {
+        return this.fileName;
+    }
+
+    start() {
+        if (this.stream) return this.fileName;
+
+        this.fileName = `flight_${Date.now()}.ndjson`;
+        this.stream = fs.createWriteStream(join(this.logsDir, this.fileName), { flags: 'a' });
+        this.stream.on('error', (error) => {
+            console.error('Flight log write error:', error.message);
+            this.stream = null;
+        });
+
+        console.log(`Flight log started: ${this.fileName}`);
+        this.write('session', { event: 'start' });
+        return this.fileName;
+    }
+
+    stop() {
+        if (!this.stream) return;
+
+        this.write('session', { event: 'end' });
+        this.stream.end();
+        console.log(`Flight log closed: ${this.fileName}`);
+        this.stream = null;
+        this.fileName = null;
+    }
+
+    write(type, data = {}) {
+        if (!this.stream) return;
+        this.stream.write(`${JSON.stringify({ t: Date.now(), type, ...data })}\n`);
+    }
+
+    logCommand(command) {
+        // rc goes out at 20 Hz, only record it when the sticks actually move
+        if (command.startsWith('rc ')) {
+            if (command === this.lastRc) return;
+            this.lastRc = command;
+        }
+        this.write('command', { command });
+    }
+
+    logResult({ command, status, response, reason, latency, attempts }) {
+        // No-reply commands (rc) only ever produce a 'sent' result, that is their command entry
+        if (status === 'sent') {
+            this.logCommand(command);
+            return;
+        }
+        this.write('response', { command, status, response, reason, latency, attempts });
+    }
+
+    logState(state) {
+        const now = Date.now();
+        if (now - this.lastStateAt < this.stateSampleInterval) return;
+        this.lastStateAt = now;
+        this.write('state', { state });
+    }
+
+    logError(source, message) {
+        this.write('error', { source, message });
+    }
+}
+
+export default FlightLogger;
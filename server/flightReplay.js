@@ -0,0 +1,88 @@
+import { EventEmitter } from 'events';
+
+const MAX_SPEED = 64;
+
+// Plays a recorded flight log back with the original timing (divided by speed).
+// Emits 'state' for every recorded state sample, 'entry' for commands, responses and errors,
+// and 'progress' with getStatus() when playback starts and ends.
+export class FlightReplay extends EventEmitter {
+    constructor() {
+        super();
+        this.timer = null;
+        this.reset();
+    }
+
+    reset() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.name = null;
+        this.entries = [];
+        this.index = 0;
+        this.speed = 1;
+        this.status = 'idle'; // idle | playing | finished | stopped
+    }
+
+    isActive() {
+        return this.status === 'playing';
+    }
+
+    getStatus() {
+        const first = this.entries[0]?.t ?? 0;
+        const last = this.entries[this.entries.length - 1]?.t ?? 0;
+        const current = this.entries[Math.min(this.index, this.entries.length - 1)]?.t ?? first;
+
+        return {
+            status: this.status,
+            name: this.name,
+            speed: this.speed,
+            position: current - first, // ms into the recording
+            duration: last - first
+        };
+    }
+
+    start(name, entries, speed = 1) {
+        this.stop();
+        this.reset();
+
+        this.name = name;
+        this.entries = entries.filter(entry => Number.isFinite(entry.t));
+        this.speed = Math.min(MAX_SPEED, Math.max(0.1, Number(speed) || 1));
+        this.status = 'playing';
+
+        this.emit('progress', this.getStatus());
+        this.playNext();
+    }
+
+    playNext() {
+        if (this.index >= this.entries.length) {
+            this.status = 'finished';
+            this.emit('progress', this.getStatus());
+            return;
+        }
+
+        const entry = this.entries[this.index];
+
+        if (entry.type === 'state') {
+            this.emit('state', entry.state, entry);
+        } else if (entry.type !== 'session') {
+            this.emit('entry', entry);
+        }
+
+        this.index += 1;
+
+        const next = this.entries[this.index];
+        const delay = next ? Math.max(0, (next.t - entry.t) / this.speed) : 0;
+        this.timer = setTimeout(() => this.playNext(), delay);
+    }
+
+    stop() {
+        if (this.status !== 'playing') return;
+
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.status = 'stopped';
+        this.emit('progress', this.getStatus());
+    }
+}
+
+export default FlightReplay;
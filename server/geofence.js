@@ -0,0 +1,332 @@
+import { EventEmitter } from 'events';
+
+// Safety layer between the API and the drone. It keeps an estimate of where the drone is relative to its takeoff
+// point, dead-reckoned from the commands the drone confirmed (and, while the sticks are in use, from the velocity
+// it reports) and corrected by the height (h, tof) and yaw it reports, and refuses or shortens commands that would
+// take it outside the configured fence.
+//
+// Frame: x along the heading at takeoff, y to its right, z up, all in cm; yaw in degrees clockwise.
+// Emits 'violation' for every command that was rejected, clamped or let through by an override.
+
+const TAKEOFF_HEIGHT = 80; // cm, where a Tello hovers after takeoff
+const MIN_MOVE = 20;       // cm, shortest move the SDK accepts
+const MAX_VIOLATIONS = 100;
+const HEADINGS = { forward: 0, right: 90, back: 180, left: 270 };
+const STICK_COAST = 1500;     // ms the drone keeps drifting after the sticks are released
+const STICK_LOOKAHEAD = 100;  // cm, horizontal stick input is cut when this far ahead is outside the fence
+const MAX_VELOCITY_GAP = 0.5; // s, longer gaps between state packets are not integrated
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// jump always, go/curve when they name a mission pad (go x y z speed mid, curve x1 y1 z1 x2 y2 z2 speed mid)
+const isPadRelative = (name, args) =>
+    name === 'jump' || (name === 'go' && args.length > 4) || (name === 'curve' && args.length > 7);
+
+export class Geofence extends EventEmitter {
+    constructor({ safety }) {
+        super();
+        this.safety = safety; // config.safety
+        this.flying = false;
+        this.position = { x: 0, y: 0, z: 0 };
+        this.yaw = 0;
+        this.yawOffset = null;      // telemetry yaw at takeoff, telemetry yaw is relative to power-on
+        this.lastTelemetryYaw = null;
+        this.rcClimbBlocked = false;
+        this.rcOutwardBlocked = false;
+        this.sticksActiveUntil = 0; // velocity is integrated until then, confirmed moves cover the rest
+        this.lastVelocityAt = null;
+        this.violations = [];
+    }
+
+    // ==== ESTIMATE ====
+    // The drone only moved once it answered 'ok', so the estimate follows confirmed commands
+    handleResult({ command, status }) {
+        if (status !== 'ok' || !command) return;
+
+        const [name, ...args] = command.trim().split(/\s+/);
+        const numbers = args.map(Number);
+
+        switch (name) {
+            case 'takeoff':
+                this.flying = true;
+                this.position = { x: 0, y: 0, z: TAKEOFF_HEIGHT };
+                this.yaw = 0;
+                this.yawOffset = this.lastTelemetryYaw;
+                return;
+            case 'land':
+            case 'emergency':
+                this.flying = false;
+                this.position.z = 0;
+                return;
+            case 'cw':
+                this.yaw += numbers[0];
+                return;
+            case 'ccw':
+                this.yaw -= numbers[0];
+                return;
+        }
+
+        const delta = this.commandDelta(name, numbers);
+        if (delta) {
+            this.position = this.offset(delta);
+        }
+    }
+
+    // Telemetry is better than our bookkeeping for height and heading, it also sees stick mode and drift
+    updateTelemetry(state) {
+        if (Number.isFinite(state.yaw)) {
+            this.lastTelemetryYaw = state.yaw;
+            if (this.flying && this.yawOffset !== null) {
+                this.yaw = state.yaw - this.yawOffset;
+            }
+        }
+        if (!this.flying) return;
+
+        this.integrateVelocity(state);
+
+        const height = Number.isFinite(state.h) ? state.h : state.tof;
+        if (Number.isFinite(height) && height > 0) {
+            this.position.z = height;
+        }
+    }
+
+    // Stick flying has no confirmed moves to follow, so the horizontal velocity is integrated instead. The Tello
+    // reports vgx/vgy in dm/s in the frame it had at power-on, yawOffset turns that into the takeoff frame.
+    integrateVelocity({ vgx, vgy }) {
+        const now = Date.now();
+        const elapsed = this.lastVelocityAt === null ? 0 : (now - this.lastVelocityAt) / 1000;
+        this.lastVelocityAt = now;
+
+        if (now > this.sticksActiveUntil || this.yawOffset === null) return;
+        if (!Number.isFinite(vgx) || !Number.isFinite(vgy) || elapsed > MAX_VELOCITY_GAP) return;
+
+        const offset = toRadians(this.yawOffset);
+        const vx = vgx * 10;
+        const vy = vgy * 10;
+        this.position.x += (vx * Math.cos(offset) + vy * Math.sin(offset)) * elapsed;
+        this.position.y += (vy * Math.cos(offset) - vx * Math.sin(offset)) * elapsed;
+    }
+
+    // World-frame displacement of a move command, null for commands that don't move the drone
+    commandDelta(name, numbers) {
+        const [distance] = numbers;
+        if (name === 'up') return { x: 0, y: 0, z: distance };
+        if (name === 'down') return { x: 0, y: 0, z: -distance };
+
+        if (name in HEADINGS) {
+            const heading = toRadians(this.yaw + HEADINGS[name]);
+            return { x: distance * Math.cos(heading), y: distance * Math.sin(heading), z: 0 };
+        }
+
+        // go/curve are in the drone's own frame: x forward, y left, z up. A curve ends at its second point.
+        // With a mission pad they are in the pad's frame instead, which we can't place.
+        if ((name === 'go' || name === 'curve') && !isPadRelative(name, numbers)) {
+            const [x, y, z] = name === 'go' ? numbers.slice(0, 3) : numbers.slice(3, 6);
+            if (![x, y, z].every(Number.isFinite)) return null;
+
+            const heading = toRadians(this.yaw);
+            return {
+                x: x * Math.cos(heading) + y * Math.sin(heading),
+                y: x * Math.sin(heading) - y * Math.cos(heading),
+                z
+            };
+        }
+        return null;
+    }
+
+    offset(delta, fraction = 1) {
+        return {
+            x: this.position.x + delta.x * fraction,
+            y: this.position.y + delta.y * fraction,
+            z: this.position.z + delta.z * fraction
+        };
+    }
+
+    // ==== LIMITS ====
+    // Reason a point is outside the fence, null when it is inside
+    findViolation(point) {
+        const { shape, radius, boxLength, boxWidth, maxAltitude, maxDistance } = this.safety;
+        const round = Math.round;
+
+        if (point.z > maxAltitude) {
+            return `would reach ${round(point.z)} cm, above the ${maxAltitude} cm altitude limit`;
+        }
+
+        const horizontal = Math.hypot(point.x, point.y);
+        if (shape === 'cylinder' && horizontal > radius) {
+            return `would be ${round(horizontal)} cm from the takeoff point, outside the ${radius} cm fence radius`;
+        }
+        if (shape === 'box' && (Math.abs(point.x) > boxLength / 2 || Math.abs(point.y) > boxWidth / 2)) {
+            return `would leave the ${boxLength} x ${boxWidth} cm fence around the takeoff point`;
+        }
+
+        const distance = Math.hypot(point.x, point.y, point.z);
+        if (distance > maxDistance) {
+            return `would be ${round(distance)} cm from the takeoff point, beyond the ${maxDistance} cm limit`;
+        }
+        return null;
+    }
+
+    // Largest fraction of a move that stays inside the fence. The fence is convex, so bisection finds the edge.
+    maxFraction(delta) {
+        let inside = 0;
+        let outside = 1;
+        for (let i = 0; i < 20; i++) {
+            const middle = (inside + outside) / 2;
+            if (this.findViolation(this.offset(delta, middle))) {
+                outside = middle;
+            } else {
+                inside = middle;
+            }
+        }
+        return inside;
+    }
+
+    // ==== GUARD ====
+    // Called by the dispatcher for every outgoing command. Returns { command } to send (maybe shortened)
+    // or { rejected: reason }. options.override lets an admin through, which is still recorded.
+    guard(command, { override = false } = {}) {
+        if (!this.safety.enabled) return { command };
+
+        const [name, ...args] = command.trim().split(/\s+/);
+        const numbers = args.map(Number);
+
+        if (name === 'rc') return this.guardSticks(command, numbers);
+
+        // Anything else while landed is either harmless or refused by the drone itself
+        if (!this.flying) {
+            if (name === 'takeoff' && TAKEOFF_HEIGHT > this.safety.maxAltitude) {
+                return this.refuse(command, `would reach ${TAKEOFF_HEIGHT} cm, above the ${this.safety.maxAltitude} cm altitude limit`, override);
+            }
+            return { command };
+        }
+
+        // Mission pad moves are relative to pads we know nothing about
+        if (isPadRelative(name, args)) {
+            return this.refuse(command, 'moves relative to mission pads, so its target cannot be checked', override);
+        }
+
+        const delta = this.commandDelta(name, numbers);
+        if (!delta) return { command };
+
+        // A curve swings out through its first point before ending at the second
+        if (name === 'curve') {
+            const [x1, y1, z1] = numbers;
+            const via = this.commandDelta('go', [x1, y1, z1]);
+            const reason = (via && this.findViolation(this.offset(via))) ?? this.findViolation(this.offset(delta));
+            return reason ? this.refuse(command, reason, override) : { command };
+        }
+
+        const reason = this.findViolation(this.offset(delta));
+        if (!reason) return { command };
+
+        // Already outside (drift, stick mode): heading back toward the takeoff point is always allowed
+        const target = this.offset(delta);
+        const current = this.position;
+        if (this.findViolation(current) && Math.hypot(target.x, target.y, target.z) < Math.hypot(current.x, current.y, current.z)) {
+            return { command };
+        }
+
+        if (override) return this.refuse(command, reason, true);
+
+        if (this.safety.mode === 'clamp') {
+            const clamped = this.clamp(name, numbers, this.maxFraction(delta));
+            if (clamped) {
+                this.record({ command, action: 'clamped', reason, sent: clamped });
+                return { command: clamped };
+            }
+        }
+        return this.refuse(command, reason, false);
+    }
+
+    // Shorten a move to the given fraction, null when what is left is below the SDK minimum
+    clamp(name, numbers, fraction) {
+        if (name === 'go') {
+            const [x, y, z, speed] = numbers;
+            const scaled = [x, y, z].map(value => Math.trunc(value * fraction));
+            if (scaled.every(value => Math.abs(value) <= MIN_MOVE)) return null;
+            return `go ${scaled.join(' ')} ${speed}`;
+        }
+
+        const distance = Math.floor(numbers[0] * fraction);
+        return distance >= MIN_MOVE ? `${name} ${distance}` : null;
+    }
+
+    // Sticks can't be checked move by move. Climbing stops at the ceiling, and horizontal input is cut while it
+    // points out of the fence within STICK_LOOKAHEAD of its edge; yaw and heading back in stay possible.
+    guardSticks(command, [a, b, c, d]) {
+        if (a !== 0 || b !== 0 || c !== 0) {
+            this.sticksActiveUntil = Date.now() + STICK_COAST;
+        }
+
+        const climbBlocked = this.flying && c > 0 && this.position.z >= this.safety.maxAltitude;
+        const outwardBlocked = this.flying && (a !== 0 || b !== 0) && this.isLeavingFence(a, b);
+
+        if (climbBlocked && !this.rcClimbBlocked) {
+            this.record({ command, action: 'clamped', reason: `at the ${this.safety.maxAltitude} cm altitude limit, climbing disabled` });
+        }
+        if (outwardBlocked && !this.rcOutwardBlocked) {
+            this.record({ command, action: 'clamped', reason: 'at the fence edge, sticks toward it disabled' });
+        }
+        this.rcClimbBlocked = climbBlocked;
+        this.rcOutwardBlocked = outwardBlocked;
+
+        if (!climbBlocked && !outwardBlocked) return { command };
+        return { command: `rc ${outwardBlocked ? 0 : a} ${outwardBlocked ? 0 : b} ${climbBlocked ? 0 : c} ${d}` };
+    }
+
+    // a is right, b forward, as in 'rc a b c d'
+    isLeavingFence(a, b) {
+        const heading = toRadians(this.yaw);
+        const x = b * Math.cos(heading) - a * Math.sin(heading);
+        const y = b * Math.sin(heading) + a * Math.cos(heading);
+        const length = Math.hypot(x, y);
+        const ahead = {
+            x: this.position.x + (x / length) * STICK_LOOKAHEAD,
+            y: this.position.y + (y / length) * STICK_LOOKAHEAD,
+            z: Math.min(this.position.z, this.safety.maxAltitude)
+        };
+        const outward = Math.hypot(ahead.x, ahead.y) > Math.hypot(this.position.x, this.position.y);
+        return outward && this.findViolation(ahead) !== null;
+    }
+
+    refuse(command, reason, override) {
+        if (override) {
+            this.record({ command, action: 'overridden', reason });
+            return { command };
+        }
+        this.record({ command, action: 'rejected', reason });
+        return { rejected: `Geofence: ${command} ${reason}` };
+    }
+
+    record(entry) {
+        const violation = {
+            t: Date.now(),
+            ...entry,
+            position: this.getPosition()
+        };
+        this.violations.push(violation);
+        if (this.violations.length > MAX_VIOLATIONS) {
+            this.violations.shift();
+        }
+        this.emit('violation', violation);
+    }
+
+    getPosition() {
+        const { x, y, z } = this.position;
+        return { x: Math.round(x), y: Math.round(y), z: Math.round(z), yaw: Math.round(this.yaw) };
+    }
+
+    getStatus() {
+        const { overrideToken, ...limits } = this.safety;
+        return {
+            ...limits,
+            overrideEnabled: Boolean(overrideToken),
+            flying: this.flying,
+            position: this.getPosition(),
+            violations: this.violations
+        };
+    }
+}
+
+export default Geofence;
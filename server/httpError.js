@@ -0,0 +1,4 @@
+// Errors thrown by helpers that back a route carry the HTTP status the route should answer with
+export const createHttpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+export default createHttpError;
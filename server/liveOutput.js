@@ -0,0 +1,105 @@
+import fs from 'fs';
+import { spawn } from 'child_process';
+import { buildLiveArgs } from './videoPipeline.js';
+
+// A rolling HLS and/or DASH window of a drone's video for ordinary players (VLC, Safari, hls.js, dash.js).
+// One FFmpeg remuxes the stream process's H.264 copy into segments and a playlist in dir, which Express serves
+// under /live. It runs while the drone streams; stopping it deletes the window, so no stale playlist is left
+// behind for players to loop on.
+
+const RESTART_DELAY = 1000;
+
+export const LIVE_FILES = { hls: 'stream.m3u8', dash: 'stream.mpd' };
+
+export class LiveOutput {
+    constructor({ name, dir, baseUrl, settings }) {
+        this.name = name;
+        this.dir = dir;
+        this.baseUrl = baseUrl;   // where Express serves dir, e.g. /live
+        this.settings = settings; // config.live
+        this.process = null;
+        this.running = false;     // wanted by the stream, restarts the muxer if it exits on its own
+        this.startedAt = null;
+    }
+
+    isActive() {
+        return this.running;
+    }
+
+    // Playlist URLs by format, only those that are being written
+    getPlaylists() {
+        const { format } = this.settings;
+        return Object.fromEntries(Object.entries(LIVE_FILES)
+            .filter(([type]) => format === 'both' || format === type)
+            .map(([type, file]) => [type, `${this.baseUrl}/${file}`]));
+    }
+
+    describe() {
+        return {
+            enabled: this.settings.enabled,
+            active: this.running,
+            format: this.settings.format,
+            segmentSeconds: this.settings.segmentSeconds,
+            windowSegments: this.settings.windowSegments,
+            startedAt: this.startedAt,
+            playlists: this.running ? this.getPlaylists() : {}
+        };
+    }
+
+    // (Re)starts with an empty window, for a new stream process with its own timestamps
+    start() {
+        if (!this.settings.enabled) return;
+
+        this.stop();
+        fs.mkdirSync(this.dir, { recursive: true, mode: 0o755 });
+        this.running = true;
+        this.startedAt = Date.now();
+        this.spawnMuxer();
+    }
+
+    spawnMuxer() {
+        const ffmpeg = spawn('ffmpeg', buildLiveArgs({ live: this.settings, dir: this.dir }));
+        this.process = ffmpeg;
+
+        ffmpeg.stdin.on('error', () => {}); // EPIPE while the muxer exits, handled below
+        ffmpeg.stderr.on('data', (data) => {
+            const message = data.toString().trim();
+            if (message) console.error(`[${this.name}] live FFmpeg:`, message);
+        });
+
+        const handleExit = () => {
+            if (this.process !== ffmpeg) return;
+            this.process = null;
+            if (this.running) {
+                console.log(`[${this.name}] live output exited, restarting...`);
+                setTimeout(() => this.running && !this.process && this.spawnMuxer(), RESTART_DELAY);
+            }
+        };
+        ffmpeg.on('error', (error) => {
+            console.error(`[${this.name}] live output error:`, error.message);
+            handleExit();
+        });
+        ffmpeg.on('exit', handleExit);
+    }
+
+    write(chunk) {
+        const stdin = this.process?.stdin;
+        if (stdin?.writable) {
+            stdin.write(chunk);
+        }
+    }
+
+    // Synchronous so it can run from ServerState.cleanup on shutdown
+    stop() {
+        this.running = false;
+        this.startedAt = null;
+        if (this.process) {
+            const ffmpeg = this.process;
+            this.process = null;
+            ffmpeg.kill('SIGKILL'); // no trailer: a graceful exit would rewrite the playlist after it is removed
+        }
+        fs.rmSync(this.dir, { recursive: true, force: true });
+    }
+}
+
+export default LiveOutput;
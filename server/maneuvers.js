@@ -0,0 +1,59 @@
+import { createHttpError } from './httpError.js';
+import { MIN_FLIP_BATTERY } from '../shared/telloCommands.js';
+
+// The maneuvers the drone is picky about: flip, go, curve and jump. Their arguments are already checked against
+// shared/telloCommands.js; what is left depends on the drone's state. Known refusals are caught before sending,
+// and a bare 'error' from the drone is turned into the likely reason.
+
+const PAD_DETECTION_OFF = -2; // telemetry 'mid' while mission pad detection is off, -1 means no pad in view
+
+const MANEUVERS = ['flip', 'go', 'curve', 'jump'];
+const FLIP_DIRECTIONS = { l: 'left', r: 'right', f: 'forward', b: 'back' };
+const PAD_ARGUMENT = /^m-?\d$/;
+
+// Whether the command flies relative to a mission pad (go/curve with a trailing mid, or any jump)
+const usesMissionPad = (name, args) => name === 'jump' || PAD_ARGUMENT.test(args[args.length - 1] ?? '');
+
+// Throws a 409 when the drone's state means it will refuse the command. state is its latest telemetry.
+export const checkManeuver = (command, state) => {
+    const [name, ...args] = command.split(' ');
+    if (!MANEUVERS.includes(name)) return;
+
+    if (name === 'flip' && Number.isFinite(state.battery) && state.battery < MIN_FLIP_BATTERY) {
+        throw createHttpError(409, `Flips need at least ${MIN_FLIP_BATTERY}% battery, the drone is at ${state.battery}%`);
+    }
+    // Only Tello EDU reports 'mid', so without it there is nothing to go on
+    if (usesMissionPad(name, args) && state.mid === PAD_DETECTION_OFF) {
+        throw createHttpError(409, `${name} flies relative to a mission pad, but pad detection is off. Send 'mon' first.`);
+    }
+};
+
+// Readable reason for a maneuver the drone answered with 'error'; other commands keep the drone's own reason
+export const explainManeuverError = (command, reason, state) => {
+    const [name, ...args] = command.split(' ');
+    if (!MANEUVERS.includes(name)) return reason;
+
+    const said = reason && reason !== 'Drone returned error' ? ` (drone: ${reason})` : '';
+    if (/not flying/i.test(reason ?? '')) {
+        return `${name} needs the drone to be flying, take off first${said}`;
+    }
+
+    switch (name) {
+        case 'flip':
+            if (Number.isFinite(state.battery) && state.battery < MIN_FLIP_BATTERY) {
+                return `The drone refuses flips below ${MIN_FLIP_BATTERY}% battery, it is at ${state.battery}%${said}`;
+            }
+            return `The drone refused to flip ${FLIP_DIRECTIONS[args[0]] ?? args[0]}. It needs to be flying with room to spare and at least ${MIN_FLIP_BATTERY}% battery${said}`;
+        case 'go':
+            return usesMissionPad(name, args)
+                ? `The drone could not fly to the target: mission pad ${args[4]} is not in view${said}`
+                : `The drone could not fly to the target, it may be out of range or too close to the ground${said}`;
+        case 'curve':
+            return `The drone could not fly the arc. Both points must be reachable and the arc radius between 0.5 and 10 m${said}`;
+        case 'jump':
+            return `The drone could not jump: it needs to see mission pad ${args[5]} below it and then find ${args[6]}${said}`;
+    }
+    return reason;
+};
+
+export default checkManeuver;
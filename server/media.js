@@ -0,0 +1,156 @@
+import fs from 'fs';
+import { spawn } from 'child_process';
+import { join, extname } from 'path';
+import { createHttpError } from './httpError.js';
+import {
+    SIDECAR_ASSETS,
+    getSidecarPaths,
+    readRecordingMetadata,
+    removeRecordingSidecars,
+    renameRecordingSidecars
+} from './recordingMetadata.js';
+
+// Browsing photos and recordings under uploads/. Names are checked against a strict pattern before they ever
+// touch the filesystem, so '../' and friends are rejected rather than resolved.
+
+const SAFE_NAME = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,127}$/;
+const EXCLUDED_FILES = new Set(['current_frame.jpg']); // live MJPEG frame that FFmpeg keeps overwriting
+
+export const MEDIA_TYPES = {
+    photos: { extensions: ['.jpg', '.jpeg'] },
+    recordings: { extensions: ['.mp4'] }
+};
+
+export const isMediaType = (type) => Object.hasOwn(MEDIA_TYPES, type);
+
+export const isValidMediaName = (type, name) => {
+    return isMediaType(type) &&
+        SAFE_NAME.test(name) &&
+        !EXCLUDED_FILES.has(name) &&
+        MEDIA_TYPES[type].extensions.includes(extname(name).toLowerCase());
+};
+
+// Ask ffprobe for the duration in seconds, null when it can't tell (still recording, ffprobe missing, ...)
+export const probeDuration = (filePath) => {
+    return new Promise((resolve) => {
+        const ffprobe = spawn('ffprobe', [
+            '-v', 'error',
+            '-show_entries', 'format=duration',
+            '-of', 'default=noprint_wrappers=1:nokey=1',
+            filePath
+        ]);
+
+        let output = '';
+        ffprobe.stdout.on('data', (data) => { output += data; });
+        ffprobe.on('error', () => resolve(null));
+        ffprobe.on('close', (code) => {
+            const duration = parseFloat(output);
+            resolve(code === 0 && Number.isFinite(duration) ? duration : null);
+        });
+    });
+};
+
+export class MediaLibrary {
+    constructor({ dirs, baseUrl = '/media' }) {
+        this.dirs = dirs; // { photos: photosDir, recordings: mp4Dir }
+        this.baseUrl = baseUrl; // fleet drones serve their own folders under /drones/:id/media
+        this.durationCache = new Map(); // 'path:mtime' -> seconds, probing every listing would be slow
+    }
+
+    resolvePath(type, name) {
+        if (!isValidMediaName(type, name)) {
+            return null;
+        }
+        return join(this.dirs[type], name);
+    }
+
+    async getDuration(filePath, stats) {
+        const key = `${filePath}:${stats.mtimeMs}`;
+        if (!this.durationCache.has(key)) {
+            this.durationCache.set(key, await probeDuration(filePath));
+        }
+        return this.durationCache.get(key);
+    }
+
+    // Poster or preview rendered for a recording, null when it was never generated
+    resolveAssetPath(name, asset) {
+        const filePath = this.resolvePath('recordings', name);
+        if (!filePath || !SIDECAR_ASSETS.includes(asset)) {
+            return null;
+        }
+        const assetPath = getSidecarPaths(filePath)[asset];
+        return fs.existsSync(assetPath) ? assetPath : null;
+    }
+
+    async describe(type, name) {
+        const filePath = this.resolvePath(type, name);
+        const stats = await fs.promises.stat(filePath);
+        const url = `${this.baseUrl}/${type}/${encodeURIComponent(name)}`;
+
+        const item = {
+            type,
+            name,
+            size: stats.size,
+            createdAt: stats.birthtimeMs || stats.mtimeMs,
+            modifiedAt: stats.mtimeMs,
+            duration: null,
+            url
+        };
+
+        if (type === 'recordings') {
+            // Processed recordings carry a sidecar, older ones fall back to a quick ffprobe
+            const metadata = await readRecordingMetadata(filePath);
+            item.duration = metadata?.duration ?? await this.getDuration(filePath, stats);
+            item.metadata = metadata;
+            item.posterUrl = metadata?.poster ? `${url}/poster` : null;
+            item.previewUrl = metadata?.preview ? `${url}/preview` : null;
+        }
+
+        return item;
+    }
+
+    // Newest first, optionally limited to one type
+    async list(type = null, { exclude = [] } = {}) {
+        const types = type ? [type] : Object.keys(MEDIA_TYPES);
+
+        const items = await Promise.all(types.map(async (mediaType) => {
+            const names = await fs.promises.readdir(this.dirs[mediaType]);
+            return Promise.all(names
+                .filter(name => isValidMediaName(mediaType, name) && !exclude.includes(name))
+                .map(name => this.describe(mediaType, name)));
+        }));
+
+        return items.flat().sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    async remove(type, name) {
+        const filePath = this.resolvePath(type, name);
+        await fs.promises.unlink(filePath);
+        if (type === 'recordings') {
+            await removeRecordingSidecars(filePath);
+        }
+    }
+
+    // Renames within the same folder and keeps the original extension
+    async rename(type, name, newBaseName) {
+        const extension = extname(name);
+        const newName = `${newBaseName.replace(/\.[^.]*$/, '')}${extension}`;
+        const newPath = this.resolvePath(type, newName);
+
+        if (!newPath) {
+            throw createHttpError(400, 'New name may only contain letters, numbers, dots, dashes and underscores');
+        }
+        if (fs.existsSync(newPath)) {
+            throw createHttpError(409, `${newName} already exists`);
+        }
+
+        const filePath = this.resolvePath(type, name);
+        await fs.promises.rename(filePath, newPath);
+        if (type === 'recordings') {
+            await renameRecordingSidecars(filePath, newPath);
+        }
+        return newName;
+    }
+}
+
+export default MediaLibrary;
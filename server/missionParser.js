@@ -0,0 +1,208 @@
+import { validateCommand } from '../shared/telloCommands.js';
+import { getCommandProfile, redactCommand } from './commandDispatcher.js';
+
+// Missions are a list of steps, given either as JSON or as a small text DSL:
+//
+//   # square with a photo at every corner
+//   takeoff
+//   up 50
+//   repeat 4 {
+//       forward 100
+//       photo
+//       cw 90
+//   }
+//   wait 2
+//   land
+//
+// Step types after parsing:
+//   { type: 'command', command: 'up 50' }      any SDK command in shared/telloCommands.js, must be answered with 'ok'
+//   { type: 'wait', seconds: 2 }
+//   { type: 'photo' }
+//   { type: 'record', action: 'start' | 'stop' }
+//   { type: 'repeat', times: 4, steps: [...] }
+
+const MAX_WAIT_SECONDS = 300;
+const MAX_REPEAT = 100;
+const MAX_FLAT_STEPS = 1000; // guards against 'repeat 100 { repeat 100 { ... } }'
+
+export class MissionValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid mission: ${errors.join('; ')}`);
+        this.name = 'MissionValidationError';
+        this.errors = errors;
+    }
+}
+
+// Text DSL -> JSON steps. Line numbers are kept in error messages.
+export const parseMissionScript = (script) => {
+    const errors = [];
+    const root = { steps: [] };
+    const stack = [root];
+
+    script.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.replace(/#.*/, '').trim();
+        const lineNumber = index + 1;
+        if (!line) return;
+
+        const current = stack[stack.length - 1];
+
+        if (line === '}' || line === 'end') {
+            if (stack.length === 1) {
+                errors.push(`line ${lineNumber}: '${line}' without a matching repeat`);
+            } else {
+                stack.pop();
+            }
+            return;
+        }
+
+        const [keyword, ...args] = line.split(/\s+/);
+
+        switch (keyword) {
+            case 'repeat': {
+                const times = Number(args[0]);
+                const block = { type: 'repeat', times, steps: [] };
+                current.steps.push(block);
+                stack.push(block);
+                if (args.length > 2 || (args[1] && args[1] !== '{')) {
+                    errors.push(`line ${lineNumber}: expected 'repeat <times> {'`);
+                }
+                break;
+            }
+            case 'wait':
+                current.steps.push({ type: 'wait', seconds: Number(args[0]) });
+                break;
+            case 'photo':
+                current.steps.push({ type: 'photo' });
+                break;
+            case 'record':
+                current.steps.push({ type: 'record', action: args[0] });
+                break;
+            default:
+                current.steps.push({ type: 'command', command: line });
+        }
+    });
+
+    if (stack.length > 1) {
+        errors.push('unterminated repeat block');
+    }
+
+    if (errors.length > 0) {
+        throw new MissionValidationError(errors);
+    }
+
+    return root.steps;
+};
+
+// Check a step tree, collecting every problem instead of stopping at the first one
+const validateSteps = (steps, path, errors) => {
+    if (!Array.isArray(steps)) {
+        errors.push(`${path || 'steps'}: must be an array`);
+        return;
+    }
+
+    steps.forEach((step, index) => {
+        const where = `${path}${index + 1}`;
+
+        switch (step?.type) {
+            case 'command':
+                if (typeof step.command !== 'string' || !step.command.trim()) {
+                    errors.push(`step ${where}: command must be a non-empty string`);
+                } else if (getCommandProfile(step.command.trim()).sensitive) {
+                    // Steps are shown and logged as they are, Wi-Fi credentials have no place in them
+                    errors.push(`step ${where}: '${step.command.trim().split(/\s+/)[0]}' carries Wi-Fi credentials, use POST /provisioning/ap instead`);
+                } else {
+                    const { error } = validateCommand(step.command);
+                    if (error) errors.push(`step ${where}: ${error.message}`);
+                }
+                break;
+            case 'wait':
+                if (!Number.isFinite(step.seconds) || step.seconds <= 0 || step.seconds > MAX_WAIT_SECONDS) {
+                    errors.push(`step ${where}: wait must be between 0 and ${MAX_WAIT_SECONDS} seconds`);
+                }
+                break;
+            case 'photo':
+                break;
+            case 'record':
+                if (!['start', 'stop'].includes(step.action)) {
+                    errors.push(`step ${where}: record action must be 'start' or 'stop'`);
+                }
+                break;
+            case 'repeat':
+                if (!Number.isInteger(step.times) || step.times < 1 || step.times > MAX_REPEAT) {
+                    errors.push(`step ${where}: repeat count must be an integer between 1 and ${MAX_REPEAT}`);
+                }
+                validateSteps(step.steps, `${where}.`, errors);
+                break;
+            default:
+                errors.push(`step ${where}: unknown step type '${step?.type}'`);
+        }
+    });
+};
+
+// Number of steps a step list expands to, without expanding it (nested repeats multiply quickly)
+const countFlatSteps = (steps) => {
+    return steps.reduce((total, step) => (
+        total + (step.type === 'repeat' ? step.times * countFlatSteps(step.steps) : 1)
+    ), 0);
+};
+
+// Expand repeats into the linear list the runner executes. Each entry remembers the top-level step it came from
+// so the UI can highlight it.
+export const flattenSteps = (steps, sourceIndex = null, iteration = null) => {
+    return steps.flatMap((step, index) => {
+        const source = sourceIndex ?? index;
+
+        if (step.type === 'repeat') {
+            return Array.from({ length: step.times }, (_, pass) =>
+                flattenSteps(step.steps, source, pass + 1)
+            ).flat();
+        }
+
+        return [{ ...step, sourceIndex: source, iteration }];
+    });
+};
+
+export const describeStep = (step) => {
+    switch (step.type) {
+        case 'command': return redactCommand(step.command); // shown and logged the way the dispatcher reports it
+        case 'wait': return `wait ${step.seconds}s`;
+        case 'photo': return 'photo';
+        case 'record': return `record ${step.action}`;
+        default: return step.type;
+    }
+};
+
+// Accepts { name, steps } or { name, script } and returns { name, steps, flatSteps }, throwing MissionValidationError
+export const parseMission = (input) => {
+    if (!input || typeof input !== 'object') {
+        throw new MissionValidationError(['mission must be a JSON object with steps or script']);
+    }
+
+    const steps = typeof input.script === 'string'
+        ? parseMissionScript(input.script)
+        : input.steps;
+
+    const errors = [];
+    validateSteps(steps, '', errors);
+
+    if (errors.length === 0 && steps.length === 0) {
+        errors.push('mission has no steps');
+    }
+
+    if (errors.length > 0) {
+        throw new MissionValidationError(errors);
+    }
+
+    // Counted before expanding, the expansion itself is what the limit protects against
+    const flatCount = countFlatSteps(steps);
+    if (flatCount > MAX_FLAT_STEPS) {
+        throw new MissionValidationError([`mission expands to ${flatCount} steps, the limit is ${MAX_FLAT_STEPS}`]);
+    }
+    const flatSteps = flattenSteps(steps);
+
+    return {
+        name: typeof input.name === 'string' && input.name.trim() ? input.name.trim() : 'Untitled mission',
+        steps,
+        flatSteps
+    };
+};
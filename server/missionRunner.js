@@ -0,0 +1,198 @@
+import { EventEmitter } from 'events';
+import { describeStep } from './missionParser.js';
+
+// Runs a parsed mission step by step. Every SDK command must be answered with 'ok' before the next step starts.
+// Commands take the same path as the drone's HTTP command route (maneuver checks, streamon starting the video,
+// failsafe input), so a step behaves exactly like the pilot sending it. Emits 'progress' with getStatus()
+// whenever anything changes.
+//
+// Pausing takes effect between steps (the drone hovers after finishing its current move).
+// Aborting and failing both end with a 'land', queued right behind whatever the drone is still doing.
+export class MissionRunner extends EventEmitter {
+    constructor({ sendCommand, actions }) {
+        super();
+        this.sendCommand = sendCommand; // command -> dispatcher result, may throw (e.g. a refused maneuver)
+        this.actions = actions; // { capturePhoto, startRecording, stopRecording }
+        this.reset();
+    }
+
+    reset() {
+        this.mission = null;
+        this.status = 'idle'; // idle | running | paused | aborting | completed | aborted | failed
+        this.currentStep = -1;
+        this.error = null;
+        this.startedAt = null;
+        this.finishedAt = null;
+        this.abortRequested = false;
+        this.resumeWaiter = null; // resolves when a paused mission is resumed or aborted
+        this.waitTimer = null;
+        this.waitResolve = null;
+    }
+
+    isActive() {
+        return ['running', 'paused', 'aborting'].includes(this.status);
+    }
+
+    getStatus() {
+        const step = this.mission?.flatSteps[this.currentStep];
+
+        return {
+            status: this.status,
+            name: this.mission?.name ?? null,
+            currentStep: this.currentStep,
+            totalSteps: this.mission?.flatSteps.length ?? 0,
+            step: step ? {
+                label: describeStep(step),
+                sourceIndex: step.sourceIndex,
+                iteration: step.iteration
+            } : null,
+            error: this.error,
+            startedAt: this.startedAt,
+            finishedAt: this.finishedAt
+        };
+    }
+
+    emitProgress() {
+        this.emit('progress', this.getStatus());
+    }
+
+    start(mission) {
+        if (this.isActive()) {
+            throw new Error('A mission is already running');
+        }
+
+        this.reset();
+        this.mission = mission;
+        this.status = 'running';
+        this.startedAt = Date.now();
+        this.emitProgress();
+
+        // Runs in the background, callers follow progress events
+        this.run().catch(error => {
+            console.error('Mission runner crashed:', error);
+        });
+    }
+
+    async run() {
+        const { flatSteps } = this.mission;
+
+        for (let index = 0; index < flatSteps.length; index++) {
+            if (this.status === 'paused') {
+                await new Promise(resolve => { this.resumeWaiter = resolve; });
+            }
+            if (this.abortRequested) break;
+
+            this.currentStep = index;
+            this.emitProgress();
+
+            try {
+                await this.executeStep(flatSteps[index]);
+            } catch (error) {
+                if (this.abortRequested) break;
+                await this.finish('failed', `Step ${index + 1} (${describeStep(flatSteps[index])}) failed: ${error.message}`);
+                return;
+            }
+
+            if (this.abortRequested) break;
+        }
+
+        if (this.abortRequested) {
+            await this.finish('aborted', null);
+        } else {
+            await this.finish('completed', null);
+        }
+    }
+
+    async executeStep(step) {
+        switch (step.type) {
+            case 'command': {
+                const result = await this.sendCommand(step.command);
+                if (result.status !== 'ok') {
+                    throw new Error(result.reason ?? `unexpected reply '${result.response}'`);
+                }
+                return;
+            }
+            case 'wait':
+                await this.wait(step.seconds * 1000);
+                return;
+            case 'photo':
+                await this.actions.capturePhoto();
+                return;
+            case 'record':
+                if (step.action === 'start') {
+                    await this.actions.startRecording();
+                } else {
+                    await this.actions.stopRecording();
+                }
+                return;
+            default:
+                throw new Error(`unknown step type '${step.type}'`);
+        }
+    }
+
+    // A wait that abort() can cut short
+    wait(ms) {
+        return new Promise(resolve => {
+            this.waitResolve = resolve;
+            this.waitTimer = setTimeout(resolve, ms);
+        });
+    }
+
+    async finish(status, error) {
+        // Anything but a clean finish lands the drone; a completed mission already did what it was told
+        if (status !== 'completed') {
+            await this.land();
+        }
+
+        this.status = status;
+        this.error = error;
+        this.finishedAt = Date.now();
+        this.emitProgress();
+    }
+
+    async land() {
+        try {
+            const result = await this.sendCommand('land');
+            if (result.status !== 'ok') {
+                console.error('Mission landing did not confirm:', result.reason ?? result.response);
+            }
+        } catch (error) {
+            console.error('Failed to send mission landing:', error.message);
+        }
+    }
+
+    pause() {
+        if (this.status !== 'running') {
+            throw new Error('No running mission to pause');
+        }
+        this.status = 'paused';
+        this.emitProgress();
+    }
+
+    resume() {
+        if (this.status !== 'paused') {
+            throw new Error('Mission is not paused');
+        }
+        this.status = 'running';
+        this.resumeWaiter?.();
+        this.resumeWaiter = null;
+        this.emitProgress();
+    }
+
+    abort() {
+        if (!this.isActive()) {
+            throw new Error('No mission to abort');
+        }
+        this.abortRequested = true;
+        this.status = 'aborting';
+        this.emitProgress();
+
+        // Release a pause or a wait step so run() can reach the landing
+        this.resumeWaiter?.();
+        this.resumeWaiter = null;
+        clearTimeout(this.waitTimer);
+        this.waitResolve?.();
+    }
+}
+
+export default MissionRunner;
@@ -0,0 +1,91 @@
+import dgram from 'dgram';
+import { Buffer } from 'buffer';
+import { isIP } from 'net';
+import { createHttpError } from './httpError.js';
+
+// Getting a Tello EDU onto a shared network: 'ap <ssid> <password>' switches it from its own access point to
+// station mode, after which it reboots and joins the network. The scan then finds every drone there that
+// answers 'command' so it can join the fleet.
+
+const SSID_MAX_BYTES = 32;
+const PASSWORD_LENGTH = { min: 8, max: 63 }; // WPA2 passphrase
+const MIN_PREFIX = 22;                       // at most 1022 hosts per scan
+
+// The SDK splits commands on whitespace, so neither value can contain any
+export const buildApCommand = ({ ssid, password }) => {
+    if (typeof ssid !== 'string' || !ssid || /\s/.test(ssid) || Buffer.byteLength(ssid) > SSID_MAX_BYTES) {
+        throw createHttpError(400, `ssid must be 1-${SSID_MAX_BYTES} bytes without spaces`);
+    }
+    if (typeof password !== 'string' || /\s/.test(password) ||
+        password.length < PASSWORD_LENGTH.min || password.length > PASSWORD_LENGTH.max) {
+        throw createHttpError(400, `password must be ${PASSWORD_LENGTH.min}-${PASSWORD_LENGTH.max} characters without spaces`);
+    }
+    return `ap ${ssid} ${password}`;
+};
+
+const ipToNumber = (ip) => ip.split('.').reduce((number, octet) => number * 256 + Number(octet), 0);
+const numberToIp = (number) => [3, 2, 1, 0].map(byte => Math.floor(number / 256 ** byte) % 256).join('.');
+
+// Error message for an unusable subnet, null when it is fine
+export const validateSubnet = (cidr) => {
+    const [address, prefix, ...rest] = String(cidr).split('/');
+    const bits = Number(prefix);
+
+    if (rest.length > 0 || isIP(address) !== 4 || !Number.isInteger(bits)) {
+        return 'must be an IPv4 subnet in CIDR notation, e.g. 192.168.1.0/24';
+    }
+    if (bits < MIN_PREFIX || bits > 30) {
+        return `prefix must be between /${MIN_PREFIX} and /30`;
+    }
+    return null;
+};
+
+// Every usable host address, without the network and broadcast addresses
+export const listSubnetHosts = (cidr) => {
+    const [address, prefix] = cidr.split('/');
+    const size = 2 ** (32 - Number(prefix));
+    const network = ipToNumber(address) - (ipToNumber(address) % size);
+
+    return Array.from({ length: size - 2 }, (_, index) => numberToIp(network + index + 1));
+};
+
+// Send 'command' to every host in the subnet and resolve with the addresses that replied 'ok', in address order
+export const scanSubnet = ({ subnet, port, timeout }) => {
+    const error = validateSubnet(subnet);
+    if (error) {
+        return Promise.reject(createHttpError(400, `subnet ${error}`));
+    }
+
+    const hosts = listSubnetHosts(subnet);
+    const candidates = new Set(hosts);
+    const found = new Set();
+
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket('udp4');
+        const message = Buffer.from('command', 'utf8');
+        let timer = null;
+
+        socket.on('message', (msg, rinfo) => {
+            if (candidates.has(rinfo.address) && msg.toString().trim() === 'ok') {
+                found.add(rinfo.address);
+            }
+        });
+        socket.once('error', (socketError) => {
+            clearTimeout(timer);
+            socket.close();
+            reject(socketError);
+        });
+
+        socket.bind(0, () => {
+            // Unreachable hosts fail individually, that only means there is no drone there
+            hosts.forEach(host => socket.send(message, 0, message.length, port, host, () => {}));
+
+            timer = setTimeout(() => {
+                socket.close();
+                resolve(hosts.filter(host => found.has(host)));
+            }, timeout);
+        });
+    });
+};
+
+export default scanSubnet;
@@ -0,0 +1,81 @@
+// Continuous stick control via the SDK 'rc a b c d' command.
+// a: left/right, b: forward/back, c: up/down, d: yaw, each -100..100.
+// The browser posts stick positions whenever they change; this controller repeats the latest values to the drone
+// at a fixed rate, because a Tello only keeps moving while it keeps receiving rc commands.
+
+const CENTERED = { a: 0, b: 0, c: 0, d: 0 };
+const IDLE_TICKS_BEFORE_STOP = 5; // keep sending zeros for a few ticks so at least one arrives
+
+const clampStick = (value) => Math.max(-100, Math.min(100, Math.round(Number(value) || 0)));
+
+const isCentered = (sticks) => Object.values(sticks).every(value => value === 0);
+
+export class RcController {
+    constructor({ dispatcher, rateHz = 20, inputTimeout = 500 }) {
+        this.dispatcher = dispatcher;
+        this.rateHz = rateHz;
+        this.inputTimeout = inputTimeout; // center the sticks if the browser stops updating them
+        this.sticks = { ...CENTERED };
+        this.lastInputAt = null;
+        this.interval = null;
+        this.idleTicks = 0;
+    }
+
+    setSticks({ a, b, c, d }) {
+        this.sticks = {
+            a: clampStick(a),
+            b: clampStick(b),
+            c: clampStick(c),
+            d: clampStick(d)
+        };
+        this.lastInputAt = Date.now();
+        this.start();
+        return this.sticks;
+    }
+
+    center() {
+        this.sticks = { ...CENTERED };
+    }
+
+    getSticks() {
+        return this.sticks;
+    }
+
+    isActive() {
+        return this.interval !== null;
+    }
+
+    start() {
+        if (this.interval) return;
+
+        this.idleTicks = 0;
+        this.interval = setInterval(() => this.tick(), 1000 / this.rateHz);
+    }
+
+    tick() {
+        if (!isCentered(this.sticks) && Date.now() - this.lastInputAt > this.inputTimeout) {
+            console.warn(`No stick input for ${this.inputTimeout}ms, centering sticks`);
+            this.center();
+        }
+
+        const { a, b, c, d } = this.sticks;
+        this.dispatcher.send(`rc ${a} ${b} ${c} ${d}`).catch(error => {
+            console.error('Failed to send rc command:', error.message);
+        });
+
+        // Go quiet once the sticks have been centered for a while
+        this.idleTicks = isCentered(this.sticks) ? this.idleTicks + 1 : 0;
+        if (this.idleTicks >= IDLE_TICKS_BEFORE_STOP) {
+            this.stop();
+        }
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+}
+
+export default RcController;
@@ -0,0 +1,106 @@
+import { spawn } from 'child_process';
+import { join } from 'path';
+import { buildRecordingArgs } from './videoPipeline.js';
+import { processRecording } from './recordingMetadata.js';
+import { createHttpError } from './httpError.js';
+
+const STOP_TIMEOUT = 5000; // time FFmpeg gets to finalize the MP4 before it is killed
+
+// Records the MPEG-TS stream of one fleet drone into MP4s, one at a time, and post-processes each finished
+// clip into a metadata sidecar. Same lifecycle as the primary drone's recording in server.js.
+export class Mp4Recorder {
+    constructor({ dir, recording, getBattery = () => null }) {
+        this.dir = dir;
+        this.recording = recording; // config.recording
+        this.getBattery = getBattery;
+        this.current = null;        // { ffmpeg, fileName, filePath, closed, context }
+    }
+
+    isActive() {
+        return this.current !== null;
+    }
+
+    getFileName() {
+        return this.current?.fileName ?? null;
+    }
+
+    start() {
+        if (this.current) {
+            throw createHttpError(400, 'Recording already in progress');
+        }
+
+        const startedAt = Date.now();
+        const fileName = `video_${startedAt}.mp4`;
+        const filePath = join(this.dir, fileName);
+        const ffmpeg = spawn('ffmpeg', buildRecordingArgs({ recording: this.recording, outputPath: filePath }));
+
+        ffmpeg.stderr.on('data', (data) => {
+            const message = data.toString().trim();
+            if (message.toLowerCase().includes('error') || message.toLowerCase().includes('failed')) {
+                console.error('MP4 FFmpeg:', message);
+            }
+        });
+        ffmpeg.stdin.on('error', (error) => console.error('MP4 stream write error:', error.message));
+
+        const closed = new Promise(resolve => {
+            ffmpeg.once('close', resolve);
+            ffmpeg.once('error', (error) => {
+                console.error('MP4 process error:', error.message);
+                resolve();
+            });
+        });
+
+        this.current = {
+            ffmpeg,
+            fileName,
+            filePath,
+            closed,
+            context: { startedAt, endedAt: null, batteryStart: this.getBattery(), batteryEnd: null, commands: [] }
+        };
+
+        return { status: 'ok', message: 'Recording started successfully', fileName };
+    }
+
+    write(chunk) {
+        const stdin = this.current?.ffmpeg.stdin;
+        if (stdin?.writable) {
+            stdin.write(chunk);
+        }
+    }
+
+    // Dispatcher results while recording; rc and read commands would drown out the ones that shaped the clip
+    logCommand({ command, status }) {
+        const context = this.current?.context;
+        if (!context || status === 'sent' || !command || command.endsWith('?')) return;
+        context.commands.push({ t: Date.now() - context.startedAt, command, status });
+    }
+
+    // Finish the file and wait for its metadata (null if post-processing failed)
+    async stop() {
+        if (!this.current) {
+            throw createHttpError(400, 'No active recording');
+        }
+
+        const { ffmpeg, fileName, filePath, closed, context } = this.current;
+        this.current = null;
+        context.endedAt = Date.now();
+        context.batteryEnd = this.getBattery();
+
+        // Closing stdin lets FFmpeg write the MP4 trailer, it only gets killed if it hangs
+        ffmpeg.stdin.end();
+        const killTimer = setTimeout(() => ffmpeg.kill(), STOP_TIMEOUT);
+        await closed;
+        clearTimeout(killTimer);
+
+        let metadata = null;
+        try {
+            metadata = await processRecording(filePath, context);
+        } catch (error) {
+            console.error('Failed to process recording:', error.message);
+        }
+
+        return { status: 'ok', message: 'Recording stopped', fileName, metadata };
+    }
+}
+
+export default Mp4Recorder;
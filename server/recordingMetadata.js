@@ -0,0 +1,162 @@
+import fs from 'fs';
+import { spawn } from 'child_process';
+import { basename } from 'path';
+
+// Post-processing for finished MP4 recordings. Everything we learn about a clip is stored next to it:
+//   video_<ts>.mp4           the recording itself
+//   video_<ts>.json          sidecar with probe results and flight context
+//   video_<ts>_poster.jpg    still frame for the gallery
+//   video_<ts>_preview.gif   short looping preview
+
+const POSTER_WIDTH = 480;
+const PREVIEW_WIDTH = 240;
+const PREVIEW_SECONDS = 3;
+const PREVIEW_FPS = 8;
+
+export const SIDECAR_ASSETS = ['poster', 'preview'];
+
+export const getSidecarPaths = (videoPath) => {
+    const base = videoPath.replace(/\.mp4$/i, '');
+    return {
+        metadata: `${base}.json`,
+        poster: `${base}_poster.jpg`,
+        preview: `${base}_preview.gif`
+    };
+};
+
+// Run ffmpeg/ffprobe and collect stdout; null when it fails or isn't installed
+const runTool = (command, args) => {
+    return new Promise((resolve) => {
+        const child = spawn(command, args);
+
+        let output = '';
+        child.stdout.on('data', (data) => { output += data; });
+        child.stderr.resume(); // only -v error output, but an undrained pipe can stall the process
+        child.on('error', () => resolve(null));
+        child.on('close', (code) => resolve(code === 0 ? output : null));
+    });
+};
+
+export const probeVideo = async (filePath) => {
+    const output = await runTool('ffprobe', [
+        '-v', 'error',
+        '-select_streams', 'v:0',
+        '-show_entries', 'stream=width,height,nb_frames,avg_frame_rate:format=duration',
+        '-of', 'json',
+        filePath
+    ]);
+    if (output === null) return null;
+
+    try {
+        const { streams = [], format = {} } = JSON.parse(output);
+        const stream = streams[0] ?? {};
+        const duration = parseFloat(format.duration);
+        const [num, den] = (stream.avg_frame_rate ?? '0/0').split('/').map(Number);
+        const fps = den ? num / den : NaN;
+        const frames = parseInt(stream.nb_frames, 10);
+
+        return {
+            duration: Number.isFinite(duration) ? duration : null,
+            width: stream.width ?? null,
+            height: stream.height ?? null,
+            fps: Number.isFinite(fps) ? Math.round(fps * 100) / 100 : null,
+            // Fragmented or truncated files may not report a frame count, estimate it instead
+            frames: Number.isFinite(frames) ? frames :
+                Number.isFinite(duration) && Number.isFinite(fps) ? Math.round(duration * fps) : null
+        };
+    } catch {
+        return null;
+    }
+};
+
+const generatePoster = async (videoPath, posterPath, offset) => {
+    const output = await runTool('ffmpeg', [
+        '-v', 'error',
+        '-ss', String(offset),
+        '-i', videoPath,
+        '-frames:v', '1',
+        '-vf', `scale=${POSTER_WIDTH}:-2`,
+        '-y',
+        posterPath
+    ]);
+    return output !== null;
+};
+
+const generatePreview = async (videoPath, previewPath, offset) => {
+    const output = await runTool('ffmpeg', [
+        '-v', 'error',
+        '-ss', String(offset),
+        '-t', String(PREVIEW_SECONDS),
+        '-i', videoPath,
+        // A palette generated from the clip itself keeps the GIF from banding
+        '-vf', `fps=${PREVIEW_FPS},scale=${PREVIEW_WIDTH}:-2:flags=lanczos,split[a][b];[a]palettegen[p];[b][p]paletteuse`,
+        '-loop', '0',
+        '-y',
+        previewPath
+    ]);
+    return output !== null;
+};
+
+// Probe a finished recording, render its poster and preview and write the sidecar.
+// context is the flight context collected while recording: { startedAt, endedAt, batteryStart, batteryEnd, commands }
+export const processRecording = async (videoPath, context = {}) => {
+    const paths = getSidecarPaths(videoPath);
+    const stats = await fs.promises.stat(videoPath);
+    const probe = await probeVideo(videoPath);
+
+    // Skip the first second, the decoder is often still waiting for a keyframe there
+    const offset = probe?.duration ? Math.min(1, probe.duration / 2) : 0;
+    const hasPoster = await generatePoster(videoPath, paths.poster, offset);
+    const hasPreview = await generatePreview(videoPath, paths.preview, offset);
+
+    const metadata = {
+        fileName: basename(videoPath),
+        size: stats.size,
+        duration: probe?.duration ?? null,
+        width: probe?.width ?? null,
+        height: probe?.height ?? null,
+        fps: probe?.fps ?? null,
+        frames: probe?.frames ?? null,
+        poster: hasPoster ? basename(paths.poster) : null,
+        preview: hasPreview ? basename(paths.preview) : null,
+        flight: context,
+        processedAt: Date.now()
+    };
+
+    await fs.promises.writeFile(paths.metadata, JSON.stringify(metadata, null, 2));
+    return metadata;
+};
+
+export const readRecordingMetadata = async (videoPath) => {
+    try {
+        return JSON.parse(await fs.promises.readFile(getSidecarPaths(videoPath).metadata, 'utf8'));
+    } catch {
+        return null; // not processed (yet), or recorded before metadata existed
+    }
+};
+
+export const removeRecordingSidecars = async (videoPath) => {
+    await Promise.all(Object.values(getSidecarPaths(videoPath)).map(filePath =>
+        fs.promises.rm(filePath, { force: true })
+    ));
+};
+
+// Move the sidecars along with a renamed recording and point the metadata at the new names
+export const renameRecordingSidecars = async (videoPath, newVideoPath) => {
+    const from = getSidecarPaths(videoPath);
+    const to = getSidecarPaths(newVideoPath);
+
+    await Promise.all(SIDECAR_ASSETS.map(asset =>
+        fs.promises.rename(from[asset], to[asset]).catch(() => {})
+    ));
+
+    const metadata = await readRecordingMetadata(videoPath);
+    if (!metadata) return;
+
+    metadata.fileName = basename(newVideoPath);
+    SIDECAR_ASSETS.forEach(asset => {
+        if (metadata[asset]) metadata[asset] = basename(to[asset]);
+    });
+    await fs.promises.writeFile(to.metadata, JSON.stringify(metadata, null, 2));
+    await fs.promises.rm(from.metadata, { force: true });
+};
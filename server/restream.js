@@ -0,0 +1,224 @@
+import { EventEmitter } from 'events';
+import { spawn } from 'child_process';
+import { buildRestreamArgs } from './videoPipeline.js';
+import { createHttpError } from './httpError.js';
+
+// Pushes a drone's video to an RTMP or SRT endpoint (nginx-rtmp, MediaMTX, OBS, a streaming service) from the
+// stream process's H.264 copy, so nothing else has to bind the drone's video port. One FFmpeg per push, which
+// is restarted with a growing delay whenever the connection fails or drops, until the push is stopped.
+
+const FORMATS = { 'rtmp:': 'flv', 'rtmps:': 'flv', 'srt:': 'mpegts' };
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000, 30000]; // by consecutive failures, the last one repeats
+const STATUS_INTERVAL = 2000;             // status events while pushing, for bitrate and uptime
+const MAX_QUEUED_BYTES = 4 * 1024 * 1024; // video is dropped rather than queued when the endpoint stalls
+
+// { url, protocol, format } of a push target, throws 400 for anything FFmpeg should not be pointed at
+export const parseRestreamUrl = (url) => {
+    let parsed;
+    try {
+        parsed = new URL(String(url ?? '').trim());
+    } catch {
+        throw createHttpError(400, 'Expected { url } with an rtmp://, rtmps:// or srt:// URL');
+    }
+    const format = FORMATS[parsed.protocol];
+    if (!format || !parsed.hostname) {
+        throw createHttpError(400, `Unsupported restream URL, use rtmp://, rtmps:// or srt:// (got ${parsed.protocol}//)`);
+    }
+    return { url: parsed.href, protocol: parsed.protocol.slice(0, -1), format };
+};
+
+// Stream keys and SRT passphrases are secrets: status events go to every client of the state stream
+export const redactUrl = (url) => {
+    const parsed = new URL(url);
+    const [app, ...key] = parsed.pathname.split('/').filter(Boolean);
+    const path = app ? `/${app}${key.length > 0 ? '/***' : ''}` : '';
+    return `${parsed.protocol}//${parsed.host}${path}${parsed.search ? '?***' : ''}`;
+};
+
+// Emits 'status' (see describe) on every change and every STATUS_INTERVAL while pushing
+export class Restreamer extends EventEmitter {
+    constructor({ name, isStreaming }) {
+        super();
+        this.name = name;
+        this.isStreaming = isStreaming; // whether the drone's video is on, a push needs it
+        this.target = null;             // { url, protocol, format } while active
+        this.process = null;
+        this.state = 'stopped';         // 'connecting' | 'live' | 'reconnecting' | 'stopped'
+        this.startedAt = null;
+        this.connectedAt = null;        // when the current connection started sending
+        this.reconnectAttempts = 0;
+        this.failures = 0;              // in a row, picks the reconnect delay
+        this.sentBytes = 0;             // by the current connection, from FFmpeg's progress
+        this.bitrateKbps = null;
+        this.droppedBytes = 0;
+        this.lastError = null;
+        this.lastProgress = null;       // { at, bytes } for the bitrate
+        this.reconnectTimer = null;
+        this.statusTimer = null;
+    }
+
+    isActive() {
+        return this.target !== null;
+    }
+
+    describe() {
+        return {
+            active: this.isActive(),
+            state: this.state,
+            url: this.target ? redactUrl(this.target.url) : null,
+            protocol: this.target?.protocol ?? null,
+            startedAt: this.startedAt,
+            uptimeMs: this.connectedAt ? Date.now() - this.connectedAt : 0,
+            bitrateKbps: this.bitrateKbps,
+            sentBytes: this.sentBytes,
+            droppedBytes: this.droppedBytes,
+            reconnectAttempts: this.reconnectAttempts,
+            lastError: this.lastError
+        };
+    }
+
+    emitStatus() {
+        this.emit('status', this.describe());
+    }
+
+    start(url) {
+        if (this.isActive()) {
+            throw createHttpError(400, 'Restream already running, stop it first');
+        }
+        if (!this.isStreaming()) {
+            throw createHttpError(400, 'Video stream not active');
+        }
+
+        this.target = parseRestreamUrl(url);
+        Object.assign(this, { startedAt: Date.now(), reconnectAttempts: 0, failures: 0, droppedBytes: 0, lastError: null });
+        console.log(`[${this.name}] restreaming to ${redactUrl(this.target.url)}`);
+
+        this.spawnPusher('connecting');
+        this.statusTimer = setInterval(() => this.emitStatus(), STATUS_INTERVAL);
+        return this.describe();
+    }
+
+    spawnPusher(state) {
+        const ffmpeg = spawn('ffmpeg', buildRestreamArgs(this.target));
+        this.process = ffmpeg;
+        Object.assign(this, { state, connectedAt: null, sentBytes: 0, bitrateKbps: null, lastProgress: null });
+        this.emitStatus();
+
+        let progress = '';
+        ffmpeg.stdout.on('data', (data) => {
+            const lines = (progress + data.toString()).split('\n');
+            progress = lines.pop();
+            lines.forEach(line => this.handleProgress(line.trim()));
+        });
+        ffmpeg.stdin.on('error', () => {}); // EPIPE while the pusher exits, handled below
+        ffmpeg.stderr.on('data', (data) => {
+            const message = data.toString().trim();
+            if (message) {
+                this.lastError = message.split('\n').pop();
+                console.error(`[${this.name}] restream FFmpeg:`, message);
+            }
+        });
+
+        const handleExit = () => {
+            if (this.process !== ffmpeg) return;
+            this.process = null;
+            this.scheduleReconnect();
+        };
+        ffmpeg.on('error', (error) => {
+            this.lastError = error.message;
+            console.error(`[${this.name}] restream process error:`, error.message);
+            handleExit();
+        });
+        ffmpeg.on('exit', handleExit);
+    }
+
+    // total_size=<bytes> comes once per progress block; the first bytes out mean the endpoint took the stream
+    handleProgress(line) {
+        const [key, value] = line.split('=');
+        if (key !== 'total_size') return;
+
+        const bytes = Number(value);
+        if (!Number.isFinite(bytes) || bytes <= 0) return;
+
+        const now = Date.now();
+        if (this.lastProgress && now > this.lastProgress.at) {
+            this.bitrateKbps = Math.round(((bytes - this.lastProgress.bytes) * 8) / (now - this.lastProgress.at));
+        }
+        this.lastProgress = { at: now, bytes };
+        this.sentBytes = bytes;
+
+        if (this.state !== 'live') {
+            Object.assign(this, { state: 'live', connectedAt: now, failures: 0, lastError: null });
+            this.emitStatus();
+        }
+    }
+
+    scheduleReconnect() {
+        if (!this.isActive()) return;
+
+        const delay = RECONNECT_DELAYS[Math.min(this.failures, RECONNECT_DELAYS.length - 1)];
+        this.failures += 1;
+        this.reconnectAttempts += 1;
+        Object.assign(this, { state: 'reconnecting', connectedAt: null, bitrateKbps: null });
+        console.warn(`[${this.name}] restream connection lost, reconnecting in ${delay / 1000}s...`);
+        this.emitStatus();
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (this.isActive() && !this.process) this.spawnPusher('reconnecting');
+        }, delay);
+    }
+
+    // A new stream process starts a new MPEG-TS with fresh timestamps, the push starts over with it
+    restart() {
+        if (!this.isActive()) return;
+
+        this.killPusher();
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.spawnPusher('connecting');
+    }
+
+    write(chunk) {
+        const stdin = this.process?.stdin;
+        if (!stdin?.writable) return;
+
+        if (stdin.writableLength > MAX_QUEUED_BYTES) {
+            this.droppedBytes += chunk.length;
+            return;
+        }
+        stdin.write(chunk);
+    }
+
+    killPusher() {
+        if (!this.process) return;
+        const ffmpeg = this.process;
+        this.process = null;
+        ffmpeg.stdin.end();
+        ffmpeg.kill();
+    }
+
+    stop() {
+        if (!this.isActive()) {
+            throw createHttpError(400, 'No active restream');
+        }
+
+        console.log(`[${this.name}] restream to ${redactUrl(this.target.url)} stopped`);
+        this.target = null;
+        this.killPusher();
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.statusTimer);
+        this.reconnectTimer = null;
+        this.statusTimer = null;
+        Object.assign(this, { state: 'stopped', startedAt: null, connectedAt: null, bitrateKbps: null });
+        this.emitStatus();
+        return this.describe();
+    }
+
+    // For shutdown and streamoff, where there may be nothing to stop
+    close() {
+        if (this.isActive()) this.stop();
+    }
+}
+
+export default Restreamer;
@@ -0,0 +1,465 @@
+import dgram from 'dgram';
+import process from 'process';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+
+// Stand-in for a real Tello during development and tests. Speaks the SDK text protocol on the command port,
+// pushes state packets to the client on 8890 and streams an H.264 test pattern to 11111, so the whole
+// command -> telemetry -> FFmpeg -> WebSocket pipeline can run without an aircraft.
+//
+// Run it with `npm run simulator` and start the server with TELLO_IP=127.0.0.1.
+
+const TAKEOFF_HEIGHT = 80;  // cm, the height a real Tello hovers at after takeoff
+const MAX_HEIGHT = 3000;    // cm
+const DEFAULT_SPEED = 50;   // cm/s
+const STATE_RATE_HZ = 10;
+
+// Argument limits from the Tello SDK 2.0 docs
+const DISTANCE_RANGE = [20, 500];
+const ANGLE_RANGE = [1, 360];
+const SPEED_RANGE = [10, 100];
+
+const inRange = (value, [min, max]) => Number.isFinite(value) && value >= min && value <= max;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+export class TelloSimulator {
+    constructor({
+        host = '0.0.0.0',
+        commandPort = 8889,
+        statePort = 8890,
+        videoPort = 11111,
+        timeScale = 1,      // > 1 makes maneuvers and battery drain faster
+        video = true
+    } = {}) {
+        this.host = host;
+        this.commandPort = commandPort;
+        this.statePort = statePort;
+        this.videoPort = videoPort;
+        this.timeScale = timeScale;
+        this.videoEnabled = video;
+
+        this.socket = null;
+        this.client = null;        // { address, port } of whoever sent 'command'
+        this.tickInterval = null;
+        this.videoProcess = null;
+
+        this.reset();
+    }
+
+    reset() {
+        this.sdkMode = false;
+        this.flying = false;
+        this.streaming = false;
+        this.position = { x: 0, y: 0, z: 0 }; // cm, x forward / y right at yaw 0, z height
+        this.velocity = { x: 0, y: 0, z: 0 }; // cm/s
+        this.yaw = 0;
+        this.speed = DEFAULT_SPEED;
+        this.battery = 100;
+        this.flightTime = 0;     // seconds with motors on
+        this.maneuver = null;    // the move in progress, interpolated every tick
+        this.rc = { a: 0, b: 0, c: 0, d: 0 };
+        this.batteryAccumulator = 0;
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.socket = dgram.createSocket('udp4');
+
+            this.socket.on('message', (msg, rinfo) => this.handleCommand(msg.toString().trim(), rinfo));
+            this.socket.on('error', (error) => {
+                console.error('Simulator socket error:', error.message);
+                reject(error);
+            });
+
+            this.socket.bind(this.commandPort, this.host, () => {
+                this.tickInterval = setInterval(() => this.tick(1 / STATE_RATE_HZ), 1000 / STATE_RATE_HZ);
+                console.log(`Tello simulator listening on ${this.host}:${this.commandPort}`);
+                resolve(this);
+            });
+        });
+    }
+
+    stop() {
+        clearInterval(this.tickInterval);
+        this.tickInterval = null;
+        this.stopVideo();
+
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+
+    reply(message, rinfo) {
+        this.socket?.send(message, rinfo.port, rinfo.address);
+    }
+
+    handleCommand(text, rinfo) {
+        const [name, ...args] = text.split(/\s+/);
+
+        if (name === 'command') {
+            this.sdkMode = true;
+            this.client = { address: rinfo.address, port: rinfo.port };
+            this.reply('ok', rinfo);
+            return;
+        }
+
+        // A real Tello ignores everything until it is put in SDK mode
+        if (!this.sdkMode) return;
+
+        // rc is fire-and-forget on the real drone, it never answers
+        if (name === 'rc') {
+            const [a, b, c, d] = args.map(Number);
+            if ([a, b, c, d].every(v => inRange(v, [-100, 100]))) {
+                this.rc = { a, b, c, d };
+            }
+            return;
+        }
+
+        if (name === 'emergency') {
+            this.flying = false;
+            this.maneuver = null;
+            this.position.z = 0;
+            this.rc = { a: 0, b: 0, c: 0, d: 0 };
+            this.reply('ok', rinfo);
+            return;
+        }
+
+        if (name.endsWith('?')) {
+            this.reply(this.readValue(name), rinfo);
+            return;
+        }
+
+        if (this.maneuver && name !== 'stop') {
+            this.reply('error Motor busy', rinfo);
+            return;
+        }
+
+        const result = this.execute(name, args.map(Number), args);
+
+        if (typeof result === 'string') {
+            this.reply(result, rinfo);
+        } else {
+            // A maneuver: answer when it completes, like the real drone does
+            this.maneuver = { ...result, elapsed: 0, rinfo };
+        }
+    }
+
+    // Returns a reply string, or a maneuver { target, yaw, duration } that is answered on completion
+    execute(name, numbers, args) {
+        const [n1] = numbers;
+
+        switch (name) {
+            case 'takeoff':
+                if (this.flying) return 'error Already flying';
+                if (this.battery < 10) return 'error Not enough battery';
+                this.flying = true;
+                return this.moveTo({ ...this.position, z: TAKEOFF_HEIGHT }, 3);
+            case 'land':
+                if (!this.flying) return 'error Not flying';
+                return { ...this.moveTo({ ...this.position, z: 0 }, 3), landing: true };
+            case 'stop':
+                this.maneuver = null;
+                this.rc = { a: 0, b: 0, c: 0, d: 0 };
+                return 'ok';
+            case 'streamon':
+                this.startVideo();
+                return 'ok';
+            case 'streamoff':
+                this.stopVideo();
+                return 'ok';
+            case 'speed':
+                if (!inRange(n1, SPEED_RANGE)) return 'error Out of range';
+                this.speed = n1;
+                return 'ok';
+            case 'up':
+            case 'down':
+            case 'forward':
+            case 'back':
+            case 'left':
+            case 'right':
+                return this.translate(name, n1);
+            case 'cw':
+            case 'ccw':
+                if (!this.flying) return 'error Not flying';
+                if (!inRange(n1, ANGLE_RANGE)) return 'error Out of range';
+                return {
+                    target: { ...this.position },
+                    yaw: this.yaw + (name === 'cw' ? n1 : -n1),
+                    duration: n1 / 90 // a Tello turns at roughly 90°/s
+                };
+            case 'flip':
+                if (!this.flying) return 'error Not flying';
+                if (!['l', 'r', 'f', 'b'].includes(args[0])) return 'error Invalid direction';
+                if (this.battery < 50) return 'error Low battery';
+                return this.moveTo({ ...this.position }, 1.5);
+            case 'go':
+                return this.go(numbers);
+            case 'curve':
+                return this.curve(numbers);
+            case 'jump':
+                return 'error No valid mission pad';
+            case 'port': {
+                // Tello EDU: move state and video to other ports so several drones can share one ground station
+                const [statePort, videoPort] = numbers;
+                if (!inRange(statePort, [1025, 65535]) || !inRange(videoPort, [1025, 65535])) return 'error Out of range';
+                this.statePort = statePort;
+                this.videoPort = videoPort;
+                if (this.videoProcess) {
+                    this.stopVideo();
+                    this.startVideo();
+                }
+                return 'ok';
+            }
+            case 'mon':
+            case 'moff':
+            case 'mdirection':
+            case 'ap':
+            case 'wifi':
+                return 'ok';
+            default:
+                return `unknown command: ${name}`;
+        }
+    }
+
+    translate(direction, distance) {
+        if (!this.flying) return 'error Not flying';
+        if (!inRange(distance, DISTANCE_RANGE)) return 'error Out of range';
+
+        // Headings relative to the nose, clockwise
+        const headings = { forward: 0, right: 90, back: 180, left: 270 };
+        const target = { ...this.position };
+
+        if (direction === 'up') {
+            target.z = Math.min(this.position.z + distance, MAX_HEIGHT);
+        } else if (direction === 'down') {
+            if (this.position.z - distance < 20) return 'error Out of range';
+            target.z = this.position.z - distance;
+        } else {
+            const heading = toRadians(this.yaw + headings[direction]);
+            target.x += distance * Math.cos(heading);
+            target.y += distance * Math.sin(heading);
+        }
+
+        return this.moveTo(target);
+    }
+
+    go([x, y, z, speed]) {
+        if (!this.flying) return 'error Not flying';
+        if (![x, y, z].every(v => inRange(v, [-500, 500])) || !inRange(speed, SPEED_RANGE)) {
+            return 'error Out of range';
+        }
+        if ([x, y, z].every(v => Math.abs(v) <= 20)) return 'error Out of range';
+
+        // go is relative to the drone's own frame: x forward, y left, z up
+        const heading = toRadians(this.yaw);
+        const target = {
+            x: this.position.x + x * Math.cos(heading) + y * Math.sin(heading),
+            y: this.position.y + x * Math.sin(heading) - y * Math.cos(heading),
+            z: Math.max(20, this.position.z + z)
+        };
+        return this.moveTo(target, null, speed);
+    }
+
+    curve([x1, y1, z1, x2, y2, z2, speed]) {
+        if (!this.flying) return 'error Not flying';
+        if (![x1, y1, z1, x2, y2, z2].every(v => inRange(v, [-500, 500])) || !inRange(speed, [10, 60])) {
+            return 'error Out of range';
+        }
+
+        // Only the end point matters for the simulated position
+        return this.go([x2, y2, z2, speed]);
+    }
+
+    moveTo(target, seconds = null, speed = this.speed) {
+        const distance = Math.hypot(
+            target.x - this.position.x,
+            target.y - this.position.y,
+            target.z - this.position.z
+        );
+        return { target, yaw: this.yaw, duration: seconds ?? distance / speed };
+    }
+
+    readValue(name) {
+        const { x, y } = this.velocity;
+
+        switch (name) {
+            case 'battery?': return String(Math.round(this.battery));
+            case 'speed?': return this.speed.toFixed(1);
+            case 'time?': return `${Math.round(this.flightTime)}s`;
+            case 'height?': return `${Math.round(this.position.z / 10)}dm`;
+            case 'temp?': return '62~65C';
+            case 'attitude?': return `pitch:0;roll:0;yaw:${this.normalizedYaw()};`;
+            case 'baro?': return (this.position.z / 100).toFixed(2);
+            case 'acceleration?': return `agx:${(x / 10).toFixed(2)};agy:${(y / 10).toFixed(2)};agz:-1000.00;`;
+            case 'tof?': return `${Math.max(100, Math.round(this.position.z * 10))}mm`;
+            case 'wifi?': return '90';
+            case 'sdk?': return '20';
+            case 'sn?': return '0TQDSIMULATOR1';
+            default: return `unknown command: ${name}`;
+        }
+    }
+
+    normalizedYaw() {
+        // Tello reports yaw in -180..180
+        return ((Math.round(this.yaw) + 540) % 360) - 180;
+    }
+
+    tick(dt) {
+        const scaled = dt * this.timeScale;
+        const previous = { ...this.position };
+
+        if (this.maneuver) {
+            this.advanceManeuver(scaled);
+        } else if (this.flying) {
+            this.applyRc(scaled);
+        }
+
+        this.velocity = {
+            x: (this.position.x - previous.x) / dt,
+            y: (this.position.y - previous.y) / dt,
+            z: (this.position.z - previous.z) / dt
+        };
+
+        if (this.flying) {
+            this.flightTime += scaled;
+        }
+
+        // Roughly 10 minutes of flight or a few hours idle on a full battery
+        this.batteryAccumulator += scaled * (this.flying ? 100 / 600 : 100 / 7200);
+        if (this.batteryAccumulator >= 1) {
+            this.battery = Math.max(0, this.battery - Math.floor(this.batteryAccumulator));
+            this.batteryAccumulator %= 1;
+        }
+
+        if (this.flying && this.battery === 0) {
+            // Out of power: drop like the real thing does
+            this.flying = false;
+            this.maneuver = null;
+            this.position.z = 0;
+        }
+
+        this.sendState();
+    }
+
+    advanceManeuver(dt) {
+        const maneuver = this.maneuver;
+
+        if (!maneuver.start) {
+            maneuver.start = { ...this.position, yaw: this.yaw };
+        }
+
+        maneuver.elapsed += dt;
+        const progress = maneuver.duration > 0 ? Math.min(1, maneuver.elapsed / maneuver.duration) : 1;
+
+        ['x', 'y', 'z'].forEach(axis => {
+            this.position[axis] = maneuver.start[axis] + (maneuver.target[axis] - maneuver.start[axis]) * progress;
+        });
+        this.yaw = maneuver.start.yaw + (maneuver.yaw - maneuver.start.yaw) * progress;
+
+        if (progress >= 1) {
+            if (maneuver.landing) {
+                this.flying = false;
+            }
+            this.maneuver = null;
+            this.reply('ok', maneuver.rinfo);
+        }
+    }
+
+    applyRc(dt) {
+        // Stick values are -100..100, full stick is about the maximum speed of 100 cm/s or 90°/s
+        const { a, b, c, d } = this.rc;
+        const heading = toRadians(this.yaw);
+
+        this.position.x += (b * Math.cos(heading) - a * Math.sin(heading)) * dt;
+        this.position.y += (b * Math.sin(heading) + a * Math.cos(heading)) * dt;
+        this.position.z = Math.min(MAX_HEIGHT, Math.max(20, this.position.z + c * dt));
+        this.yaw += d * 0.9 * dt;
+    }
+
+    sendState() {
+        if (!this.client || !this.socket) return;
+
+        const { x, y, z } = this.velocity;
+        const packet = [
+            'mid:-1', 'x:0', 'y:0', 'z:0', 'mpry:0,0,0',
+            'pitch:0', 'roll:0', `yaw:${this.normalizedYaw()}`,
+            // velocities are reported in dm/s
+            `vgx:${Math.round(x / 10)}`, `vgy:${Math.round(y / 10)}`, `vgz:${Math.round(z / 10)}`,
+            'templ:62', 'temph:65',
+            `tof:${Math.max(10, Math.round(this.position.z))}`,
+            `h:${Math.round(this.position.z)}`,
+            `bat:${Math.round(this.battery)}`,
+            `baro:${(this.position.z / 100).toFixed(2)}`,
+            `time:${Math.round(this.flightTime)}`,
+            'agx:0.00', 'agy:0.00', 'agz:-1000.00'
+        ].join(';') + ';\r\n';
+
+        this.socket.send(packet, this.statePort, this.client.address);
+    }
+
+    startVideo() {
+        this.streaming = true;
+        if (!this.videoEnabled || this.videoProcess || !this.client) return;
+
+        // Synthetic 960x720 H.264 test pattern, the same raw stream format the Tello sends
+        this.videoProcess = spawn('ffmpeg', [
+            '-hide_banner',
+            '-loglevel', 'error',
+            '-re',
+            '-f', 'lavfi',
+            '-i', 'testsrc=size=960x720:rate=30',
+            '-c:v', 'libx264',
+            '-preset', 'ultrafast',
+            '-tune', 'zerolatency',
+            '-g', '30',
+            '-pix_fmt', 'yuv420p',
+            '-f', 'h264',
+            `udp://${this.client.address}:${this.videoPort}?pkt_size=1460`
+        ]);
+
+        this.videoProcess.stderr.on('data', (data) => {
+            console.error('Simulator FFmpeg:', data.toString().trim());
+        });
+
+        this.videoProcess.on('error', (error) => {
+            console.error('Simulator video process error:', error.message);
+            this.videoProcess = null;
+        });
+
+        this.videoProcess.on('exit', () => {
+            this.videoProcess = null;
+        });
+    }
+
+    stopVideo() {
+        this.streaming = false;
+        if (this.videoProcess) {
+            this.videoProcess.kill();
+            this.videoProcess = null;
+        }
+    }
+}
+
+export const startSimulator = (options) => new TelloSimulator(options).start();
+
+// Allow running as a standalone process: `node server/simulator.js`
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const simulator = new TelloSimulator({
+        host: process.env.SIM_HOST || '0.0.0.0',
+        timeScale: Number(process.env.SIM_TIME_SCALE) || 1,
+        video: process.env.SIM_VIDEO !== 'false'
+    });
+
+    simulator.start().catch(() => process.exit(1));
+
+    ['SIGINT', 'SIGTERM'].forEach(signal => {
+        process.on(signal, () => {
+            simulator.stop();
+            process.exit(0);
+        });
+    });
+}
+
+export default TelloSimulator;
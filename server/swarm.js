@@ -0,0 +1,177 @@
+import { EventEmitter } from 'events';
+import { MissionRunner } from './missionRunner.js';
+import { createHttpError } from './httpError.js';
+
+// Named groups of drones that receive every command together. A command is sent to all members at once and
+// only counts as done when every member has answered; if any member errors or times out the whole group lands.
+//
+// Members share the DroneSession interface: { id, name, sendCommand, capturePhoto, startRecording, stopRecording }.
+// The primary drone joins groups as 'primary', fleet drones by their IP.
+
+export const PRIMARY_ID = 'primary';
+export const ALL_GROUP = 'all'; // built in: every connected drone
+
+const GROUP_NAME = /^[A-Za-z0-9_-]{1,32}$/;
+const SUCCESS_STATUSES = ['ok', 'value'];
+const LANDING_COMMANDS = ['land', 'emergency']; // nothing left to abort to
+
+export class Swarm extends EventEmitter {
+    constructor({ getMember, listConnected }) {
+        super();
+        this.getMember = getMember;         // id -> member or null
+        this.listConnected = listConnected; // () -> members of the 'all' group
+        this.groups = new Map();            // name -> member ids
+
+        // Formation missions reuse the single-drone runner, with the whole group standing in for one drone.
+        // The runner lands the group itself when a step fails, so its commands don't abort on their own.
+        this.missionGroup = null;
+        this.missionMembers = [];
+        this.missionRunner = new MissionRunner({
+            sendCommand: (command) => this.sendToMembers(this.missionMembers, command, { abortOnFailure: false }),
+            actions: {
+                capturePhoto: () => this.runOnMembers(this.missionMembers, member => member.capturePhoto()),
+                startRecording: () => this.runOnMembers(this.missionMembers, member => member.startRecording()),
+                stopRecording: () => this.runOnMembers(this.missionMembers, member => member.stopRecording())
+            }
+        });
+        this.missionRunner.on('progress', () => this.emit('mission', this.getMissionStatus()));
+    }
+
+    // ==== GROUPS ====
+    listGroups() {
+        return [
+            { name: ALL_GROUP, members: this.listConnected().map(member => member.id), builtIn: true },
+            ...[...this.groups].map(([name, members]) => ({ name, members, builtIn: false }))
+        ];
+    }
+
+    setGroup(name, members) {
+        if (!GROUP_NAME.test(name)) {
+            throw createHttpError(400, 'Group names may only contain letters, numbers, dashes and underscores (max 32)');
+        }
+        if (name === ALL_GROUP) {
+            throw createHttpError(400, `'${ALL_GROUP}' is built in and always contains every connected drone`);
+        }
+        if (!Array.isArray(members) || members.length === 0 || !members.every(id => typeof id === 'string')) {
+            throw createHttpError(400, 'members must be a non-empty array of drone ids');
+        }
+
+        const unique = [...new Set(members)];
+        const unknown = unique.filter(id => !this.getMember(id));
+        if (unknown.length > 0) {
+            throw createHttpError(400, `Unknown drones: ${unknown.join(', ')}`);
+        }
+
+        this.groups.set(name, unique);
+        return { name, members: unique, builtIn: false };
+    }
+
+    deleteGroup(name) {
+        if (name === ALL_GROUP) {
+            throw createHttpError(400, `'${ALL_GROUP}' is built in and cannot be deleted`);
+        }
+        if (!this.groups.delete(name)) {
+            throw createHttpError(404, `No group named ${name}`);
+        }
+    }
+
+    // Look up the members of a group as they are right now
+    resolveGroup(name) {
+        if (name === ALL_GROUP) {
+            const members = this.listConnected();
+            if (members.length === 0) {
+                throw createHttpError(409, 'No drones are connected');
+            }
+            return members;
+        }
+
+        const ids = this.groups.get(name);
+        if (!ids) {
+            throw createHttpError(404, `No group named ${name}`);
+        }
+
+        // Drones can leave the fleet after the group was made; flying the rest would break the formation
+        const missing = ids.filter(id => !this.getMember(id));
+        if (missing.length > 0) {
+            throw createHttpError(409, `Group ${name} has drones that are no longer in the fleet: ${missing.join(', ')}`);
+        }
+        return ids.map(id => this.getMember(id));
+    }
+
+    // ==== COMMANDS ====
+    // Send one command to every member of a group and wait for all replies
+    broadcast(name, command) {
+        return this.sendToMembers(this.resolveGroup(name), command, { abortOnFailure: true });
+    }
+
+    // Result: { status: 'ok' | 'error', command, results: [per drone], reason?, aborted, landing? }
+    async sendToMembers(members, command, { abortOnFailure }) {
+        const results = await this.sendToEach(members, command);
+        const failed = results.filter(result => !SUCCESS_STATUSES.includes(result.status));
+
+        if (failed.length === 0) {
+            return { status: 'ok', command, results, aborted: false };
+        }
+
+        const reason = failed.map(result => `${result.name}: ${result.reason ?? result.status}`).join('; ');
+        if (!abortOnFailure || LANDING_COMMANDS.includes(command)) {
+            return { status: 'error', command, results, reason, aborted: false };
+        }
+
+        console.error(`Swarm: '${command}' failed (${reason}), landing the group`);
+        const landing = await this.sendToEach(members, 'land');
+        return { status: 'error', command, results, reason, aborted: true, landing };
+    }
+
+    // Every member gets the command at the same time; a throwing member must not hide the others' replies
+    sendToEach(members, command) {
+        return Promise.all(members.map(async (member) => {
+            try {
+                return { id: member.id, name: member.name, ...(await member.sendCommand(command)) };
+            } catch (error) {
+                return { id: member.id, name: member.name, command, status: 'error', reason: error.message };
+            }
+        }));
+    }
+
+    async runOnMembers(members, action) {
+        await Promise.all(members.map(async (member) => {
+            try {
+                await action(member);
+            } catch (error) {
+                throw new Error(`${member.name}: ${error.message}`);
+            }
+        }));
+    }
+
+    // ==== MISSIONS ====
+    startMission(name, mission) {
+        if (this.missionRunner.isActive()) {
+            throw createHttpError(409, 'A swarm mission is already running');
+        }
+
+        this.missionMembers = this.resolveGroup(name);
+        this.missionGroup = name;
+        this.missionRunner.start(mission);
+        return this.getMissionStatus();
+    }
+
+    isMissionActive() {
+        return this.missionRunner.isActive();
+    }
+
+    // The runner of the mission the drone is flying in, null when it isn't flying one
+    getMissionFor(id) {
+        return this.isMissionActive() && this.missionMembers.some(member => member.id === id) ? this.missionRunner : null;
+    }
+
+    getMissionStatus() {
+        return {
+            ...this.missionRunner.getStatus(),
+            group: this.missionGroup,
+            members: this.missionMembers.map(member => member.id)
+        };
+    }
+}
+
+export default Swarm;
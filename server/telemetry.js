@@ -0,0 +1,88 @@
+import dgram from 'dgram';
+import { EventEmitter } from 'events';
+
+// Tello pushes its state about 10 times a second as one text datagram of 'key:value;' pairs, e.g.
+// 'mid:-1;x:0;y:0;z:0;mpry:0,0,0;pitch:0;roll:0;yaw:0;vgx:0;vgy:0;vgz:0;templ:62;temph:65;tof:10;h:0;bat:87;baro:12.34;time:0;agx:0.00;agy:0.00;agz:-998.00;\r\n'
+export const TELLO_STATE_PORT = 8890;
+
+// Packet keys that are renamed to the names the rest of the app already uses
+const FIELD_ALIASES = {
+    bat: 'battery'
+};
+
+// Parse one state packet into an object of numbers. Unknown keys are kept so newer firmware fields pass through.
+// Returns null when the packet does not look like a state string at all.
+export const parseStatePacket = (packet) => {
+    const text = packet.toString().trim();
+    if (!text.includes(':')) return null;
+
+    const state = {};
+
+    text.split(';').forEach(pair => {
+        const separator = pair.indexOf(':');
+        if (separator === -1) return;
+
+        const key = pair.slice(0, separator).trim();
+        const rawValue = pair.slice(separator + 1).trim();
+        if (!key) return;
+
+        const name = FIELD_ALIASES[key] ?? key;
+
+        // mission pad pitch/roll/yaw comes as a comma separated triple
+        if (rawValue.includes(',')) {
+            state[name] = rawValue.split(',').map(Number);
+            return;
+        }
+
+        const value = Number(rawValue);
+        state[name] = Number.isNaN(value) ? rawValue : value;
+    });
+
+    return Object.keys(state).length > 0 ? state : null;
+};
+
+// Listens on the state port and emits 'state' with every parsed packet
+export class TelemetryListener extends EventEmitter {
+    constructor({ port = TELLO_STATE_PORT } = {}) {
+        super();
+        this.port = port;
+        this.socket = null;
+        this.lastPacketAt = null;
+    }
+
+    start() {
+        if (this.socket) return;
+
+        this.socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+        this.socket.on('message', (msg, rinfo) => {
+            const state = parseStatePacket(msg);
+            if (!state) return;
+
+            this.lastPacketAt = Date.now();
+            this.emit('state', state, rinfo);
+        });
+
+        this.socket.on('error', (error) => {
+            console.error('Telemetry socket error:', error.message);
+            this.emit('error', error);
+        });
+
+        this.socket.bind(this.port, () => {
+            console.log(`Listening for drone telemetry on UDP port ${this.port}`);
+        });
+    }
+
+    stop() {
+        if (!this.socket) return;
+
+        try {
+            this.socket.close();
+        } catch (error) {
+            console.error('Error closing telemetry socket:', error.message);
+        }
+        this.socket = null;
+    }
+}
+
+export default TelemetryListener;
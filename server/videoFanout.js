@@ -0,0 +1,177 @@
+import { Buffer } from 'buffer';
+
+// Sends one MPEG-TS stream of MPEG1 video (an FFmpeg stdout) to many WebSocket viewers without letting a slow
+// viewer grow the server's memory. The stream is cut into frames, the TS packets from one video PES start to the
+// next, and each viewer gets whole frames only:
+//   - a new viewer waits for a keyframe (a frame carrying an MPEG1 sequence header) and gets it together with the
+//     latest PAT/PMT, so JSMpeg never starts on a frame it cannot decode
+//   - a viewer with more than MAX_BUFFERED_BYTES queued has frames dropped, and since the frames after a dropped
+//     one cannot be decoded either, it resumes at the next keyframe
+//   - a viewer that stays behind for MAX_LAG_MS is disconnected (JSMpeg reconnects and starts clean)
+// A frame is sent once the next one starts, which adds at most one frame interval of latency.
+
+const TS_PACKET_SIZE = 188;
+const SYNC_BYTE = 0x47;
+const PES_START = Buffer.from([0x00, 0x00, 0x01]);
+const SEQUENCE_HEADER = Buffer.from([0x00, 0x00, 0x01, 0xb3]);
+
+const MAX_BUFFERED_BYTES = 1024 * 1024; // per viewer, above this frames are dropped
+const MAX_LAG_MS = 10000;               // dropping frames for this long disconnects the viewer
+
+const payloadOffset = (packet) => {
+    const adaptation = (packet[3] & 0x30) >> 4;
+    return adaptation & 0x2 ? 5 + packet[4] : 4;
+};
+
+// Groups TS packets into frames. PSI packets (PAT/PMT) stay in the stream and the latest of each is kept for
+// viewers that join later.
+export class TsFramer {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.remainder = Buffer.alloc(0);
+        this.packets = [];      // packets of the frame being collected
+        this.keyframe = false;
+        this.psi = new Map();   // pid -> latest PAT/PMT packet
+    }
+
+    // Returns the frames completed by this chunk: [{ data, keyframe }]
+    push(chunk) {
+        const data = this.remainder.length > 0 ? Buffer.concat([this.remainder, chunk]) : chunk;
+        const frames = [];
+        let offset = 0;
+
+        while (data.length - offset >= TS_PACKET_SIZE) {
+            if (data[offset] !== SYNC_BYTE) {
+                offset += 1; // lost sync, look for the next packet start
+                continue;
+            }
+            const packet = data.subarray(offset, offset + TS_PACKET_SIZE);
+            offset += TS_PACKET_SIZE;
+
+            const pid = ((packet[1] & 0x1f) << 8) | packet[2];
+            const unitStart = (packet[1] & 0x40) !== 0;
+            const payload = packet.subarray(Math.min(payloadOffset(packet), TS_PACKET_SIZE));
+
+            if (unitStart && payload.subarray(0, 3).equals(PES_START)) {
+                if (this.packets.length > 0) {
+                    frames.push({ data: Buffer.concat(this.packets), keyframe: this.keyframe });
+                }
+                this.packets = [];
+                this.keyframe = payload.length > 9 && payload.indexOf(SEQUENCE_HEADER, 9 + payload[8]) !== -1;
+            } else if (unitStart || this.psi.has(pid)) {
+                this.psi.set(pid, Buffer.from(packet)); // PSI sections fit in one packet in FFmpeg's output
+            }
+            this.packets.push(packet); // copied into the frame by Buffer.concat
+        }
+
+        this.remainder = Buffer.from(data.subarray(offset));
+        return frames;
+    }
+
+    // What a viewer needs before its first frame
+    getStartPackets() {
+        return [...this.psi.values()];
+    }
+}
+
+export class VideoFanout {
+    constructor({ name, label }) {
+        this.name = name;   // the drone, for logs
+        this.label = label; // what this fan-out carries, e.g. the profile
+        this.framer = new TsFramer();
+        this.clients = new Map(); // ws -> viewer record, see addClient
+    }
+
+    // record is the viewer's stats object, shared with the caller and kept when it moves between fan-outs
+    addClient(ws, record) {
+        Object.assign(record, { waitingForKeyframe: true, laggingSince: null });
+        this.clients.set(ws, record);
+    }
+
+    removeClient(ws) {
+        this.clients.delete(ws);
+    }
+
+    // A new stream (FFmpeg restarted) has new continuity counters and timestamps, everyone starts over
+    reset() {
+        this.framer.reset();
+        this.clients.forEach(record => Object.assign(record, { waitingForKeyframe: true, laggingSince: null }));
+    }
+
+    write(chunk) {
+        this.framer.push(chunk).forEach(frame => this.sendFrame(frame));
+    }
+
+    sendFrame(frame) {
+        const now = Date.now();
+
+        this.clients.forEach((record, ws) => {
+            if (ws.readyState !== ws.OPEN) {
+                this.clients.delete(ws);
+                return;
+            }
+
+            if (ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+                record.droppedFrames += 1;
+                record.waitingForKeyframe = true;
+                record.laggingSince ??= now;
+                if (now - record.laggingSince > MAX_LAG_MS) {
+                    this.disconnect(ws, record);
+                }
+                return;
+            }
+
+            if (record.waitingForKeyframe) {
+                if (!frame.keyframe) {
+                    if (record.laggingSince !== null) record.droppedFrames += 1;
+                    return;
+                }
+                record.waitingForKeyframe = false;
+                record.laggingSince = null;
+                this.send(ws, record, Buffer.concat([...this.framer.getStartPackets(), frame.data]));
+                return;
+            }
+
+            this.send(ws, record, frame.data);
+        });
+    }
+
+    send(ws, record, data) {
+        try {
+            ws.send(data, { binary: true });
+            record.sentFrames += 1;
+            record.sentBytes += data.length;
+        } catch (error) {
+            console.error(`[${this.name}] failed to send to client ${record.id}:`, error.message);
+            this.clients.delete(ws);
+            ws.terminate();
+        }
+    }
+
+    // Terminate rather than close: a clean close would queue behind everything the viewer has not read yet
+    disconnect(ws, record) {
+        console.warn(`[${this.name}] client ${record.id} stayed ${MAX_LAG_MS / 1000}s behind on ${this.label}, disconnecting`);
+        this.clients.delete(ws);
+        ws.terminate();
+    }
+}
+
+// The per-viewer numbers behind GET /video/clients
+export const describeClient = (ws, record) => ({
+    id: record.id,
+    viewer: record.viewer,
+    address: record.address,
+    profile: record.profile,
+    connectedAt: record.connectedAt,
+    bufferedBytes: ws.bufferedAmount,
+    sentBytes: record.sentBytes,
+    sentFrames: record.sentFrames,
+    droppedFrames: record.droppedFrames,
+    waitingForKeyframe: record.waitingForKeyframe,
+    laggingMs: record.laggingSince === null ? 0 : Date.now() - record.laggingSince
+});
+
+export default VideoFanout;
@@ -0,0 +1,143 @@
+import { join } from 'path';
+
+// FFmpeg argument lists shared by the primary drone and every fleet drone
+
+// MPEG1 in MPEG-TS on stdout for JSMpeg, at the size, rate and bitrates of a video profile (see videoProfiles.js)
+const buildMpeg1Output = (video) => [
+    '-c:v', 'mpeg1video',    // Use MPEG1 video codec (works well with JSMpeg)
+    '-b:v', `${video.bitrate}k`,        // Base bitrate
+    '-maxrate', `${video.maxBitrate}k`, // Max bitrate
+    '-bufsize', `${video.bufferSize}k`, // Rate control buffer
+    '-minrate', `${video.minBitrate}k`, // Minimum bitrate constraint
+    '-an',                   // Remove audio (drone has no audio)
+    '-f', 'mpegts',          // Output format: MPEG transport stream
+    '-s', `${video.width}x${video.height}`, // Video size
+    '-r', String(video.frameRate),        // Frame rate
+    '-q:v', String(video.quality),        // Video quality (1-31, lower is better)
+    '-tune', 'zerolatency',  // Optimize for low latency
+    '-preset', 'ultrafast',  // Fastest encoding speed
+    '-pix_fmt', 'yuv420p',   // Pixel format: YUV420
+    '-flush_packets', '1',    // Flush packets immediately
+    '-reset_timestamps', '1', // Reset timestamps at the start
+    'pipe:1'                 // Output to stdout for streaming
+];
+
+// Tello H.264 on a UDP port -> MPEG1 on stdout for JSMpeg, plus a JPEG snapshot that is kept current for photos.
+// The original H.264 is also copied, not re-encoded, as MPEG-TS to fd 3 for the other quality profiles, and with
+// an rtpPort into RTP for the WebRTC relay. Spawn with a fourth stdio pipe and always read it.
+export const buildStreamArgs = ({ inputPort, video, snapshotPath, rtpPort = null }) => [
+    '-hide_banner',           // Hide FFmpeg compilation info
+    '-loglevel', 'error',     // Only show errors in logs
+    '-y',                     // Force overwrite output files
+
+    // Input configuration
+    '-fflags', '+genpts',     // Generate presentation timestamps
+    '-i', `udp://0.0.0.0:${inputPort}?overrun_nonfatal=1&fifo_size=50000000`,
+
+    // First output: MPEG1 video for JSMpeg streaming, the 'high' profile
+    '-map', '0:v:0',         // Map video stream
+    ...buildMpeg1Output(video),
+
+    // Second output: JPEG frames for photo capture
+    '-map', '0:v:0',         // Map video stream again
+    '-c:v', 'mjpeg',         // JPEG codec for stills
+    '-q:v', '2',             // High quality for stills
+    '-vf', `fps=${video.snapshotFps}`, // a couple of frames per second is enough for stills
+    '-update', '1',          // Update the same file and continuosly overwrite it instead of creating new files
+    '-f', 'image2',          // Output format for stills
+    snapshotPath,            // the current frame is always available for photo capture
+
+    // Third output: the drone's own H.264 for the profile encoders
+    '-map', '0:v:0',
+    '-c:v', 'copy',
+    '-bsf:v', 'dump_extra',  // repeat SPS/PPS before keyframes so encoders can start mid-stream
+    '-an',
+    '-f', 'mpegts',
+    '-flush_packets', '1',
+    'pipe:3',
+
+    // Fourth output: the drone's own H.264 as RTP for WebRTC viewers
+    ...(rtpPort ? [
+        '-map', '0:v:0',
+        '-c:v', 'copy',          // no transcoding
+        '-bsf:v', 'dump_extra',  // repeat SPS/PPS before keyframes so viewers can join mid-stream
+        '-an',
+        '-f', 'rtp',
+        '-payload_type', '96',   // matches the H.264 codec the relay offers
+        `rtp://127.0.0.1:${rtpPort}?pkt_size=1200` // stay below the path MTU after SRTP overhead
+    ] : [])
+];
+
+// The stream process's H.264 copy on stdin -> MPEG1 for one of the other quality profiles
+export const buildProfileArgs = ({ video }) => [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-fflags', '+genpts',
+    '-f', 'mpegts',
+    '-i', 'pipe:0',
+    '-map', '0:v:0',
+    ...buildMpeg1Output(video)
+];
+
+// The stream process's H.264 copy on stdin -> a rolling HLS and/or DASH window in dir, remuxed, not re-encoded.
+// Segments are cut at the drone's keyframes, so they can run longer than segmentSeconds.
+export const buildLiveArgs = ({ live, dir }) => [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-fflags', '+genpts',
+    '-f', 'mpegts',
+    '-i', 'pipe:0',
+
+    ...(live.format !== 'dash' ? [
+        '-map', '0:v:0',
+        '-c:v', 'copy',
+        '-f', 'hls',
+        '-hls_time', String(live.segmentSeconds),
+        '-hls_list_size', String(live.windowSegments),
+        '-hls_flags', 'delete_segments+omit_endlist+independent_segments', // a live window, old segments removed
+        '-hls_segment_filename', join(dir, 'segment_%05d.ts'),
+        join(dir, 'stream.m3u8')
+    ] : []),
+
+    ...(live.format !== 'hls' ? [
+        '-map', '0:v:0',
+        '-c:v', 'copy',
+        '-f', 'dash',
+        '-seg_duration', String(live.segmentSeconds),
+        '-window_size', String(live.windowSegments),
+        '-extra_window_size', '2',  // keep a couple of segments past the window for players still fetching them
+        '-use_template', '1',
+        '-use_timeline', '1',
+        join(dir, 'stream.mpd')
+    ] : [])
+];
+
+// The stream process's H.264 copy on stdin -> pushed to an RTMP (FLV) or SRT (MPEG-TS) endpoint, not re-encoded.
+// Progress (total_size, ...) is written to stdout as key=value lines.
+export const buildRestreamArgs = ({ url, format }) => [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-nostats',
+    '-progress', 'pipe:1',
+    '-fflags', '+genpts',
+    '-f', 'mpegts',
+    '-i', 'pipe:0',
+    '-map', '0:v:0',
+    '-c:v', 'copy',
+    '-an',
+    ...(format === 'flv' ? ['-flvflags', 'no_duration_filesize'] : []), // a live push has neither
+    '-f', format,
+    url
+];
+
+// MPEG-TS from the stream process on stdin -> H.264 MP4
+export const buildRecordingArgs = ({ recording, outputPath }) => [
+    '-i', 'pipe:0',           // Input from pipe
+    '-c:v', 'libx264',        // Convert to H.264
+    '-preset', recording.preset, // ultrafast keeps up with the live stream
+    '-tune', 'zerolatency',    // Minimize latency
+    '-crf', String(recording.crf), // Balance quality/size
+    '-movflags', '+faststart', // Enable streaming
+    '-y',                      // Overwrite output
+    outputPath
+];
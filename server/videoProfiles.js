@@ -0,0 +1,224 @@
+import { EventEmitter } from 'events';
+import { spawn } from 'child_process';
+import { buildProfileArgs } from './videoPipeline.js';
+import { VideoFanout, describeClient } from './videoFanout.js';
+
+// Named quality profiles for the JSMpeg WebSocket stream. 'high' is config.video, which the stream process
+// encodes itself (recordings are made from it too); the others are transcoded from the stream process's copy
+// of the drone's H.264, by one shared encoder per profile that runs only while the profile has viewers.
+// Viewers pick a profile on connect (ws://host:streamPort/?profile=low) and are moved down a profile when
+// their socket keeps buffering more than it sends. Each profile's stream goes out through its own VideoFanout,
+// which drops frames for viewers that fall further behind.
+export const VIDEO_PROFILES = {
+    low: { width: 320, height: 240, frameRate: 15, bitrate: 400, minBitrate: 200, maxBitrate: 600, bufferSize: 1200 },
+    medium: { width: 480, height: 360, frameRate: 25, bitrate: 1000, minBitrate: 500, maxBitrate: 1500, bufferSize: 3000 },
+    high: {}, // config.video
+    original: { width: 960, height: 720, frameRate: 30, bitrate: 4000, minBitrate: 2000, maxBitrate: 6000, bufferSize: 12000 }
+};
+
+export const PROFILE_NAMES = ['low', 'medium', 'high', 'original']; // worst to best
+export const MAIN_PROFILE = 'high';
+
+const MONITOR_INTERVAL = 1000;      // how often each viewer's socket buffer is sampled
+const LAG_BYTES = 256 * 1024;       // a viewer with more than this queued is behind (well before VideoFanout drops)...
+const LAG_SAMPLES = 3;              // ...and is switched down once the queue grew this many samples in a row
+const RESTART_DELAY = 1000;
+
+// Encoder settings of a profile, on top of config.video for what profiles do not set (quality, snapshotFps)
+export const resolveProfile = (name, video) => ({ ...video, ...VIDEO_PROFILES[name] });
+
+// What the frontend needs to offer the profiles
+export const describeProfiles = (video) => Object.fromEntries(PROFILE_NAMES.map(name => {
+    const { width, height, frameRate } = resolveProfile(name, video);
+    return [name, { width, height, frameRate }];
+}));
+
+// ?profile=low&viewer=<id> on a WebSocket URL. The viewer id is the client's own, so it can recognise its
+// 'video-profile' events on the state stream.
+export const parseViewerOptions = (url = '/') => {
+    const params = new URL(url, 'ws://localhost').searchParams;
+    const viewer = params.get('viewer');
+    return { profile: params.get('profile'), viewer: /^[\w-]{1,64}$/.test(viewer ?? '') ? viewer : null };
+};
+
+// Emits 'profile' ({ viewer, profile, previous, reason }) when a viewer is switched down
+export class VideoProfiles extends EventEmitter {
+    constructor({ name, video, defaultProfile, adaptive }) {
+        super();
+        this.name = name;
+        this.video = video;                   // config.video
+        this.defaultProfile = defaultProfile; // for viewers that do not ask for one
+        this.adaptive = adaptive;             // switch lagging viewers down
+        this.clients = new Map();  // ws -> viewer record, see addClient
+        this.encoders = new Map(); // profile -> FFmpeg process
+        this.fanouts = new Map(PROFILE_NAMES.map(profile => [profile, new VideoFanout({ name, label: profile })]));
+        this.monitor = null;
+    }
+
+    // Unknown or missing profiles get the default; returns the profile the viewer gets.
+    // id and address only label the viewer in logs and stats.
+    addClient(ws, { profile, viewer = null, id = null, address = null } = {}) {
+        const chosen = PROFILE_NAMES.includes(profile) ? profile : this.defaultProfile;
+        const record = {
+            id,
+            viewer,
+            address,
+            profile: chosen,
+            connectedAt: Date.now(),
+            sentBytes: 0,
+            sentFrames: 0,
+            droppedFrames: 0,
+            lastBuffered: 0, // bufferedAmount at the last lag check
+            growing: 0       // lag checks in a row that found the queue longer
+        };
+        this.clients.set(ws, record);
+        this.fanouts.get(chosen).addClient(ws, record);
+        this.ensureEncoder(chosen);
+        this.startMonitor();
+        return chosen;
+    }
+
+    removeClient(ws) {
+        const client = this.clients.get(ws);
+        if (!client) return;
+
+        this.clients.delete(ws);
+        this.fanouts.get(client.profile).removeClient(ws);
+        this.releaseEncoder(client.profile);
+        if (this.clients.size === 0) {
+            clearInterval(this.monitor);
+            this.monitor = null;
+        }
+    }
+
+    countViewers(profile) {
+        return [...this.clients.values()].filter(client => client.profile === profile).length;
+    }
+
+    describe() {
+        return Object.fromEntries(PROFILE_NAMES.map(name => [name, {
+            viewers: this.countViewers(name),
+            encoding: name === MAIN_PROFILE || this.encoders.has(name)
+        }]));
+    }
+
+    describeClients() {
+        return [...this.clients].map(([ws, record]) => describeClient(ws, record));
+    }
+
+    // ==== VIDEO IN ====
+    // MPEG1 from the stream process, already in the main profile
+    writeMain(chunk) {
+        this.send(MAIN_PROFILE, chunk);
+    }
+
+    // The stream process's H.264 copy, fed to every running encoder
+    writeSource(chunk) {
+        this.encoders.forEach((encoder) => {
+            if (encoder.stdin.writable) {
+                encoder.stdin.write(chunk);
+            }
+        });
+    }
+
+    send(profile, chunk) {
+        this.fanouts.get(profile).write(chunk);
+    }
+
+    // ==== ENCODERS ====
+    ensureEncoder(profile) {
+        if (profile === MAIN_PROFILE || this.encoders.has(profile)) return;
+
+        const encoder = spawn('ffmpeg', buildProfileArgs({ video: resolveProfile(profile, this.video) }));
+        this.encoders.set(profile, encoder);
+        this.fanouts.get(profile).reset();
+
+        encoder.stdout.on('data', (chunk) => this.send(profile, chunk));
+        encoder.stdin.on('error', () => {}); // EPIPE while the encoder exits, handled below
+        encoder.stderr.on('data', (data) => {
+            const message = data.toString().trim();
+            if (message) console.error(`[${this.name}] FFmpeg (${profile}):`, message);
+        });
+
+        const handleExit = () => {
+            if (this.encoders.get(profile) !== encoder) return;
+            this.encoders.delete(profile);
+            if (this.countViewers(profile) > 0) {
+                console.log(`[${this.name}] ${profile} encoder exited, restarting...`);
+                setTimeout(() => this.countViewers(profile) > 0 && this.ensureEncoder(profile), RESTART_DELAY);
+            }
+        };
+        encoder.on('error', (error) => {
+            console.error(`[${this.name}] ${profile} encoder error:`, error.message);
+            handleExit();
+        });
+        encoder.on('exit', handleExit);
+    }
+
+    releaseEncoder(profile) {
+        const encoder = this.encoders.get(profile);
+        if (!encoder || this.countViewers(profile) > 0) return;
+
+        this.encoders.delete(profile);
+        encoder.stdin.end();
+        encoder.kill();
+    }
+
+    // ==== ADAPTATION ====
+    startMonitor() {
+        if (this.monitor || !this.adaptive) return;
+        this.monitor = setInterval(() => this.checkLag(), MONITOR_INTERVAL);
+    }
+
+    checkLag() {
+        this.clients.forEach((client, ws) => {
+            const buffered = ws.bufferedAmount;
+            client.growing = buffered > LAG_BYTES && buffered > client.lastBuffered ? client.growing + 1 : 0;
+            client.lastBuffered = buffered;
+
+            if (client.growing >= LAG_SAMPLES) {
+                this.switchDown(ws, client);
+            }
+        });
+    }
+
+    switchDown(ws, client) {
+        const index = PROFILE_NAMES.indexOf(client.profile);
+        if (index === 0) return; // already on the lowest profile
+
+        const previous = client.profile;
+        const profile = PROFILE_NAMES[index - 1];
+        Object.assign(client, { profile, growing: 0 });
+        this.fanouts.get(previous).removeClient(ws);
+        this.fanouts.get(profile).addClient(ws, client); // joins at the new stream's next keyframe
+        this.ensureEncoder(profile);
+        this.releaseEncoder(previous);
+
+        console.warn(`[${this.name}] viewer ${client.viewer ?? '?'} is lagging, switched from ${previous} to ${profile}`);
+        this.emit('profile', { viewer: client.viewer, profile, previous, reason: 'lagging' });
+    }
+
+    // A new stream process starts a new MPEG-TS with fresh timestamps, the encoders start over with it
+    restartEncoders() {
+        this.stopEncoders();
+        this.fanouts.forEach(fanout => fanout.reset());
+        new Set([...this.clients.values()].map(client => client.profile)).forEach(profile => this.ensureEncoder(profile));
+    }
+
+    stopEncoders() {
+        this.encoders.forEach(encoder => {
+            encoder.stdin.end();
+            encoder.kill();
+        });
+        this.encoders.clear();
+    }
+
+    close() {
+        clearInterval(this.monitor);
+        this.monitor = null;
+        this.stopEncoders();
+        this.clients.clear();
+    }
+}
+
+export default VideoProfiles;
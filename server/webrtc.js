@@ -0,0 +1,153 @@
+import dgram from 'dgram';
+import { randomUUID } from 'crypto';
+import { createHttpError } from './httpError.js';
+
+// Forwards a drone's H.264 to browsers over WebRTC, untouched. The stream FFmpeg copies the video into RTP
+// packets on a local UDP port (see buildStreamArgs) and every packet is written to each viewer's track, so
+// nothing is decoded or re-encoded on the way. Signaling is one HTTP round trip each way: the server offers
+// (with all of its ICE candidates), the browser answers.
+
+const OFFER_TIMEOUT = 15000; // viewers that never answer or never connect are dropped after this long
+
+// What FFmpeg's RTP muxer produces from the Tello's stream
+const H264_CODEC = {
+    mimeType: 'video/H264',
+    clockRate: 90000,
+    parameters: 'profile-level-id=42e01f;packetization-mode=1;level-asymmetry-allowed=1'
+};
+
+// werift is plain JavaScript, but the server must still run without it: WebRTC then reports itself
+// unavailable and browsers stay on the JSMpeg WebSocket stream
+const loadWerift = async () => {
+    try {
+        return await import('werift');
+    } catch (error) {
+        console.warn(`WebRTC video disabled, werift could not be loaded: ${error.message}`);
+        return null;
+    }
+};
+
+export class WebRtcRelay {
+    constructor({ name, rtpPort, settings }) {
+        this.name = name;
+        this.rtpPort = rtpPort;
+        this.settings = settings; // config.webrtc
+        this.werift = null;
+        this.socket = null;
+        this.sessions = new Map(); // session id -> { pc, track, timer }
+    }
+
+    // Loads werift and binds the RTP port; failures leave the relay unavailable instead of throwing
+    async start() {
+        if (!this.settings.enabled || this.socket) return;
+
+        this.werift = await loadWerift();
+        if (!this.werift) return;
+
+        const socket = dgram.createSocket('udp4');
+        socket.on('message', (packet) => this.forward(packet));
+        try {
+            await new Promise((resolve, reject) => {
+                socket.once('error', reject);
+                socket.bind(this.rtpPort, '127.0.0.1', resolve);
+            });
+        } catch (error) {
+            console.error(`[${this.name}] WebRTC disabled, RTP port ${this.rtpPort} unavailable:`, error.message);
+            socket.close();
+            return;
+        }
+        socket.on('error', (error) => console.error(`[${this.name}] RTP socket error:`, error.message));
+        this.socket = socket;
+    }
+
+    isAvailable() {
+        return this.socket !== null;
+    }
+
+    describe() {
+        return {
+            enabled: this.settings.enabled,
+            available: this.isAvailable(),
+            viewers: this.sessions.size,
+            maxViewers: this.settings.maxViewers
+        };
+    }
+
+    forward(packet) {
+        this.sessions.forEach(({ track }) => track.writeRtp(packet));
+    }
+
+    // A new viewer: returns the server's offer, { id, type, sdp }
+    async createSession() {
+        if (!this.isAvailable()) {
+            throw createHttpError(503, 'WebRTC video is not available, use the WebSocket stream');
+        }
+        if (this.sessions.size >= this.settings.maxViewers) {
+            throw createHttpError(503, `WebRTC viewer limit reached (${this.settings.maxViewers})`);
+        }
+
+        const { RTCPeerConnection, RTCRtpCodecParameters, MediaStreamTrack } = this.werift;
+        const pc = new RTCPeerConnection({
+            codecs: { audio: [], video: [new RTCRtpCodecParameters(H264_CODEC)] }
+        });
+        const track = new MediaStreamTrack({ kind: 'video' });
+        pc.addTransceiver(track, { direction: 'sendonly' });
+
+        const id = randomUUID();
+        const session = { pc, track, timer: setTimeout(() => this.closeSession(id), OFFER_TIMEOUT) };
+        this.sessions.set(id, session);
+
+        pc.connectionStateChange.subscribe((state) => {
+            if (state === 'connected') {
+                clearTimeout(session.timer);
+            } else if (state === 'failed' || state === 'closed') {
+                this.closeSession(id);
+            }
+        });
+
+        try {
+            await pc.setLocalDescription(await pc.createOffer());
+        } catch (error) {
+            this.closeSession(id);
+            throw createHttpError(500, `Failed to create a WebRTC offer: ${error.message}`);
+        }
+        return { id, type: 'offer', sdp: pc.localDescription.sdp };
+    }
+
+    async acceptAnswer(id, { type, sdp } = {}) {
+        const session = this.sessions.get(id);
+        if (!session) {
+            throw createHttpError(404, `No WebRTC session ${id}`);
+        }
+        if (type !== 'answer' || typeof sdp !== 'string' || sdp.length === 0) {
+            throw createHttpError(400, 'Expected { type: "answer", sdp }');
+        }
+
+        try {
+            await session.pc.setRemoteDescription({ type, sdp });
+        } catch (error) {
+            this.closeSession(id);
+            throw createHttpError(400, `Invalid WebRTC answer: ${error.message}`);
+        }
+    }
+
+    closeSession(id) {
+        const session = this.sessions.get(id);
+        if (!session) return false;
+
+        this.sessions.delete(id);
+        clearTimeout(session.timer);
+        session.pc.close().catch(error => console.error(`[${this.name}] failed to close WebRTC session:`, error.message));
+        return true;
+    }
+
+    close() {
+        [...this.sessions.keys()].forEach(id => this.closeSession(id));
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+}
+
+export default WebRtcRelay;
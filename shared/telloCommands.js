@@ -0,0 +1,195 @@
+// Tello SDK 2.0 commands and their arguments. The server checks every command against this list before it goes
+// out over UDP, and the UI uses the same list to check and autocomplete commands before sending them.
+//
+// Argument types:
+//   { name, type: 'integer', min, max }   whole numbers only, the SDK rejects decimals
+//   { name, type: 'enum', values }
+//   { name, type: 'string' }              any text without whitespace (Wi-Fi credentials)
+// optional: true marks trailing arguments that may be left out. check(values) covers rules that involve several
+// arguments and returns the reason they are wrong, or null. sensitive: true marks commands carrying credentials.
+
+export const MIN_FLIP_BATTERY = 50;    // %, the drone refuses every flip below this
+const MIN_OFFSET = 20;                  // cm, go/curve/jump targets closer than this on every axis are refused
+const CURVE_RADIUS = { min: 50, max: 1000 }; // cm
+const MISSION_PADS = ['m1', 'm2', 'm3', 'm4', 'm5', 'm6', 'm7', 'm8', 'm-1', 'm-2']; // m-1 random, m-2 nearest
+
+const coordinate = (name) => ({ name, type: 'integer', min: -500, max: 500, unit: 'cm' });
+const speed = (max) => ({ name: 'speed', type: 'integer', min: 10, max, unit: 'cm/s' });
+const pad = (name, optional = false) => ({ name, type: 'enum', values: MISSION_PADS, optional });
+const DISTANCE = { name: 'distance', type: 'integer', min: 20, max: 500, unit: 'cm' };
+const ANGLE = { name: 'angle', type: 'integer', min: 1, max: 360, unit: 'degrees' };
+const stick = (name) => ({ name, type: 'integer', min: -100, max: 100 });
+
+const isTooClose = (x, y, z) => [x, y, z].every(value => Math.abs(value) <= MIN_OFFSET);
+
+const checkTarget = ([x, y, z]) => isTooClose(x, y, z)
+    ? `x, y and z cannot all be between -${MIN_OFFSET} and ${MIN_OFFSET}`
+    : null;
+
+// The arc runs from the drone through both points, its radius follows from the triangle they form
+const checkCurve = ([x1, y1, z1, x2, y2, z2]) => {
+    if (isTooClose(x1, y1, z1) || isTooClose(x2, y2, z2)) {
+        return `x, y and z of a point cannot all be between -${MIN_OFFSET} and ${MIN_OFFSET}`;
+    }
+
+    const cross = Math.hypot(y1 * z2 - z1 * y2, z1 * x2 - x1 * z2, x1 * y2 - y1 * x2); // twice the area
+    if (cross === 0) {
+        return 'both points lie on a straight line through the drone, use go instead';
+    }
+
+    const radius = Math.hypot(x1, y1, z1) * Math.hypot(x2, y2, z2) * Math.hypot(x2 - x1, y2 - y1, z2 - z1) / (2 * cross);
+    if (radius < CURVE_RADIUS.min || radius > CURVE_RADIUS.max) {
+        return `the arc radius would be ${Math.round(radius)} cm, it must be between ${CURVE_RADIUS.min} and ${CURVE_RADIUS.max} cm`;
+    }
+    return null;
+};
+
+export const TELLO_COMMANDS = {
+    // ==== CONTROL ====
+    command: { description: 'Enter SDK mode' },
+    takeoff: { description: 'Take off and hover' },
+    land: { description: 'Land' },
+    streamon: { description: 'Start the video stream' },
+    streamoff: { description: 'Stop the video stream' },
+    emergency: { description: 'Stop the motors immediately' },
+    stop: { description: 'Hover in place' },
+    up: { args: [DISTANCE], description: 'Fly up' },
+    down: { args: [DISTANCE], description: 'Fly down' },
+    left: { args: [DISTANCE], description: 'Fly left' },
+    right: { args: [DISTANCE], description: 'Fly right' },
+    forward: { args: [DISTANCE], description: 'Fly forward' },
+    back: { args: [DISTANCE], description: 'Fly back' },
+    cw: { args: [ANGLE], description: 'Rotate clockwise' },
+    ccw: { args: [ANGLE], description: 'Rotate counterclockwise' },
+    flip: { args: [{ name: 'direction', type: 'enum', values: ['l', 'r', 'f', 'b'] }], description: 'Flip left, right, forward or back' },
+    go: {
+        args: [coordinate('x'), coordinate('y'), coordinate('z'), speed(100), pad('mid', true)],
+        check: checkTarget,
+        description: 'Fly to x (forward), y (left), z (up), relative to the drone or a mission pad'
+    },
+    curve: {
+        args: [
+            coordinate('x1'), coordinate('y1'), coordinate('z1'),
+            coordinate('x2'), coordinate('y2'), coordinate('z2'),
+            speed(60), pad('mid', true)
+        ],
+        check: checkCurve,
+        description: 'Fly an arc through the first point to the second'
+    },
+    jump: {
+        args: [
+            coordinate('x'), coordinate('y'), coordinate('z'), speed(100),
+            { name: 'yaw', type: 'integer', min: 0, max: 360, unit: 'degrees' },
+            pad('mid1'), pad('mid2')
+        ],
+        check: checkTarget,
+        description: 'Fly to x, y, z over the first mission pad, then find the second and turn to yaw'
+    },
+
+    // ==== SET ====
+    speed: { args: [speed(100)], description: 'Set the speed for moves' },
+    rc: { args: ['a', 'b', 'c', 'd'].map(stick), description: 'Sticks: a left/right, b forward/back, c up/down, d yaw' },
+    wifi: { args: [{ name: 'ssid', type: 'string' }, { name: 'password', type: 'string' }], sensitive: true, description: 'Rename the drone\'s own Wi-Fi network' },
+    mon: { description: 'Enable mission pad detection' },
+    moff: { description: 'Disable mission pad detection' },
+    mdirection: { args: [{ name: 'direction', type: 'enum', values: ['0', '1', '2'] }], description: 'Detect pads below (0), in front (1) or both (2)' },
+    ap: { args: [{ name: 'ssid', type: 'string' }, { name: 'password', type: 'string' }], sensitive: true, description: 'Join a Wi-Fi network in station mode' },
+
+    // ==== READ ====
+    'speed?': { description: 'Current speed setting (cm/s)' },
+    'battery?': { description: 'Battery level (%)' },
+    'time?': { description: 'Flight time (s)' },
+    'wifi?': { description: 'Wi-Fi signal to noise ratio' },
+    'sdk?': { description: 'SDK version' },
+    'sn?': { description: 'Serial number' },
+    'height?': { description: 'Height (dm)' },
+    'temp?': { description: 'Temperature range (°C)' },
+    'attitude?': { description: 'Pitch, roll and yaw (°)' },
+    'baro?': { description: 'Barometer altitude (m)' },
+    'acceleration?': { description: 'Acceleration (0.001 g)' },
+    'tof?': { description: 'Distance from the time-of-flight sensor (mm)' }
+};
+
+// e.g. 'go <x> <y> <z> <speed> [mid]'
+export const describeUsage = (name) => {
+    const { args = [] } = TELLO_COMMANDS[name];
+    return [name, ...args.map(arg => arg.optional ? `[${arg.name}]` : `<${arg.name}>`)].join(' ');
+};
+
+const describeRange = (arg) => arg.type === 'enum'
+    ? `one of ${arg.values.join(', ')}`
+    : `an integer from ${arg.min} to ${arg.max}${arg.unit ? ` ${arg.unit}` : ''}`;
+
+const checkArgument = (arg, text) => {
+    if (arg.type === 'string') return null;
+    if (arg.type === 'enum') {
+        return arg.values.includes(text) ? null : { code: 'INVALID_ARGUMENT', message: `${arg.name} must be ${describeRange(arg)}, got '${text}'` };
+    }
+
+    if (!/^-?\d+$/.test(text)) {
+        return { code: 'INVALID_ARGUMENT', message: `${arg.name} must be ${describeRange(arg)}, got '${text}'` };
+    }
+    const value = Number(text);
+    if (value < arg.min || value > arg.max) {
+        return { code: 'OUT_OF_RANGE', message: `${arg.name} must be ${describeRange(arg)}, got ${value}` };
+    }
+    return null;
+};
+
+// Checks a command against the schema. Returns { command, error }: command is the normalized text to send
+// (single spaces), error is null or { code, message, usage?, argument? } describing the first problem.
+export const validateCommand = (text) => {
+    const fail = (code, message, extra = {}) => ({ command: null, error: { code, message, ...extra } });
+
+    if (typeof text !== 'string' || !text.trim()) {
+        return fail('EMPTY_COMMAND', 'Command must be a non-empty string');
+    }
+    // The drone only speaks ASCII; anything else would be cut or misread on the way
+    if (!/^[\x20-\x7e]+$/.test(text.trim())) {
+        return fail('INVALID_CHARACTERS', 'Commands may only contain printable ASCII characters');
+    }
+
+    const [name, ...values] = text.trim().split(/\s+/);
+    const definition = Object.hasOwn(TELLO_COMMANDS, name) ? TELLO_COMMANDS[name] : null;
+    if (!definition) {
+        return fail('UNKNOWN_COMMAND', `Unknown command '${name}'`);
+    }
+
+    const args = definition.args ?? [];
+    const usage = describeUsage(name);
+    const required = args.filter(arg => !arg.optional).length;
+    if (values.length < required || values.length > args.length) {
+        const expected = required === args.length ? `${required}` : `${required}-${args.length}`;
+        return fail('ARGUMENT_COUNT', `${name} takes ${expected} argument${args.length === 1 ? '' : 's'}, got ${values.length} (usage: ${usage})`, { usage });
+    }
+
+    for (const [index, value] of values.entries()) {
+        const problem = checkArgument(args[index], value);
+        if (problem) {
+            return fail(problem.code, `${name}: ${problem.message}`, { usage, argument: args[index].name });
+        }
+    }
+
+    const reason = definition.check?.(values.map(Number));
+    if (reason) {
+        return fail('INVALID_COMBINATION', `${name}: ${reason}`, { usage });
+    }
+
+    return { command: [name, ...values].join(' '), error: null };
+};
+
+// Autocomplete: command names that start with what was typed, or the usage of the command being typed
+export const suggestCommands = (text) => {
+    const input = text.trimStart();
+    if (/\s/.test(input)) {
+        const name = input.split(/\s+/)[0];
+        return Object.hasOwn(TELLO_COMMANDS, name)
+            ? [{ name, usage: describeUsage(name), description: TELLO_COMMANDS[name].description }]
+            : [];
+    }
+    return Object.keys(TELLO_COMMANDS)
+        .filter(name => name.startsWith(input))
+        .map(name => ({ name, usage: describeUsage(name), description: TELLO_COMMANDS[name].description }));
+};
+
+export default validateCommand;
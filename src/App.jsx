@@ -3,21 +3,57 @@
  * This component handles the video streaming and control interface for the Tello drone.
  */
 
-import JSMpegVideoPlayer from '@/components/JSMpegVideoPlayer'
+import VideoPlayer from '@/components/VideoPlayer'
 import DroneControl from '@/components/control/DroneControl'
 import DroneStateDisplay from '@/components/DroneStateDisplay'
+import MissionEditor from '@/components/mission/MissionEditor'
+import MediaGallery from '@/components/media/MediaGallery'
+import DronePicker from '@/components/fleet/DronePicker'
+import FleetGrid from '@/components/fleet/FleetGrid'
+import FailsafeBanner from '@/components/FailsafeBanner'
+import SdkConsole from '@/components/console/SdkConsole'
+import ManeuverPanel from '@/components/control/ManeuverPanel'
+import FlightSettingsPanel from '@/components/control/FlightSettingsPanel'
+import { useServerConfig } from '@hooks/useServerConfig'
 
 function App() {
+  // Ports and video size come from the server's /config
+  useServerConfig();
+
   return (
     <div className="relative h-screen">
-      {/* JSMpegVideoPlayer - renders the video stream */}
-      <JSMpegVideoPlayer />
+      {/* VideoPlayer - renders the video stream over WebRTC or JSMpeg */}
+      <VideoPlayer />
+
+      {/* All fleet video feeds, when grid view is on */}
+      <FleetGrid />
       
       {/* Drone controls overlay */}
       <DroneControl />
 
+      {/* Which drone the controls fly */}
+      <DronePicker />
+
+      {/* Battery, link-loss and drone-silent failsafe alerts */}
+      <FailsafeBanner />
+
       {/* Drone state display */}
       <DroneStateDisplay />
+
+      {/* Mission editor panel */}
+      <MissionEditor />
+
+      {/* Flips, go, curve and jump */}
+      <ManeuverPanel />
+
+      {/* Step sizes, drone speed and presets */}
+      <FlightSettingsPanel />
+
+      {/* Photo and recording gallery */}
+      <MediaGallery />
+
+      {/* Ad-hoc SDK commands */}
+      <SdkConsole />
     </div>
   );
 }
@@ -2,6 +2,9 @@ import React from 'react';
 import { useSelector } from 'react-redux';
 import { useDroneStateEventSource } from '@hooks/useDroneStateEventSource';
 
+// Formats a telemetry value, leaving the cell empty until the first packet arrives
+const formatValue = (value, unit = '') => (value == null ? '--' : `${value}${unit}`);
+
 const DroneStateDisplay = () => {
   // Initialize EventSource connection
   useDroneStateEventSource();
@@ -64,7 +67,7 @@ const DroneStateDisplay = () => {
             </svg>
             <div className="text-center bg-black/20 rounded-md px-2 py-1 w-full group-hover:bg-black/30 transition-all duration-200">
               <span className="text-sm font-mono font-semibold text-purple-400/90">
-                {droneState.time ? `${droneState.time}` : ''}
+                {droneState.time != null ? `${droneState.time}s` : ''}
               </span>
             </div>
           </div>
@@ -99,6 +102,37 @@ const DroneStateDisplay = () => {
           </div>
         </div>
       </div>
+
+      {/* Replay indicator */}
+      {droneState.replay && (
+        <div className="absolute top-14 right-10 z-30">
+          <span className="px-2 py-0.5 rounded-md bg-amber-500/30 border border-amber-500/50 text-xs font-mono font-semibold text-amber-300 animate-pulse">
+            REPLAY
+          </span>
+        </div>
+      )}
+
+      {/* Telemetry from the drone's state port */}
+      <div className="absolute top-40 right-10 z-30">
+        <div className="bg-transparent backdrop-blur-sm rounded-lg p-2 bg-cyan-500/10 hover:bg-cyan-500/10 transition-all duration-200 group">
+          <div className="grid grid-cols-2 gap-x-3 gap-y-0.5 bg-black/20 rounded-md px-2 py-1 group-hover:bg-black/30 transition-all duration-200 text-xs font-mono text-cyan-400/90">
+            <span className="text-white/50">Height</span>
+            <span>{formatValue(droneState.h, ' cm')}</span>
+            <span className="text-white/50">ToF</span>
+            <span>{formatValue(droneState.tof, ' cm')}</span>
+            <span className="text-white/50">Baro</span>
+            <span>{formatValue(droneState.baro, ' m')}</span>
+            <span className="text-white/50">P / R / Y</span>
+            <span>{formatValue(droneState.pitch)} / {formatValue(droneState.roll)} / {formatValue(droneState.yaw)}°</span>
+            <span className="text-white/50">Velocity</span>
+            <span>{formatValue(droneState.vgx)} / {formatValue(droneState.vgy)} / {formatValue(droneState.vgz)}</span>
+            <span className="text-white/50">Accel</span>
+            <span>{formatValue(droneState.agx)} / {formatValue(droneState.agy)} / {formatValue(droneState.agz)}</span>
+            <span className="text-white/50">Temp</span>
+            <span>{formatValue(droneState.templ)}–{formatValue(droneState.temph, '°C')}</span>
+          </div>
+        </div>
+      </div>
     </div>
   );
 };
@@ -0,0 +1,50 @@
+import { useDispatch, useSelector } from 'react-redux';
+import { dismissFailsafeAlert } from '@/store/slices/droneSlice';
+
+const TITLES = {
+  'battery-warning': 'Low battery',
+  'battery-land': 'Battery failsafe',
+  'link-lost': 'Link lost',
+  'drone-silent': 'Drone not responding'
+};
+
+// Server failsafe events for the selected drone. Warnings are amber, events the server acted on are red.
+const FailsafeBanner = () => {
+  const dispatch = useDispatch();
+  const alerts = useSelector(state => state.drone.failsafeAlerts);
+
+  if (alerts.length === 0) return null;
+
+  return (
+    <div className="absolute top-28 left-1/2 -translate-x-1/2 z-40 flex flex-col items-center gap-2 w-[32rem] max-w-[90vw]">
+      {alerts.map(alert => (
+        <div
+          key={alert.type}
+          role="alert"
+          className={`w-full flex items-start gap-3 rounded-lg px-4 py-2 text-sm text-white backdrop-blur-sm border ${
+            alert.action ? 'bg-red-600/70 border-red-400/40' : 'bg-amber-500/70 border-amber-300/40'
+          }`}
+        >
+          <div className="flex-1">
+            <div className="font-semibold">
+              {TITLES[alert.type] ?? alert.type}
+              <span className="ml-2 text-xs font-normal text-white/70">
+                {new Date(alert.t).toLocaleTimeString()}
+              </span>
+            </div>
+            <div>{alert.message}</div>
+          </div>
+          <button
+            onClick={() => dispatch(dismissFailsafeAlert(alert.type))}
+            className="text-white/70 hover:text-white"
+            aria-label="Dismiss"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default FailsafeBanner;
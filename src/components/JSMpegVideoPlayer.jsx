@@ -2,27 +2,49 @@ import { useEffect, useRef } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import JSMpeg from '@cycjimmy/jsmpeg-player';
 import { setStreamEnabled, setError } from '@/store/slices/droneSlice';
+import { setProfileSwitch } from '@/store/slices/videoSlice';
 import VideoContainer from '@/components/VideoContainer';
+import { getDroneApi } from '@utils/droneApi';
 
 const JSMpegVideoPlayer = () => {
   // Refs to manage video element, player instance, and initialization state
   const videoRef = useRef(null);
   const playerRef = useRef(null);
   const isInitializedRef = useRef(false);
+  // destroy() pauses the player first, which must not be reported as the stream stopping
+  const isDetachingRef = useRef(false);
+  // The effects below only decide when to connect, they call the initializePlayer of the latest render
+  const initializePlayerRef = useRef(null);
   
   const {
     streamEnabled
   } = useSelector(state => state.drone);
+  const { streamPort, video } = useSelector(state => state.config);
+  const { selectedDroneId } = useSelector(state => state.fleet);
+  const { profile: chosenProfile, profileRequests, viewerId } = useSelector(state => state.video);
+  const profile = chosenProfile ?? video.defaultProfile;
   const dispatch = useDispatch();
 
-  // Cleanup effect: Destroy player and reset state on unmount
+  // Tear down the player, e.g. to reconnect to another drone's stream
+  const detachPlayer = () => {
+    if (!playerRef.current) return;
+    isDetachingRef.current = true;
+    playerRef.current.destroy();
+    isDetachingRef.current = false;
+    playerRef.current = null;
+    isInitializedRef.current = false;
+    videoRef.current.innerHTML = ''; // the VideoElement wrapper leaves its canvas behind
+  };
+
+  // Cleanup effect: Destroy player on unmount. VideoPlayer also unmounts us when it switches to WebRTC,
+  // so this must not be reported as the stream stopping.
   useEffect(() => {
     return () => {
       if (playerRef.current) {
+        isDetachingRef.current = true;
         playerRef.current.destroy();
         playerRef.current = null;
       }
-      dispatch(setStreamEnabled(false));
       isInitializedRef.current = false;
     };
   }, []);
@@ -32,7 +54,7 @@ const JSMpegVideoPlayer = () => {
     // Initialize player on first stream enable
     if (!playerRef.current) {
       if (streamEnabled && !isInitializedRef.current) {
-        initializePlayer();
+        initializePlayerRef.current();
       }
       return;
     }
@@ -45,16 +67,27 @@ const JSMpegVideoPlayer = () => {
     }
   }, [streamEnabled]);
 
+  // Switching drones or quality profiles points the player at the new stream
+  useEffect(() => {
+    if (!playerRef.current) return;
+    detachPlayer();
+    initializePlayerRef.current(); // reconnects only while the stream is on
+  }, [selectedDroneId, profile, profileRequests]);
+
   // Initialize JSMpeg video player with WebSocket stream
   const initializePlayer = () => {
     if (playerRef.current || !streamEnabled) return;
     
     try {
-      const url = `ws://${window.location.hostname}:3001`;
+      // The server encodes the profile we ask for, and tells us on the state stream if it has to switch us down
+      const query = new URLSearchParams({ profile, viewer: viewerId });
+      const url = `ws://${window.location.hostname}:${streamPort}${getDroneApi(selectedDroneId).videoStream}?${query}`;
+      const { width, height } = video.profiles[profile];
+      dispatch(setProfileSwitch(null)); // a new connection starts on the chosen profile again
       // Create new JSMpeg player instance with configuration
       const player = new JSMpeg.VideoElement(videoRef.current, url, {
-        videoWidth: 640,
-        videoHeight: 480,
+        videoWidth: width,
+        videoHeight: height,
         videoBufferSize: 512 * 1024,
         streaming: true,
         decodeFirstFrame: true,
@@ -69,8 +102,8 @@ const JSMpegVideoPlayer = () => {
             console.log('Video playback started');
             dispatch(setStreamEnabled(true));
           },
-          pause: () => dispatch(setStreamEnabled(false)),
-          stop: () => dispatch(setStreamEnabled(false)),
+          pause: () => !isDetachingRef.current && dispatch(setStreamEnabled(false)),
+          stop: () => !isDetachingRef.current && dispatch(setStreamEnabled(false)),
           error: (error) => {
             console.error('JSMpeg error:', error);
             dispatch(setError('Failed to connect to video stream: ' + error.message));
@@ -95,6 +128,7 @@ const JSMpegVideoPlayer = () => {
       dispatch(setError('Failed to initialize video: ' + err.message));
     }
   };
+  initializePlayerRef.current = initializePlayer;
 
   return <VideoContainer ref={videoRef} />;
 };
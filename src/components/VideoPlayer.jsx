@@ -0,0 +1,48 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { setStreamEnabled, setError } from '@/store/slices/droneSlice';
+import { setActiveTransport } from '@/store/slices/videoSlice';
+import JSMpegVideoPlayer from '@/components/JSMpegVideoPlayer';
+import WebRtcVideoPlayer from '@/components/WebRtcVideoPlayer';
+import { isWebRtcSupported } from '@utils/videoSettings';
+
+// Picks the player for the main video from the transport setting, what the server offers and what the
+// browser can do. WebRTC that cannot connect falls back to JSMpeg until the drone or the setting changes.
+const VideoPlayer = () => {
+  const dispatch = useDispatch();
+  const { transport } = useSelector(state => state.video);
+  const { webrtc } = useSelector(state => state.config);
+  const { selectedDroneId } = useSelector(state => state.fleet);
+  const [webRtcFailed, setWebRtcFailed] = useState(false);
+
+  const playWebRtc = transport !== 'jsmpeg' && webrtc.enabled && isWebRtcSupported() && !webRtcFailed;
+
+  useEffect(() => {
+    setWebRtcFailed(false);
+  }, [transport, selectedDroneId]);
+
+  useEffect(() => {
+    dispatch(setActiveTransport(playWebRtc ? 'webrtc' : 'jsmpeg'));
+  }, [playWebRtc, dispatch]);
+
+  // Switching players keeps the stream running, only leaving the page stops it
+  useEffect(() => {
+    return () => {
+      dispatch(setActiveTransport(null));
+      dispatch(setStreamEnabled(false));
+    };
+  }, [dispatch]);
+
+  // Auto falls back quietly, a pilot who asked for WebRTC is told why they did not get it
+  const handleWebRtcFailure = useCallback((message) => {
+    console.warn(`WebRTC video unavailable, falling back to JSMpeg: ${message}`);
+    if (transport === 'webrtc') {
+      dispatch(setError(`WebRTC video failed (${message}), using JSMpeg`));
+    }
+    setWebRtcFailed(true);
+  }, [transport, dispatch]);
+
+  return playWebRtc ? <WebRtcVideoPlayer onFailure={handleWebRtcFailure} /> : <JSMpegVideoPlayer />;
+};
+
+export default VideoPlayer;
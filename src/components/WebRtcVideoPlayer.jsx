@@ -0,0 +1,96 @@
+import { useEffect, useRef } from 'react';
+import { useSelector } from 'react-redux';
+import VideoContainer from '@/components/VideoContainer';
+import { getDroneApi } from '@utils/droneApi';
+
+const CONNECT_TIMEOUT = 10000;     // ms for the peer connection to come up before JSMpeg takes over
+const ICE_GATHERING_TIMEOUT = 2000; // ms to collect our candidates, they all go to the server with the answer
+
+const waitForIceGathering = (pc) => new Promise((resolve) => {
+  if (pc.iceGatheringState === 'complete') return resolve();
+  const timer = setTimeout(resolve, ICE_GATHERING_TIMEOUT);
+  pc.addEventListener('icegatheringstatechange', () => {
+    if (pc.iceGatheringState !== 'complete') return;
+    clearTimeout(timer);
+    resolve();
+  });
+});
+
+// Sibling of JSMpegVideoPlayer that plays the drone's original H.264 over WebRTC. The server offers, we answer.
+// onFailure(message) is called when the stream cannot be brought up, so VideoPlayer can fall back to JSMpeg.
+const WebRtcVideoPlayer = ({ onFailure }) => {
+  const videoRef = useRef(null);
+  const { streamEnabled } = useSelector(state => state.drone);
+  const { selectedDroneId } = useSelector(state => state.fleet);
+
+  // One peer connection per stream session and drone, torn down when either changes
+  useEffect(() => {
+    if (!streamEnabled) return;
+
+    const api = getDroneApi(selectedDroneId);
+    const video = videoRef.current;
+    const pc = new RTCPeerConnection();
+    let sessionId = null;
+    let closed = false;
+
+    const fail = (message) => !closed && onFailure(message);
+    const release = () => {
+      if (!sessionId) return;
+      fetch(`${api.webrtc}/${sessionId}`, { method: 'DELETE', keepalive: true }).catch(() => {});
+    };
+    const timer = setTimeout(() => fail('the connection timed out'), CONNECT_TIMEOUT);
+
+    pc.ontrack = ({ track, streams }) => {
+      video.srcObject = streams[0] ?? new MediaStream([track]);
+    };
+    pc.onconnectionstatechange = () => {
+      if (pc.connectionState === 'connected') clearTimeout(timer);
+      if (pc.connectionState === 'failed') fail('the connection failed');
+    };
+
+    const connect = async () => {
+      const response = await fetch(api.webrtc, { method: 'POST' });
+      const offer = await response.json();
+      if (!response.ok) {
+        throw new Error(offer.error || 'WebRTC is not available');
+      }
+      sessionId = offer.id;
+      if (closed) return release(); // unmounted while the offer was on its way
+
+      await pc.setRemoteDescription({ type: offer.type, sdp: offer.sdp });
+      await pc.setLocalDescription(await pc.createAnswer());
+      await waitForIceGathering(pc);
+
+      const answer = await fetch(`${api.webrtc}/${sessionId}/answer`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ type: 'answer', sdp: pc.localDescription.sdp })
+      });
+      if (!answer.ok) {
+        const data = await answer.json();
+        throw new Error(data.error || 'the server rejected the answer');
+      }
+    };
+
+    connect().catch((error) => {
+      console.error('WebRTC error:', error);
+      fail(error.message);
+    });
+
+    return () => {
+      closed = true;
+      clearTimeout(timer);
+      pc.close();
+      release();
+      video.srcObject = null;
+    };
+  }, [streamEnabled, selectedDroneId, onFailure]);
+
+  return (
+    <VideoContainer>
+      <video ref={videoRef} autoPlay muted playsInline className="w-full h-full object-contain" />
+    </VideoContainer>
+  );
+};
+
+export default WebRtcVideoPlayer;
@@ -0,0 +1,224 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { setDroneConnection } from '@/store/slices/droneSlice';
+import {
+  toggleConsole,
+  logCommand,
+  resolveCommand,
+  clearConsole,
+  HISTORY_STORAGE_KEY
+} from '@/store/slices/consoleSlice';
+import { TELLO_COMMANDS, validateCommand, suggestCommands } from '@shared/telloCommands';
+import { getDroneApi } from '@utils/droneApi';
+
+const STATUS_STYLES = {
+  pending: 'text-white/40',
+  ok: 'text-emerald-300',
+  error: 'text-red-300',
+  invalid: 'text-amber-300'
+};
+
+// Text shown next to a command: the drone's answer, or why the server refused it
+const describeResponse = (data, ok) => {
+  if (!ok) return data.error ?? 'Request failed';
+  if (data.value !== undefined) return `${data.value}${data.unit ?? ''}`;
+  return data.response ?? data.status;
+};
+
+// Commands with arguments get a trailing space so typing can go straight on
+const complete = (suggestion) => suggestion.usage === suggestion.name ? suggestion.name : `${suggestion.name} `;
+
+const LogEntry = ({ entry }) => (
+  <li className="flex items-baseline gap-2 font-mono text-xs">
+    <span className="text-white/30">{new Date(entry.t).toLocaleTimeString()}</span>
+    {entry.droneId && <span className="text-sky-300/70">[{entry.droneId}]</span>}
+    <span className="text-white">{entry.command}</span>
+    <span className="text-white/30">→</span>
+    <span className={`flex-1 break-all ${STATUS_STYLES[entry.status]}`}>
+      {entry.status === 'pending' ? '…' : entry.response}
+    </span>
+    {entry.latency !== null && (
+      <span
+        className="text-white/40"
+        title={entry.droneLatency !== null ? `Drone answered in ${entry.droneLatency} ms` : undefined}
+      >
+        {entry.latency} ms
+      </span>
+    )}
+  </li>
+);
+
+// Ad-hoc SDK commands for the selected drone, through the same command endpoint as the buttons.
+// Enter sends, Tab completes, Up/Down walk through the history.
+const SdkConsole = () => {
+  const dispatch = useDispatch();
+  const { panelOpen, history, entries } = useSelector(state => state.console);
+  const { selectedDroneId } = useSelector(state => state.fleet);
+  const [input, setInput] = useState('');
+  const [historyIndex, setHistoryIndex] = useState(null); // position while recalling, null when typing
+  const logRef = useRef(null);
+
+  const suggestions = useMemo(() => (input.trim() ? suggestCommands(input).slice(0, 6) : []), [input]);
+
+  useEffect(() => {
+    localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(history));
+  }, [history]);
+
+  // Keep the newest entry in view
+  useEffect(() => {
+    if (logRef.current) logRef.current.scrollTop = logRef.current.scrollHeight;
+  }, [entries, panelOpen]);
+
+  const send = async () => {
+    const text = input.trim();
+    if (!text) return;
+    setInput('');
+    setHistoryIndex(null);
+
+    // Credentials must not end up in the log or in localStorage, and the server refuses them in URLs anyway
+    const [name] = text.split(/\s+/);
+    if (TELLO_COMMANDS[name]?.sensitive) {
+      dispatch(logCommand({
+        command: `${name} ***`,
+        droneId: selectedDroneId,
+        status: 'invalid',
+        response: 'Wi-Fi credentials are not sent from the console, use Wi-Fi setup'
+      }));
+      return;
+    }
+
+    const { command, error } = validateCommand(text);
+    if (error) {
+      dispatch(logCommand({ command: text, droneId: selectedDroneId, status: 'invalid', response: error.message }));
+      return;
+    }
+
+    const { payload: { id } } = dispatch(logCommand({ command, droneId: selectedDroneId }));
+    const started = performance.now();
+    try {
+      const response = await fetch(getDroneApi(selectedDroneId).command(command));
+      const data = await response.json();
+      const ok = response.ok && data.status !== 'failed';
+      dispatch(resolveCommand({
+        id,
+        status: ok ? 'ok' : 'error',
+        response: describeResponse(data, ok),
+        latency: Math.round(performance.now() - started),
+        droneLatency: data.latency ?? null
+      }));
+
+      // Entering SDK mode from here counts the same as the Connect button
+      if (command === 'command' && data.status === 'connected') {
+        dispatch(setDroneConnection(true));
+      }
+    } catch (fetchError) {
+      dispatch(resolveCommand({
+        id,
+        status: 'error',
+        response: fetchError.message,
+        latency: Math.round(performance.now() - started),
+        droneLatency: null
+      }));
+    }
+  };
+
+  const recall = (step) => {
+    if (history.length === 0) return;
+    const current = historyIndex ?? history.length;
+    const next = Math.max(0, Math.min(history.length, current + step));
+    setHistoryIndex(next === history.length ? null : next);
+    setInput(next === history.length ? '' : history[next]);
+  };
+
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'Enter':
+        e.preventDefault();
+        send();
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        recall(-1);
+        break;
+      case 'ArrowDown':
+        e.preventDefault();
+        recall(1);
+        break;
+      case 'Tab':
+        // Complete the command name; once it is typed out there is nothing left to complete
+        if (suggestions.length > 0 && !/\s/.test(input.trim())) {
+          e.preventDefault();
+          setInput(complete(suggestions[0]));
+        }
+        break;
+    }
+  };
+
+  return (
+    <>
+      {/* Console toggle - bottom edge */}
+      <button
+        onClick={() => dispatch(toggleConsole())}
+        className="absolute bottom-0 left-1/2 -translate-x-1/2 z-40 px-3 py-1 rounded-t-lg bg-white/10 backdrop-blur-sm
+                   text-white text-xs font-medium hover:bg-white/20 transition-all duration-200"
+      >
+        Console
+      </button>
+
+      {panelOpen && (
+        <div className="absolute bottom-8 left-1/2 -translate-x-1/2 z-40 w-[40rem] max-w-[90vw] h-72 flex flex-col gap-2 p-3
+                        rounded-lg bg-black/70 backdrop-blur-sm text-white border border-white/10">
+          <div className="flex items-center gap-2 text-xs text-white/60">
+            <span className="flex-1">SDK console · {selectedDroneId ?? 'primary drone'}</span>
+            <button onClick={() => dispatch(clearConsole())} disabled={entries.length === 0}
+                    className="px-2 py-0.5 rounded-md bg-white/10 hover:bg-white/20 disabled:opacity-40">Clear</button>
+          </div>
+
+          <ul ref={logRef} className="flex-1 overflow-y-auto flex flex-col gap-0.5 pr-1">
+            {entries.length === 0 && (
+              <li className="text-xs text-white/40">Try battery?, sdk?, sn? or go 50 0 50 30</li>
+            )}
+            {entries.map(entry => <LogEntry key={entry.id} entry={entry} />)}
+          </ul>
+
+          <div className="relative">
+            {suggestions.length > 0 && (
+              <ul className="absolute bottom-full mb-1 left-0 right-0 rounded-md bg-black/90 border border-white/10 py-1">
+                {suggestions.map(suggestion => (
+                  <li key={suggestion.name}>
+                    <button
+                      onMouseDown={(e) => {
+                        e.preventDefault(); // keep focus in the input
+                        setInput(complete(suggestion));
+                      }}
+                      className="w-full flex gap-3 px-2 py-0.5 text-left text-xs hover:bg-white/10"
+                    >
+                      <span className="font-mono text-white">{suggestion.usage}</span>
+                      <span className="text-white/40 truncate">{suggestion.description}</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <input
+              type="text"
+              value={input}
+              onChange={(e) => {
+                setInput(e.target.value);
+                setHistoryIndex(null);
+              }}
+              onKeyDown={handleKeyDown}
+              placeholder="SDK command, e.g. speed?"
+              spellCheck={false}
+              autoComplete="off"
+              className="w-full bg-black/40 border border-white/10 rounded-md px-2 py-1 text-sm font-mono text-white
+                         focus:outline-none focus:border-sky-500/60"
+            />
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default SdkConsole;
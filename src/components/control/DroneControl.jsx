@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { 
   setError, 
@@ -9,6 +9,14 @@ import {
   incrementRetryAttempts,
   resetRetryAttempts
 } from '@/store/slices/droneSlice';
+import { setControlMode, setStickSpeed, setGamepadSettings } from '@/store/slices/flightSettingsSlice';
+import { useRcControl } from '@hooks/useRcControl';
+import { useGamepad } from '@hooks/useGamepad';
+import { useDroneSpeed } from '@hooks/useDroneSpeed';
+import { usePilotHeartbeat } from '@hooks/usePilotHeartbeat';
+import { GAMEPAD_LAYOUTS } from '@utils/gamepad';
+import { getDroneApi } from '@utils/droneApi';
+import { validateCommand } from '@shared/telloCommands';
 
 const DroneControl = () => {
   const dispatch = useDispatch();
@@ -20,6 +28,17 @@ const DroneControl = () => {
     error,
     retryAttempts 
   } = useSelector(state => state.drone);
+  const {
+    controlMode,
+    stickSpeed,
+    stepDistance,
+    stepAngle,
+    droneSpeed,
+    gamepad: gamepadSettings
+  } = useSelector(state => state.flightSettings);
+  const { selectedDroneId } = useSelector(state => state.fleet);
+  // Every request below goes to the drone picked in the fleet picker
+  const api = getDroneApi(selectedDroneId);
 
   // ==== ACTIVE KEYS ====
   {/* its temporary state to track which keys are currently being held down and does not need persistence */}  
@@ -28,6 +47,23 @@ const DroneControl = () => {
   // Constants
   const MAX_SDK_RETRY_ATTEMPTS = 5;
 
+  // ==== STICK MODE ====
+  // Held keys become rc axes: a = left/right, b = forward/back, c = up/down, d = yaw
+  const keyboardAxes = useMemo(() => {
+    // In step mode held keys are discrete moves, they must not also steer the sticks
+    if (controlMode !== 'stick') return { a: 0, b: 0, c: 0, d: 0 };
+
+    const axis = (positive, negative) =>
+      ((activeKeys.has(positive) ? 1 : 0) - (activeKeys.has(negative) ? 1 : 0)) * stickSpeed;
+
+    return {
+      a: axis('d', 'a'),
+      b: axis('w', 's'),
+      c: axis('ArrowUp', 'ArrowDown'),
+      d: axis('ArrowRight', 'ArrowLeft')
+    };
+  }, [activeKeys, stickSpeed, controlMode]);
+
   // ==== LIFE CYCLE MANAGEMENT ====
   const enterSDKMode = async () => {
     if (retryAttempts >= MAX_SDK_RETRY_ATTEMPTS) {
@@ -36,7 +72,7 @@ const DroneControl = () => {
     }
 
     try {
-      const response = await fetch('/drone/command');
+      const response = await fetch(api.command('command'));
       const data = await response.json();
       const success = data.status === 'connected';
       
@@ -59,18 +95,26 @@ const DroneControl = () => {
   };
 
   // Basic command sender
-  const sendCommand = async (command) => {
+  const sendCommand = async (text) => {
     if (!droneConnected) {
       dispatch(setError('Drone not connected'));
       return;
     }
 
+    // Same schema the server checks, so a malformed command never leaves the browser
+    const { command, error: invalid } = validateCommand(text);
+    if (invalid) {
+      dispatch(setError(invalid.message));
+      return;
+    }
+
     try {
-      const response = await fetch(`/drone/${command}`);
+      const response = await fetch(api.command(command));
+      const data = await response.json();
       if (!response.ok) {
-        throw new Error(`Command failed: ${response}`);
+        // Server reports drone errors, timeouts and cancellations with a readable message
+        throw new Error(data.error || `Command failed: ${command}`);
       }
-      const data = await response.json();
       console.log('Command response:', data.response);
     } catch (error) {
       console.error(error);
@@ -82,8 +126,11 @@ const DroneControl = () => {
   const toggleVideoStream = async () => {
     const command = streamEnabled ? 'streamoff' : 'streamon';
     try {
-      const response = await fetch(`/drone/${command}`);
-      if (!response.ok) throw new Error(`Failed to ${command}, ${response}`);
+      const response = await fetch(api.command(command));
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || `Failed to ${command}`);
+      }
       dispatch(setStreamEnabled(!streamEnabled));
     } catch (error) {
       console.error(error);
@@ -98,7 +145,7 @@ const DroneControl = () => {
     }
 
     try {
-      const response = await fetch('/capture-photo', {
+      const response = await fetch(api.capturePhoto, {
         method: 'POST'
       });
 
@@ -116,7 +163,7 @@ const DroneControl = () => {
 
   const toggleRecording = async () => {
     try {
-      const endpoint = isRecording ? '/stop-recording' : '/start-recording';
+      const endpoint = isRecording ? api.stopRecording : api.startRecording;
       const response = await fetch(endpoint, { method: 'POST' });
       
       if (!response.ok) {
@@ -137,8 +184,16 @@ const DroneControl = () => {
   };
 
   // ==== KEYBOARD CONTROLS ====
+  // Keys typed into a text field (SDK console, mission editor) are text, not flight input
+  const isTyping = (e) => Boolean(e.target.closest?.('input, textarea, select, [contenteditable="true"]'));
+
+  // Ref so the listeners always fly the drone selected now, not the one selected when they were added
+  const keyActionsRef = useRef(null);
+
   useEffect(() => {
     const handleKeyDown = (e) => {
+      if (isTyping(e)) return;
+      const { sendCommand, handleGracefulShutdown } = keyActionsRef.current;
       const validKeys = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'w', 'a', 's', 'd', 'q', 'e', 'Escape'];
       if (validKeys.includes(e.key)) {
       {/*  // Stops the browser's default behavior for these keys
@@ -160,22 +215,31 @@ const DroneControl = () => {
           return updated;
         });
 
+        // Q / E scale the stick speed, everything else is handled by the rc axes in stick mode
+        if (controlMode === 'stick') {
+          if (e.key === 'q') dispatch(setStickSpeed(stickSpeed - 10));
+          if (e.key === 'e') dispatch(setStickSpeed(stickSpeed + 10));
+          if (e.key === 'Escape') handleGracefulShutdown();
+          return;
+        }
+
         // Map keys to drone commands
         switch (e.key) {
-          case 'w': sendCommand(`forward ${20}`); break;
-          case 's': sendCommand(`back ${20}`); break;
-          case 'a': sendCommand(`left ${20}`); break;
-          case 'd': sendCommand(`right ${20}`); break;
-          case 'ArrowUp': sendCommand(`up ${20}`); break;
-          case 'ArrowDown': sendCommand(`down ${20}`); break;
-          case 'ArrowLeft': sendCommand(`ccw ${45}`); break;
-          case 'ArrowRight': sendCommand(`cw ${45}`); break;
+          case 'w': sendCommand(`forward ${stepDistance}`); break;
+          case 's': sendCommand(`back ${stepDistance}`); break;
+          case 'a': sendCommand(`left ${stepDistance}`); break;
+          case 'd': sendCommand(`right ${stepDistance}`); break;
+          case 'ArrowUp': sendCommand(`up ${stepDistance}`); break;
+          case 'ArrowDown': sendCommand(`down ${stepDistance}`); break;
+          case 'ArrowLeft': sendCommand(`ccw ${stepAngle}`); break;
+          case 'ArrowRight': sendCommand(`cw ${stepAngle}`); break;
           case 'Escape': handleGracefulShutdown(); break;
         }
       }
     };
     // ==== KEY UP ====
     const handleKeyUp = (e) => {
+      if (isTyping(e)) return;
       const validKeys = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'w', 'a', 's', 'd', 'q', 'e', 'Escape'];
       if (validKeys.includes(e.key)) {
         e.preventDefault();
@@ -187,20 +251,63 @@ const DroneControl = () => {
       }
     };
 
+    // ==== FOCUS LOSS ====
+    // Key up events never arrive once the window loses focus, so release everything (sticks return to zero)
+    const releaseAllKeys = () => setActiveKeys(new Set());
+    const handleVisibilityChange = () => {
+      if (document.hidden) releaseAllKeys();
+    };
+
     window.addEventListener('keydown', handleKeyDown); // when a key is pressed, handleKeyDown is called
     window.addEventListener('keyup', handleKeyUp); // when a key is released, handleKeyUp is called
+    window.addEventListener('blur', releaseAllKeys);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
 
     return () => {
       window.removeEventListener('keydown', handleKeyDown);
       window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', releaseAllKeys);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
     };
-  }, [droneConnected]); // re-runs when droneConnected changes to prevent memory leaks
+  }, [controlMode, stickSpeed, stepDistance, stepAngle, dispatch]); // re-runs when these change to prevent stale handlers
+
+  // The drone's own speed follows the flight settings
+  useDroneSpeed();
+
+  // Keeps the link-loss failsafe from taking a hovering pilot for a lost link
+  usePilotHeartbeat();
 
   // Basic flight controls
   const handleTakeoff = () => sendCommand('takeoff');
   const handleLand = () => sendCommand('land');
   const handleEmergency = () => sendCommand('emergency');
 
+  // ==== GAMEPAD ====
+  // Buttons go through the same handlers as the on-screen buttons, sticks through the same rc path as the keyboard
+  const handleGamepadButton = (action) => {
+    switch (action) {
+      case 'takeoff': handleTakeoff(); break;
+      case 'land': handleLand(); break;
+      case 'emergency': handleEmergency(); break;
+      case 'photo': capturePhoto(); break;
+      case 'record': if (streamEnabled) toggleRecording(); break;
+    }
+  };
+
+  const { gamepad, axes: gamepadAxes } = useGamepad({
+    ...gamepadSettings,
+    maxOutput: stickSpeed,
+    onButton: handleGamepadButton
+  });
+
+  const clampAxis = (value) => Math.max(-100, Math.min(100, value));
+  useRcControl({
+    a: clampAxis(keyboardAxes.a + gamepadAxes.a),
+    b: clampAxis(keyboardAxes.b + gamepadAxes.b),
+    c: clampAxis(keyboardAxes.c + gamepadAxes.c),
+    d: clampAxis(keyboardAxes.d + gamepadAxes.d)
+  }, droneConnected && (controlMode === 'stick' || gamepad !== null), api.rc);
+
   // Clear error after 5 seconds
   useEffect(() => {
     if (error) {
@@ -230,6 +337,11 @@ const DroneControl = () => {
       dispatch(setError(error.message));
     }
   };
+  keyActionsRef.current = { sendCommand, handleGracefulShutdown };
+
+  // Keyboard help shows what one press does right now
+  const moveHint = controlMode === 'stick' ? `stick ${stickSpeed}%` : `${stepDistance} cm @ ${droneSpeed} cm/s`;
+  const turnHint = controlMode === 'stick' ? `stick ${stickSpeed}%` : `${stepDistance} cm · ${stepAngle}°`;
 
   return (
     <>
@@ -485,6 +597,61 @@ const DroneControl = () => {
         </div>
       )}
 
+      {/* Control mode toggle - bottom center */}
+      {droneConnected && (
+        <div className="absolute bottom-36 left-1/2 -translate-x-1/2 z-30 flex items-center gap-3
+                        bg-black/20 backdrop-blur-sm rounded-full px-3 py-1.5 text-white text-sm">
+          <div className="flex rounded-full bg-white/10 p-0.5">
+            {['step', 'stick'].map(mode => (
+              <button
+                key={mode}
+                onClick={() => dispatch(setControlMode(mode))}
+                className={`px-3 py-0.5 rounded-full capitalize transition-all duration-200 ${
+                  controlMode === mode ? 'bg-sky-500/60' : 'hover:bg-white/10'
+                }`}
+              >
+                {mode}
+              </button>
+            ))}
+          </div>
+          {controlMode === 'stick' && (
+            <label className="flex items-center gap-2 text-white/70">
+              Speed
+              <input
+                type="range"
+                min={10}
+                max={100}
+                step={10}
+                value={stickSpeed}
+                onChange={(e) => dispatch(setStickSpeed(Number(e.target.value)))}
+                className="w-24 accent-sky-500"
+              />
+              <span className="font-mono w-8">{stickSpeed}</span>
+              <span className="text-white/40 text-xs">(Q / E)</span>
+            </label>
+          )}
+
+          {/* Connected controller */}
+          <div className="flex items-center gap-2 border-l border-white/10 pl-3" title={gamepad?.id ?? 'Press a button on a controller to connect it'}>
+            <div className={`h-2 w-2 rounded-full ${gamepad ? 'bg-green-500' : 'bg-gray-500'}`} />
+            <span className="max-w-40 truncate text-white/70">
+              {gamepad ? gamepad.id : 'No controller'}
+            </span>
+            {gamepad && (
+              <select
+                value={gamepadSettings.layout}
+                onChange={(e) => dispatch(setGamepadSettings({ layout: e.target.value }))}
+                className="bg-black/40 rounded-md px-1 py-0.5 text-xs"
+              >
+                {Object.entries(GAMEPAD_LAYOUTS).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Left corner - WASD Movement Controls */}
       <div className="absolute bottom-8 left-8 z-30">
         <div className="bg-transparent bg-opacity-70 p-6 rounded-lg text-white">
@@ -502,6 +669,7 @@ const DroneControl = () => {
           <div className="mt-4 text-center text-sm text-gray-400">
             <p>Forward / Backward</p>
             <p>Left / Right</p>
+            <p className="mt-1 font-mono text-xs text-gray-500">{moveHint}</p>
           </div>
         </div>
       </div>
@@ -523,6 +691,7 @@ const DroneControl = () => {
           <div className="mt-4 text-center text-sm text-gray-400">
             <p>Up / Down</p>
             <p>Rotate Left / Right</p>
+            <p className="mt-1 font-mono text-xs text-gray-500">{turnHint}</p>
           </div>
         </div>
       </div>
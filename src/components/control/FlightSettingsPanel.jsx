@@ -0,0 +1,212 @@
+import { useState, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { setFlightSetting, applyFlightPreset } from '@/store/slices/flightSettingsSlice';
+import { setVideoTransport, setVideoProfile, setRestreamStatus } from '@/store/slices/videoSlice';
+import { setError } from '@/store/slices/droneSlice';
+import { FLIGHT_PRESETS, FLIGHT_SETTING_RANGES } from '@utils/flightSettings';
+import { VIDEO_TRANSPORTS, VIDEO_PROFILE_LABELS, RESTREAM_STATES, formatUptime } from '@utils/videoSettings';
+import { getDroneApi } from '@utils/droneApi';
+
+const SLIDERS = [
+  { name: 'stepDistance', label: 'Step distance' },
+  { name: 'stepAngle', label: 'Rotation angle' },
+  { name: 'droneSpeed', label: 'Drone speed' }
+];
+
+// Step sizes for keyboard flying and the drone's speed, with presets, and how the video is delivered
+const FlightSettingsPanel = () => {
+  const dispatch = useDispatch();
+  const settings = useSelector(state => state.flightSettings);
+  const { transport, activeTransport, profile, profileSwitch, restream } = useSelector(state => state.video);
+  const { video } = useSelector(state => state.config);
+  const { streamEnabled } = useSelector(state => state.drone);
+  const { selectedDroneId } = useSelector(state => state.fleet);
+  const selectedProfile = profile ?? video.defaultProfile;
+  const [open, setOpen] = useState(false);
+  const [restreamUrl, setRestreamUrl] = useState('');
+  const api = getDroneApi(selectedDroneId);
+
+  // 'restream' events only arrive while a push runs or changes, so ask for the current one when the panel opens
+  useEffect(() => {
+    if (!open) return;
+
+    fetch(getDroneApi(selectedDroneId).restream)
+      .then(response => response.json())
+      .then(status => dispatch(setRestreamStatus(status)))
+      .catch(error => console.error('Failed to load restream status:', error));
+  }, [open, selectedDroneId, dispatch]);
+
+  const toggleRestream = async () => {
+    try {
+      const response = await fetch(api.restream, restream?.active ? { method: 'DELETE' } : {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url: restreamUrl.trim() })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Failed to ${restream?.active ? 'stop' : 'start'} the restream`);
+      }
+      dispatch(setRestreamStatus(data));
+    } catch (error) {
+      console.error(error);
+      dispatch(setError(error.message));
+    }
+  };
+
+  const restreamState = RESTREAM_STATES[restream?.state ?? 'stopped'];
+
+  return (
+    <>
+      {/* Panel toggle - right side, below the gallery tab */}
+      <button
+        onClick={() => setOpen(!open)}
+        className="absolute top-[70%] right-0 -translate-y-1/2 z-40 px-1.5 py-3 rounded-l-lg bg-white/10 backdrop-blur-sm
+                   text-white text-xs font-medium hover:bg-white/20 transition-all duration-200 [writing-mode:vertical-rl]"
+      >
+        Settings
+      </button>
+
+      {open && (
+        <div className="absolute top-40 right-[31rem] z-40 w-72 flex flex-col gap-3 p-4 rounded-lg
+                        bg-black/60 backdrop-blur-sm text-white border border-white/10">
+          <span className="text-sm font-semibold">Flight settings</span>
+
+          <div className="grid grid-cols-3 gap-1.5">
+            {Object.entries(FLIGHT_PRESETS).map(([key, { label }]) => (
+              <button
+                key={key}
+                onClick={() => dispatch(applyFlightPreset(key))}
+                className={`px-2 py-1 text-xs rounded-md transition-all duration-200 ${
+                  settings.preset === key ? 'bg-sky-500/60' : 'bg-white/10 hover:bg-white/20'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {SLIDERS.map(({ name, label }) => {
+            const { min, max, step, unit } = FLIGHT_SETTING_RANGES[name];
+            return (
+              <label key={name} className="flex flex-col gap-1 text-xs text-white/70">
+                <span className="flex justify-between">
+                  {label}
+                  <span className="font-mono text-white">{settings[name]} {unit}</span>
+                </span>
+                <input
+                  type="range"
+                  min={min}
+                  max={max}
+                  step={step}
+                  value={settings[name]}
+                  onChange={(e) => dispatch(setFlightSetting({ name, value: Number(e.target.value) }))}
+                  className="accent-sky-500"
+                />
+              </label>
+            );
+          })}
+
+          <span className="text-[10px] text-white/40">
+            Steps apply to W/A/S/D and ↑/↓, the angle to ←/→. The speed is sent to the drone as it changes.
+          </span>
+
+          <div className="flex flex-col gap-1.5 pt-3 border-t border-white/10">
+            <span className="flex justify-between items-baseline text-sm font-semibold">
+              Video transport
+              {activeTransport && (
+                <span className="text-[10px] font-normal text-white/50">
+                  playing over {VIDEO_TRANSPORTS[activeTransport].label}
+                </span>
+              )}
+            </span>
+            <div className="grid grid-cols-3 gap-1.5">
+              {Object.entries(VIDEO_TRANSPORTS).map(([key, { label }]) => (
+                <button
+                  key={key}
+                  onClick={() => dispatch(setVideoTransport(key))}
+                  className={`px-2 py-1 text-xs rounded-md transition-all duration-200 ${
+                    transport === key ? 'bg-sky-500/60' : 'bg-white/10 hover:bg-white/20'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <span className="text-[10px] text-white/40">{VIDEO_TRANSPORTS[transport].hint}</span>
+          </div>
+
+          <div className="flex flex-col gap-1.5">
+            <span className="text-sm font-semibold">Video quality</span>
+            <div className="grid grid-cols-4 gap-1.5">
+              {Object.entries(VIDEO_PROFILE_LABELS).map(([key, label]) => {
+                const { width, height, frameRate } = video.profiles[key];
+                return (
+                  <button
+                    key={key}
+                    onClick={() => dispatch(setVideoProfile(key))}
+                    title={`${width}x${height} @ ${frameRate} fps`}
+                    className={`px-2 py-1 text-xs rounded-md transition-all duration-200 ${
+                      selectedProfile === key ? 'bg-sky-500/60' : 'bg-white/10 hover:bg-white/20'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                );
+              })}
+            </div>
+            {profileSwitch && (
+              <span className="text-[10px] text-amber-300">
+                Switched down to {VIDEO_PROFILE_LABELS[profileSwitch.profile]}, the connection could not keep up.
+                Pick a profile to try again.
+              </span>
+            )}
+            <span className="text-[10px] text-white/40">
+              Applies to JSMpeg. WebRTC always plays the drone's original stream.
+            </span>
+          </div>
+
+          <div className="flex flex-col gap-1.5 pt-3 border-t border-white/10">
+            <span className="flex justify-between items-baseline text-sm font-semibold">
+              Restream
+              <span className={`text-[10px] font-normal ${restreamState.className}`}>{restreamState.label}</span>
+            </span>
+            <div className="flex gap-1.5">
+              <input
+                type="text"
+                placeholder="rtmp://host/live/key or srt://host:port"
+                value={restream?.active ? restream.url : restreamUrl}
+                disabled={restream?.active}
+                onChange={(e) => setRestreamUrl(e.target.value)}
+                className="flex-1 min-w-0 bg-black/40 border border-white/20 rounded-md px-2 py-1 text-xs font-mono
+                           disabled:text-white/50"
+              />
+              <button
+                onClick={toggleRestream}
+                disabled={!restream?.active && (!streamEnabled || !restreamUrl.trim())}
+                className={`px-2 py-1 text-xs rounded-md transition-all duration-200 disabled:opacity-40 ${
+                  restream?.active ? 'bg-red-500/40 hover:bg-red-500/60' : 'bg-white/10 hover:bg-white/20'
+                }`}
+              >
+                {restream?.active ? 'Stop' : 'Start'}
+              </button>
+            </div>
+            {restream?.active && (
+              <span className="text-[10px] font-mono text-white/70">
+                {restream.bitrateKbps ?? 0} kbit/s · up {formatUptime(restream.uptimeMs)} · {restream.reconnectAttempts} reconnects
+              </span>
+            )}
+            {restream?.active && restream.state !== 'live' && restream.lastError && (
+              <span className="text-[10px] text-amber-300 break-all">{restream.lastError}</span>
+            )}
+            <span className="text-[10px] text-white/40">
+              Pushes the drone's original stream while the video is on. Stops with the video.
+            </span>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default FlightSettingsPanel;
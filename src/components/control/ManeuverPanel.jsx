@@ -0,0 +1,172 @@
+import { useState } from 'react';
+import { useSelector } from 'react-redux';
+import { TELLO_COMMANDS, MIN_FLIP_BATTERY, validateCommand } from '@shared/telloCommands';
+import { getDroneApi } from '@utils/droneApi';
+
+const FLIPS = [
+  { direction: 'f', label: 'Forward' },
+  { direction: 'b', label: 'Back' },
+  { direction: 'l', label: 'Left' },
+  { direction: 'r', label: 'Right' }
+];
+
+// Starting values that pass the schema: targets clear of the 20 cm dead zone, an arc with a 1 m radius
+const DEFAULT_VALUES = {
+  go: ['100', '0', '0', '50'],
+  curve: ['100', '100', '0', '200', '0', '0', '30'],
+  jump: ['100', '0', '100', '50', '0', 'm1', 'm2']
+};
+
+const HINTS = {
+  go: 'x forward, y left, z up (cm), relative to the drone',
+  curve: 'Arc through the first point to the second, radius 0.5-10 m',
+  jump: 'Fly from the first mission pad to a point above the second. Needs pad detection, refused by an active geofence.'
+};
+
+// One form per maneuver, built from the required arguments in the command schema
+const ManeuverForm = ({ name, disabled, onSend }) => {
+  const args = TELLO_COMMANDS[name].args.filter(arg => !arg.optional);
+  const [values, setValues] = useState(DEFAULT_VALUES[name]);
+
+  const setValue = (index, value) => setValues(values.map((existing, i) => (i === index ? value : existing)));
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        onSend(`${name} ${values.join(' ')}`);
+      }}
+      className="flex flex-col gap-1.5 rounded-md border border-white/10 bg-white/5 p-2"
+    >
+      <div className="flex items-center justify-between">
+        <span className="font-mono text-sm">{name}</span>
+        <button
+          type="submit"
+          disabled={disabled}
+          className="px-2 py-0.5 text-xs rounded-md bg-sky-500/40 hover:bg-sky-500/50 disabled:opacity-40"
+        >
+          Send
+        </button>
+      </div>
+      <div className="grid grid-cols-4 gap-1.5">
+        {args.map((arg, index) => (
+          <label key={arg.name} className="flex flex-col text-[10px] text-white/50" title={arg.unit}>
+            {arg.name}
+            {arg.type === 'enum' ? (
+              <select
+                value={values[index]}
+                onChange={(e) => setValue(index, e.target.value)}
+                className="bg-black/40 border border-white/10 rounded px-1 py-0.5 text-xs text-white"
+              >
+                {arg.values.map(value => <option key={value} value={value}>{value}</option>)}
+              </select>
+            ) : (
+              <input
+                type="number"
+                min={arg.min}
+                max={arg.max}
+                value={values[index]}
+                onChange={(e) => setValue(index, e.target.value)}
+                className="bg-black/40 border border-white/10 rounded px-1 py-0.5 text-right text-xs text-white"
+              />
+            )}
+          </label>
+        ))}
+      </div>
+      <span className="text-[10px] text-white/40">{HINTS[name]}</span>
+    </form>
+  );
+};
+
+// Flips and the SDK's free-form moves, for the selected drone
+const ManeuverPanel = () => {
+  const { droneConnected, droneState: { battery, replay } } = useSelector(state => state.drone);
+  const { selectedDroneId } = useSelector(state => state.fleet);
+  const [open, setOpen] = useState(false);
+  const [status, setStatus] = useState(null); // { ok, message } of the last maneuver
+  const [busy, setBusy] = useState(false);
+
+  const lowBattery = battery !== null && battery < MIN_FLIP_BATTERY && !replay;
+  const disabled = !droneConnected || busy;
+
+  // Errors stay in the panel next to the controls that caused them, the server explains what the drone refused
+  const send = async (text) => {
+    const { command, error } = validateCommand(text);
+    if (error) {
+      setStatus({ ok: false, message: error.message });
+      return;
+    }
+
+    setBusy(true);
+    setStatus({ ok: true, message: `Sending ${command}…` });
+    try {
+      const response = await fetch(getDroneApi(selectedDroneId).command(command));
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `${command} failed`);
+      }
+      setStatus({ ok: true, message: `${command}: ${data.response}` });
+    } catch (sendError) {
+      setStatus({ ok: false, message: sendError.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <>
+      {/* Panel toggle - left side, below the mission tab */}
+      <button
+        onClick={() => setOpen(!open)}
+        className="absolute top-[70%] left-0 -translate-y-1/2 z-40 px-1.5 py-3 rounded-r-lg bg-white/10 backdrop-blur-sm
+                   text-white text-xs font-medium hover:bg-white/20 transition-all duration-200 [writing-mode:vertical-rl]"
+      >
+        Maneuvers
+      </button>
+
+      {open && (
+        <div className="absolute top-40 left-[27rem] z-40 w-80 flex flex-col gap-3 p-4 rounded-lg
+                        bg-black/60 backdrop-blur-sm text-white border border-white/10">
+          <div className="flex flex-col gap-1.5">
+            <span className="text-sm font-semibold">Flip</span>
+            <div className="grid grid-cols-4 gap-1.5">
+              {FLIPS.map(({ direction, label }) => (
+                <button
+                  key={direction}
+                  onClick={() => send(`flip ${direction}`)}
+                  disabled={disabled || lowBattery}
+                  className="px-2 py-1 text-xs rounded-md bg-white/10 hover:bg-white/20 disabled:opacity-40"
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            {lowBattery && (
+              <span className="text-[10px] text-amber-300">
+                Flips need {MIN_FLIP_BATTERY}% battery, the drone is at {battery}%
+              </span>
+            )}
+          </div>
+
+          {['go', 'curve', 'jump'].map(name => (
+            <ManeuverForm key={name} name={name} disabled={disabled} onSend={send} />
+          ))}
+
+          <div className="flex items-center gap-1.5 text-xs">
+            <span className="flex-1 text-white/50">Mission pad detection</span>
+            <button onClick={() => send('mon')} disabled={disabled}
+                    className="px-2 py-0.5 rounded-md bg-white/10 hover:bg-white/20 disabled:opacity-40">On</button>
+            <button onClick={() => send('moff')} disabled={disabled}
+                    className="px-2 py-0.5 rounded-md bg-white/10 hover:bg-white/20 disabled:opacity-40">Off</button>
+          </div>
+
+          {status && (
+            <p className={`text-xs break-words ${status.ok ? 'text-white/60' : 'text-red-300'}`}>{status.message}</p>
+          )}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default ManeuverPanel;
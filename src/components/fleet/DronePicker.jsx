@@ -0,0 +1,154 @@
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { setError } from '@/store/slices/droneSlice';
+import { setFleetView } from '@/store/slices/fleetSlice';
+import { useFleet } from '@hooks/useFleet';
+import { useDroneSelection } from '@hooks/useDroneSelection';
+import ProvisioningWizard from '@/components/fleet/ProvisioningWizard';
+
+// Chooses which drone the controls fly: the primary drone or one of the fleet drones added here
+const DronePicker = () => {
+  const dispatch = useDispatch();
+  const { drones, selectedDroneId, view } = useSelector(state => state.fleet);
+  const selectDroneById = useDroneSelection();
+  const [adding, setAdding] = useState(false);
+  const [form, setForm] = useState({ ip: '', name: '' });
+  const [busy, setBusy] = useState(false);
+  const [provisioning, setProvisioning] = useState(false);
+
+  useFleet();
+
+  // Fall back to the primary drone when the selected one leaves the fleet
+  useEffect(() => {
+    if (selectedDroneId && !drones.some(drone => drone.id === selectedDroneId)) {
+      selectDroneById(null);
+    }
+  }, [drones, selectedDroneId, selectDroneById]);
+
+  const addDrone = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const response = await fetch('/drones', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ip: form.ip.trim(), name: form.name.trim() || undefined })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to add drone');
+      }
+      setForm({ ip: '', name: '' });
+      setAdding(false);
+    } catch (error) {
+      console.error('Failed to add drone:', error);
+      dispatch(setError(error.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const removeDrone = async () => {
+    const drone = drones.find(candidate => candidate.id === selectedDroneId);
+    if (!drone || !window.confirm(`Remove ${drone.name} from the fleet? Its motors will not be stopped.`)) return;
+
+    try {
+      const response = await fetch(`/drones/${encodeURIComponent(drone.id)}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to remove drone');
+      }
+      selectDroneById(null);
+    } catch (error) {
+      console.error('Failed to remove drone:', error);
+      dispatch(setError(error.message));
+    }
+  };
+
+  return (
+    <>
+      <div className="absolute top-14 left-1/2 -translate-x-1/2 z-30 flex flex-col items-center gap-2">
+        <div className="flex items-center gap-2">
+          <select
+            value={selectedDroneId ?? ''}
+            onChange={(e) => selectDroneById(e.target.value || null)}
+            className="bg-black/40 backdrop-blur-sm border border-white/10 rounded-full px-3 py-1 text-sm text-white"
+          >
+            <option value="">Primary drone</option>
+            {drones.map(drone => (
+              <option key={drone.id} value={drone.id}>
+                {drone.name}{drone.state.battery != null ? ` (${drone.state.battery}%)` : ''}
+              </option>
+            ))}
+          </select>
+
+          {drones.length > 0 && (
+            <button
+              onClick={() => dispatch(setFleetView(view === 'grid' ? 'single' : 'grid'))}
+              className={`px-3 py-1 rounded-full text-sm text-white backdrop-blur-sm transition-all duration-200 ${
+                view === 'grid' ? 'bg-sky-500/40 hover:bg-sky-500/50' : 'bg-white/10 hover:bg-white/20'
+              }`}
+            >
+              Grid
+            </button>
+          )}
+
+          <button
+            onClick={() => setAdding(!adding)}
+            className="px-3 py-1 rounded-full text-sm text-white bg-white/10 backdrop-blur-sm hover:bg-white/20 transition-all duration-200"
+          >
+            {adding ? 'Cancel' : '+ Drone'}
+          </button>
+
+          <button
+            onClick={() => setProvisioning(true)}
+            className="px-3 py-1 rounded-full text-sm text-white bg-white/10 backdrop-blur-sm hover:bg-white/20 transition-all duration-200"
+          >
+            Wi-Fi setup
+          </button>
+
+          {selectedDroneId && (
+            <button
+              onClick={removeDrone}
+              className="px-3 py-1 rounded-full text-sm text-red-300 bg-red-500/10 backdrop-blur-sm hover:bg-red-500/20 transition-all duration-200"
+            >
+              Remove
+            </button>
+          )}
+        </div>
+
+        {adding && (
+          <form onSubmit={addDrone} className="flex items-center gap-2 bg-black/60 backdrop-blur-sm rounded-lg p-2">
+            <input
+              type="text"
+              placeholder="IP, e.g. 192.168.1.21"
+              value={form.ip}
+              onChange={(e) => setForm({ ...form, ip: e.target.value })}
+              className="w-40 bg-black/40 border border-white/10 rounded px-2 py-1 text-xs font-mono text-white"
+            />
+            <input
+              type="text"
+              placeholder="Name (optional)"
+              maxLength={40}
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              className="w-32 bg-black/40 border border-white/10 rounded px-2 py-1 text-xs text-white"
+            />
+            <button
+              type="submit"
+              disabled={busy || !form.ip.trim()}
+              className="px-3 py-1 rounded-md text-xs text-white bg-sky-500/40 hover:bg-sky-500/50 disabled:opacity-40"
+            >
+              {busy ? 'Connecting...' : 'Add'}
+            </button>
+          </form>
+        )}
+      </div>
+
+      {/* Outside the translated bar, which would otherwise become the modal's containing block */}
+      {provisioning && <ProvisioningWizard onClose={() => setProvisioning(false)} />}
+    </>
+  );
+};
+
+export default DronePicker;
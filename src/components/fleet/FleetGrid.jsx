@@ -0,0 +1,96 @@
+import { useEffect, useRef } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import JSMpeg from '@cycjimmy/jsmpeg-player';
+import { setFleetView } from '@/store/slices/fleetSlice';
+import { useDroneSelection } from '@hooks/useDroneSelection';
+import { getDroneApi } from '@utils/droneApi';
+
+// One muted feed of the grid with its own player, independent of the main JSMpegVideoPlayer. Tiles are small,
+// so they take the low profile and leave bandwidth to the drone being flown.
+const VideoTile = ({ droneId, name, battery, streaming, onSelect }) => {
+  const containerRef = useRef(null);
+  const { streamPort, video } = useSelector(state => state.config);
+
+  useEffect(() => {
+    if (!streaming) return;
+
+    const url = `ws://${window.location.hostname}:${streamPort}${getDroneApi(droneId).videoStream}?profile=low`;
+    const { width, height } = video.profiles.low;
+    const element = new JSMpeg.VideoElement(containerRef.current, url, {
+      videoWidth: width,
+      videoHeight: height,
+      streaming: true,
+      decodeFirstFrame: true,
+      progressive: true,
+      throttled: false
+    });
+    const container = containerRef.current;
+
+    return () => {
+      element.player.destroy();
+      container.innerHTML = '';
+    };
+  }, [droneId, streaming, streamPort, video.profiles.low]);
+
+  return (
+    <button
+      onClick={onSelect}
+      className="relative aspect-video bg-black rounded-lg overflow-hidden border border-white/10 hover:border-sky-400 transition-all duration-200"
+    >
+      <div ref={containerRef} className="w-full h-full" />
+      {!streaming && (
+        <span className="absolute inset-0 flex items-center justify-center text-sm text-white/40">Video off</span>
+      )}
+      <div className="absolute inset-x-0 bottom-0 flex justify-between px-2 py-1 bg-black/60 text-xs font-mono text-white">
+        <span>{name}</span>
+        <span>{battery != null ? `${battery}%` : '--'}</span>
+      </div>
+    </button>
+  );
+};
+
+// Every drone's video side by side, under the controls so the picker stays usable; clicking a feed flies that drone
+const FleetGrid = () => {
+  const dispatch = useDispatch();
+  const { drones, view, selectedDroneId, primaryStatus } = useSelector(state => state.fleet);
+  const { streamEnabled, droneState } = useSelector(state => state.drone);
+  const selectDroneById = useDroneSelection();
+
+  if (view !== 'grid') return null;
+
+  const openDrone = (droneId) => {
+    selectDroneById(droneId);
+    dispatch(setFleetView('single'));
+  };
+
+  // The drone slice only describes the selected drone, the primary's last known flags are in the fleet slice
+  const primary = selectedDroneId
+    ? { streaming: primaryStatus.streamEnabled, battery: null }
+    : { streaming: streamEnabled, battery: droneState.battery };
+
+  return (
+    <div className="fixed inset-0 z-20 bg-black/90 backdrop-blur-sm p-6 pt-24 overflow-y-auto">
+      <div className="grid grid-cols-2 xl:grid-cols-3 gap-4">
+        <VideoTile
+          droneId={null}
+          name="Primary drone"
+          battery={primary.battery}
+          streaming={primary.streaming}
+          onSelect={() => openDrone(null)}
+        />
+        {drones.map(drone => (
+          <VideoTile
+            key={drone.id}
+            droneId={drone.id}
+            name={drone.name}
+            battery={drone.state.battery}
+            streaming={drone.streaming}
+            onSelect={() => openDrone(drone.id)}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default FleetGrid;
@@ -0,0 +1,173 @@
+import { useState } from 'react';
+import { useSelector } from 'react-redux';
+
+const STATUS_LABELS = {
+  added: 'Added to fleet',
+  known: 'Already in fleet',
+  primary: 'Primary drone',
+  failed: 'Failed'
+};
+
+// Two steps: send the shared network's credentials to the drone (ap command), then find the drones on that network.
+// The password only travels in the POST body and is cleared as soon as the drone accepted it.
+const ProvisioningWizard = ({ onClose }) => {
+  const { provisioning } = useSelector(state => state.config);
+  const [step, setStep] = useState('credentials'); // credentials | scan
+  const [credentials, setCredentials] = useState({ ssid: '', password: '' });
+  const [showPassword, setShowPassword] = useState(false);
+  const [subnet, setSubnet] = useState(provisioning.subnet);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [scanResults, setScanResults] = useState(null);
+
+  const post = async (url, body) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `Request to ${url} failed`);
+    }
+    return data;
+  };
+
+  const sendCredentials = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await post('/provisioning/ap', credentials);
+      setCredentials({ ssid: credentials.ssid, password: '' });
+      setMessage(`${result.message}. Connect this computer to ${result.ssid} as well, then scan for the drone.`);
+      setStep('scan');
+    } catch (err) {
+      console.error('Provisioning failed:', err);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const scan = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await post('/provisioning/scan', { subnet: subnet.trim() });
+      setScanResults(result.drones);
+    } catch (err) {
+      console.error('Scan failed:', err);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 backdrop-blur-sm" onClick={onClose}>
+      <div className="w-full max-w-md mx-4 bg-gray-900/90 border border-white/10 rounded-lg p-4 space-y-3 text-white"
+           onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between">
+          <h2 className="text-sm font-semibold">
+            Wi-Fi setup · {step === 'credentials' ? '1. Join network' : '2. Find drones'}
+          </h2>
+          <button onClick={onClose} className="text-white/60 hover:text-white text-sm">✕</button>
+        </div>
+
+        {message && <p className="text-xs text-green-300">{message}</p>}
+        {error && <p className="text-xs text-red-300">{error}</p>}
+
+        {step === 'credentials' ? (
+          <form onSubmit={sendCredentials} className="space-y-2">
+            <p className="text-xs text-white/60">
+              Connect this computer to the drone's own Wi-Fi (TELLO-XXXXXX) and enter the network it should join.
+              Names and passwords cannot contain spaces.
+            </p>
+            <input
+              type="text"
+              placeholder="Network name (SSID)"
+              autoComplete="off"
+              value={credentials.ssid}
+              onChange={(e) => setCredentials({ ...credentials, ssid: e.target.value })}
+              className="w-full bg-black/40 border border-white/10 rounded px-2 py-1 text-sm"
+            />
+            <div className="flex gap-2">
+              <input
+                type={showPassword ? 'text' : 'password'}
+                placeholder="Password"
+                autoComplete="new-password"
+                value={credentials.password}
+                onChange={(e) => setCredentials({ ...credentials, password: e.target.value })}
+                className="flex-1 bg-black/40 border border-white/10 rounded px-2 py-1 text-sm"
+              />
+              <button type="button" onClick={() => setShowPassword(!showPassword)}
+                      className="px-2 text-xs text-white/60 hover:text-white">
+                {showPassword ? 'Hide' : 'Show'}
+              </button>
+            </div>
+            <div className="flex justify-between items-center">
+              <button type="button" onClick={() => setStep('scan')} className="text-xs text-white/60 hover:text-white">
+                Already on the network? Skip to scan
+              </button>
+              <button
+                type="submit"
+                disabled={busy || !credentials.ssid || !credentials.password}
+                className="px-3 py-1 rounded-md text-sm bg-sky-500/40 hover:bg-sky-500/50 disabled:opacity-40"
+              >
+                {busy ? 'Sending...' : 'Send to drone'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <form onSubmit={scan} className="space-y-2">
+            <p className="text-xs text-white/60">
+              Drones answering on this subnet are added to the fleet. They need a few seconds to restart after setup.
+            </p>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={subnet}
+                onChange={(e) => setSubnet(e.target.value)}
+                className="flex-1 bg-black/40 border border-white/10 rounded px-2 py-1 text-sm font-mono"
+              />
+              <button
+                type="submit"
+                disabled={busy || !subnet.trim()}
+                className="px-3 py-1 rounded-md text-sm bg-sky-500/40 hover:bg-sky-500/50 disabled:opacity-40"
+              >
+                {busy ? 'Scanning...' : 'Scan'}
+              </button>
+            </div>
+
+            {scanResults && (
+              scanResults.length === 0 ? (
+                <p className="text-xs text-white/60">No drones answered.</p>
+              ) : (
+                <ul className="space-y-1">
+                  {scanResults.map(result => (
+                    <li key={result.ip} className="flex justify-between text-xs bg-white/5 rounded px-2 py-1">
+                      <span className="font-mono">{result.ip}</span>
+                      <span className={result.status === 'failed' ? 'text-red-300' : 'text-white/70'}
+                            title={result.error}>
+                        {STATUS_LABELS[result.status]}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )
+            )}
+
+            <button type="button" onClick={() => setStep('credentials')} className="text-xs text-white/60 hover:text-white">
+              Back to network setup
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProvisioningWizard;
@@ -0,0 +1,242 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { setError } from '@/store/slices/droneSlice';
+import {
+  toggleGallery,
+  setMediaFilter,
+  setMediaLoading,
+  setMediaItems,
+  removeMediaItem,
+  replaceMediaItem,
+  selectMediaItem
+} from '@/store/slices/mediaSlice';
+
+const formatSize = (bytes) => {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatDuration = (seconds) => {
+  if (seconds == null) return '';
+  const total = Math.round(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// Thumbnail: photos show themselves, recordings show their poster and play the animated preview on hover
+const MediaThumbnail = ({ item, hovered }) => {
+  if (item.type === 'photos') {
+    return <img src={item.url} alt={item.name} loading="lazy" className="w-full h-full object-cover" />;
+  }
+  if (item.posterUrl) {
+    const src = hovered && item.previewUrl ? item.previewUrl : item.posterUrl;
+    return <img src={src} alt={item.name} loading="lazy" className="w-full h-full object-cover" />;
+  }
+  // Not processed (yet), let the browser pull the first frame
+  return <video src={`${item.url}#t=0.1`} preload="metadata" muted className="w-full h-full object-cover" />;
+};
+
+// Probe results and flight context stored with a recording
+const RecordingDetails = ({ metadata }) => {
+  const { width, height, fps, frames, flight } = metadata;
+
+  return (
+    <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs text-white/70 font-mono">
+      <span>Resolution: {width && height ? `${width}×${height}` : 'N/A'}</span>
+      <span>Frames: {frames ?? 'N/A'}{fps && ` @ ${fps} fps`}</span>
+      <span>Battery: {flight?.batteryStart ?? 'N/A'}% → {flight?.batteryEnd ?? 'N/A'}%</span>
+      <span>Commands: {flight?.commands?.length ?? 0}</span>
+      {flight?.commands?.length > 0 && (
+        <ol className="col-span-2 max-h-24 overflow-y-auto mt-1 space-y-0.5">
+          {flight.commands.map((entry, index) => (
+            <li key={index} className={entry.status === 'ok' ? '' : 'text-red-300'}>
+              {formatDuration(entry.t / 1000)} {entry.command} ({entry.status})
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+// Full-size viewer with download, rename and delete
+const MediaViewer = ({ item, onRename, onDelete }) => {
+  const dispatch = useDispatch();
+  const [newName, setNewName] = useState(item.name.replace(/\.[^.]+$/, ''));
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 backdrop-blur-sm"
+         onClick={() => dispatch(selectMediaItem(null))}>
+      <div className="max-w-4xl w-full mx-4 space-y-3" onClick={(e) => e.stopPropagation()}>
+        {item.type === 'photos' ? (
+          <img src={item.url} alt={item.name} className="w-full max-h-[70vh] object-contain rounded-lg" />
+        ) : (
+          <video src={item.url} poster={item.posterUrl ?? undefined} controls autoPlay className="w-full max-h-[70vh] rounded-lg bg-black" />
+        )}
+
+        {item.metadata && <RecordingDetails metadata={item.metadata} />}
+
+        <div className="flex items-center gap-2 text-white text-sm">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            className="flex-1 bg-black/40 border border-white/20 rounded-md px-2 py-1 font-mono"
+          />
+          <button
+            onClick={() => onRename(item, newName)}
+            disabled={!newName.trim() || item.name.startsWith(`${newName.trim()}.`)}
+            className="px-3 py-1 rounded-md bg-white/10 hover:bg-white/20 disabled:opacity-40"
+          >
+            Rename
+          </button>
+          <a href={`${item.url}?download=1`} className="px-3 py-1 rounded-md bg-sky-500/30 border border-sky-500/50 hover:bg-sky-500/40">
+            Download
+          </a>
+          <button
+            onClick={() => onDelete(item)}
+            className="px-3 py-1 rounded-md bg-red-500/30 border border-red-500/50 hover:bg-red-500/40"
+          >
+            Delete
+          </button>
+          <button
+            onClick={() => dispatch(selectMediaItem(null))}
+            className="px-3 py-1 rounded-md bg-white/10 hover:bg-white/20"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const MediaGallery = () => {
+  const dispatch = useDispatch();
+  const { galleryOpen, filter, items, loading, selected } = useSelector(state => state.media);
+  const { recordingFiles } = useSelector(state => state.drone);
+  const [hoveredKey, setHoveredKey] = useState(null);
+
+  const fetchMedia = useCallback(async () => {
+    dispatch(setMediaLoading(true));
+    try {
+      const response = await fetch(filter === 'all' ? '/media' : `/media?type=${filter}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to load media');
+      dispatch(setMediaItems(data));
+    } catch (error) {
+      console.error(error);
+      dispatch(setMediaLoading(false));
+      dispatch(setError(error.message));
+    }
+  }, [filter, dispatch]);
+
+  // Reload when the gallery opens, the filter changes or a recording has just been finished
+  useEffect(() => {
+    if (galleryOpen) fetchMedia();
+  }, [galleryOpen, fetchMedia, recordingFiles]);
+
+  const handleDelete = async (item) => {
+    if (!window.confirm(`Delete ${item.name}?`)) return;
+
+    try {
+      const response = await fetch(item.url, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to delete file');
+      dispatch(removeMediaItem(item));
+    } catch (error) {
+      console.error(error);
+      dispatch(setError(error.message));
+    }
+  };
+
+  const handleRename = async (item, name) => {
+    try {
+      const response = await fetch(item.url, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: name.trim() })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to rename file');
+      dispatch(replaceMediaItem({ type: item.type, name: item.name, item: data }));
+    } catch (error) {
+      console.error(error);
+      dispatch(setError(error.message));
+    }
+  };
+
+  return (
+    <>
+      {/* Gallery toggle - right side */}
+      <button
+        onClick={() => dispatch(toggleGallery())}
+        className="absolute top-1/2 right-0 -translate-y-1/2 z-40 px-1.5 py-3 rounded-l-lg bg-white/10 backdrop-blur-sm
+                   text-white text-xs font-medium hover:bg-white/20 transition-all duration-200 [writing-mode:vertical-rl]"
+      >
+        Gallery
+      </button>
+
+      {galleryOpen && (
+        <div className="absolute top-40 right-8 bottom-56 z-40 w-[28rem] flex flex-col gap-3 p-4 rounded-lg
+                        bg-black/60 backdrop-blur-sm text-white border border-white/10">
+          <div className="flex items-center gap-2">
+            <div className="flex rounded-full bg-white/10 p-0.5 text-xs">
+              {['all', 'photos', 'recordings'].map(option => (
+                <button
+                  key={option}
+                  onClick={() => dispatch(setMediaFilter(option))}
+                  className={`px-3 py-0.5 rounded-full capitalize transition-all duration-200 ${
+                    filter === option ? 'bg-sky-500/60' : 'hover:bg-white/10'
+                  }`}
+                >
+                  {option}
+                </button>
+              ))}
+            </div>
+            <button onClick={fetchMedia} className="ml-auto px-2 py-1 text-xs rounded-md bg-white/10 hover:bg-white/20">
+              {loading ? 'Loading…' : 'Refresh'}
+            </button>
+          </div>
+
+          <div className="flex-1 overflow-y-auto">
+            {items.length === 0 && !loading && (
+              <p className="text-sm text-white/50 text-center mt-8">No photos or recordings yet</p>
+            )}
+            <div className="grid grid-cols-3 gap-2">
+              {items.map(item => {
+                const key = `${item.type}/${item.name}`;
+                return (
+                  <button
+                    key={key}
+                    onClick={() => dispatch(selectMediaItem(item))}
+                    onMouseEnter={() => setHoveredKey(key)}
+                    onMouseLeave={() => setHoveredKey(null)}
+                    className="group relative aspect-video rounded-md overflow-hidden border border-white/10 hover:border-sky-400 bg-black"
+                    title={item.name}
+                  >
+                    <MediaThumbnail item={item} hovered={hoveredKey === key} />
+                    <div className="absolute inset-x-0 bottom-0 flex justify-between px-1 py-0.5 bg-black/60 text-[10px] font-mono">
+                      <span>{formatSize(item.size)}</span>
+                      <span>{item.type === 'recordings' ? formatDuration(item.duration) : new Date(item.createdAt).toLocaleTimeString()}</span>
+                    </div>
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {selected && (
+        <MediaViewer
+          key={`${selected.type}/${selected.name}`}
+          item={selected}
+          onRename={handleRename}
+          onDelete={handleDelete}
+        />
+      )}
+    </>
+  );
+};
+
+export default MediaGallery;
@@ -0,0 +1,286 @@
+import { useMemo, useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { setError } from '@/store/slices/droneSlice';
+import {
+  toggleMissionPanel,
+  setMissionName,
+  addStep,
+  updateStep,
+  removeStep,
+  moveStep,
+  clearMission,
+  loadMission
+} from '@/store/slices/missionSlice';
+import { STEP_TYPES, validateMissionSteps, toMissionSteps } from '@utils/mission';
+
+const ACTIVE_STATUSES = ['running', 'paused', 'aborting'];
+
+// Picker for adding a new step, at the top level or inside a repeat block
+const AddStepSelect = ({ parentId = null, disabled }) => {
+  const dispatch = useDispatch();
+
+  return (
+    <select
+      value=""
+      disabled={disabled}
+      onChange={(e) => e.target.value && dispatch(addStep({ type: e.target.value, parentId }))}
+      className="bg-black/40 border border-white/10 rounded-md px-2 py-1 text-xs text-white/80 disabled:opacity-40"
+    >
+      <option value="">+ Add step</option>
+      {Object.entries(STEP_TYPES)
+        // Only one level of repeat, nested blocks are easier to write as a script
+        .filter(([type]) => !(parentId && type === 'repeat'))
+        .map(([type, { label }]) => (
+          <option key={type} value={type}>{label}</option>
+        ))}
+    </select>
+  );
+};
+
+const StepRow = ({ step, index, count, errors, highlighted, locked }) => {
+  const dispatch = useDispatch();
+  const { label, param } = STEP_TYPES[step.type];
+  const error = errors[step.id];
+
+  return (
+    <li className={`rounded-md border px-2 py-1.5 transition-all duration-200 ${
+      highlighted ? 'border-sky-400 bg-sky-500/20' :
+      error ? 'border-red-500/60 bg-red-500/10' :
+      'border-white/10 bg-white/5'
+    }`}>
+      <div className="flex items-center gap-2">
+        <span className="w-5 text-right text-white/40 font-mono text-xs">{index + 1}</span>
+        <span className="flex-1 text-sm">{label}</span>
+
+        {param && (
+          <label className="flex items-center gap-1 text-xs text-white/60">
+            <input
+              type="number"
+              min={param.min}
+              max={param.max}
+              step={param.step ?? 1}
+              value={step.value}
+              disabled={locked}
+              onChange={(e) => dispatch(updateStep({ id: step.id, changes: { value: Number(e.target.value) } }))}
+              className="w-16 bg-black/40 border border-white/10 rounded px-1 py-0.5 text-right text-white"
+            />
+            {param.unit}
+          </label>
+        )}
+
+        {step.type === 'custom' && (
+          <input
+            type="text"
+            placeholder="e.g. flip f"
+            value={step.command}
+            disabled={locked}
+            onChange={(e) => dispatch(updateStep({ id: step.id, changes: { command: e.target.value } }))}
+            className="w-28 bg-black/40 border border-white/10 rounded px-1 py-0.5 text-xs font-mono text-white"
+          />
+        )}
+
+        <div className="flex gap-0.5 text-white/60">
+          <button disabled={locked || index === 0} onClick={() => dispatch(moveStep({ id: step.id, offset: -1 }))}
+                  className="px-1 hover:text-white disabled:opacity-30" title="Move up">↑</button>
+          <button disabled={locked || index === count - 1} onClick={() => dispatch(moveStep({ id: step.id, offset: 1 }))}
+                  className="px-1 hover:text-white disabled:opacity-30" title="Move down">↓</button>
+          <button disabled={locked} onClick={() => dispatch(removeStep(step.id))}
+                  className="px-1 hover:text-red-400 disabled:opacity-30" title="Delete">✕</button>
+        </div>
+      </div>
+
+      {error && <p className="mt-1 text-xs text-red-300">{error}</p>}
+
+      {/* Repeat blocks hold their own step list */}
+      {step.type === 'repeat' && (
+        <div className="mt-2 ml-4 space-y-1">
+          <StepList steps={step.steps} errors={errors} locked={locked} />
+          <AddStepSelect parentId={step.id} disabled={locked} />
+        </div>
+      )}
+    </li>
+  );
+};
+
+const StepList = ({ steps, errors, locked, highlightIndex = null }) => (
+  <ol className="space-y-1">
+    {steps.map((step, index) => (
+      <StepRow
+        key={step.id}
+        step={step}
+        index={index}
+        count={steps.length}
+        errors={errors}
+        locked={locked}
+        highlighted={index === highlightIndex}
+      />
+    ))}
+  </ol>
+);
+
+const MissionEditor = () => {
+  const dispatch = useDispatch();
+  const { panelOpen, name, steps, progress } = useSelector(state => state.mission);
+  const { droneConnected } = useSelector(state => state.drone);
+  const [showErrors, setShowErrors] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const errors = useMemo(() => validateMissionSteps(steps), [steps]);
+  const isValid = Object.keys(errors).length === 0;
+  const isActive = ACTIVE_STATUSES.includes(progress?.status);
+
+  // ==== FILES ====
+  const saveMission = () => {
+    const mission = { name, steps: toMissionSteps(steps) };
+    const blob = new Blob([JSON.stringify(mission, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${name.replace(/[^a-z0-9-_]+/gi, '_') || 'mission'}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleFileSelected = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // allow loading the same file again
+    if (!file) return;
+
+    try {
+      const mission = JSON.parse(await file.text());
+      dispatch(loadMission(mission));
+      setShowErrors(true);
+    } catch (error) {
+      console.error(error);
+      dispatch(setError(`Could not load mission: ${error.message}`));
+    }
+  };
+
+  // ==== RUN CONTROL ====
+  const postMissionAction = async (path, body) => {
+    try {
+      const response = await fetch(path, {
+        method: 'POST',
+        ...(body && {
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.errors?.join('; ') || data.error || 'Mission request failed');
+      }
+    } catch (error) {
+      console.error(error);
+      dispatch(setError(error.message));
+    }
+  };
+
+  const runMission = () => {
+    setShowErrors(true);
+    if (!isValid) return;
+    postMissionAction('/mission', { name, steps: toMissionSteps(steps) });
+  };
+
+  return (
+    <>
+      {/* Panel toggle - left side */}
+      <button
+        onClick={() => dispatch(toggleMissionPanel())}
+        className="absolute top-1/2 left-0 -translate-y-1/2 z-40 px-1.5 py-3 rounded-r-lg bg-white/10 backdrop-blur-sm
+                   text-white text-xs font-medium hover:bg-white/20 transition-all duration-200 [writing-mode:vertical-rl]"
+      >
+        Mission {isActive && '●'}
+      </button>
+
+      {panelOpen && (
+        <div className="absolute top-40 left-8 bottom-56 z-40 w-96 flex flex-col gap-3 p-4 rounded-lg
+                        bg-black/60 backdrop-blur-sm text-white border border-white/10">
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              value={name}
+              disabled={isActive}
+              onChange={(e) => dispatch(setMissionName(e.target.value))}
+              className="flex-1 bg-transparent border-b border-white/20 px-1 py-0.5 text-sm font-semibold focus:outline-none"
+            />
+            <button onClick={saveMission} disabled={steps.length === 0}
+                    className="px-2 py-1 text-xs rounded-md bg-white/10 hover:bg-white/20 disabled:opacity-40">Save</button>
+            <button onClick={() => fileInputRef.current.click()} disabled={isActive}
+                    className="px-2 py-1 text-xs rounded-md bg-white/10 hover:bg-white/20 disabled:opacity-40">Load</button>
+            <button onClick={() => dispatch(clearMission())} disabled={isActive || steps.length === 0}
+                    className="px-2 py-1 text-xs rounded-md bg-white/10 hover:bg-white/20 disabled:opacity-40">Clear</button>
+            <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleFileSelected} className="hidden" />
+          </div>
+
+          {/* Steps */}
+          <div className="flex-1 overflow-y-auto pr-1">
+            <StepList
+              steps={steps}
+              errors={showErrors ? errors : {}}
+              locked={isActive}
+              highlightIndex={isActive ? progress.step?.sourceIndex : null}
+            />
+            <div className="mt-2">
+              <AddStepSelect disabled={isActive} />
+            </div>
+          </div>
+
+          {showErrors && errors.mission && <p className="text-xs text-red-300">{errors.mission}</p>}
+
+          {/* Progress */}
+          {progress && progress.status !== 'idle' && (
+            <div className="text-xs text-white/70 space-y-1">
+              <div className="flex justify-between">
+                <span className="capitalize">{progress.status}{progress.step && `: ${progress.step.label}`}</span>
+                <span className="font-mono">{Math.max(progress.currentStep + 1, 0)} / {progress.totalSteps}</span>
+              </div>
+              <div className="h-1 rounded-full bg-white/10 overflow-hidden">
+                <div
+                  className="h-full bg-sky-500 transition-all duration-300"
+                  style={{ width: `${progress.totalSteps ? ((progress.currentStep + 1) / progress.totalSteps) * 100 : 0}%` }}
+                />
+              </div>
+              {progress.error && <p className="text-red-300">{progress.error}</p>}
+            </div>
+          )}
+
+          {/* Run controls */}
+          <div className="flex gap-2">
+            {!isActive ? (
+              <button
+                onClick={runMission}
+                disabled={!droneConnected}
+                className="flex-1 px-3 py-1.5 rounded-md text-sm bg-emerald-500/30 border border-emerald-500/50
+                           hover:bg-emerald-500/40 disabled:opacity-40 disabled:cursor-not-allowed"
+              >
+                Run mission
+              </button>
+            ) : (
+              <>
+                {progress.status === 'paused' ? (
+                  <button onClick={() => postMissionAction('/mission/resume')}
+                          className="flex-1 px-3 py-1.5 rounded-md text-sm bg-sky-500/30 border border-sky-500/50 hover:bg-sky-500/40">
+                    Resume
+                  </button>
+                ) : (
+                  <button onClick={() => postMissionAction('/mission/pause')} disabled={progress.status !== 'running'}
+                          className="flex-1 px-3 py-1.5 rounded-md text-sm bg-sky-500/30 border border-sky-500/50 hover:bg-sky-500/40 disabled:opacity-40">
+                    Pause
+                  </button>
+                )}
+                <button onClick={() => postMissionAction('/mission/abort')} disabled={progress.status === 'aborting'}
+                        className="flex-1 px-3 py-1.5 rounded-md text-sm bg-red-500/30 border border-red-500/50 hover:bg-red-500/40 disabled:opacity-40">
+                  Abort &amp; land
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default MissionEditor;
@@ -0,0 +1,39 @@
+import { useCallback } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { selectDrone, savePrimaryStatus } from '@/store/slices/fleetSlice';
+import {
+  setDroneConnection,
+  setStreamEnabled,
+  setRecordingStatus,
+  resetDroneState
+} from '@/store/slices/droneSlice';
+
+// Switches the drone the controls, video and state display follow.
+// The drone slice is loaded with the new drone's flags: from the fleet list for fleet drones,
+// from what was saved when we left for the primary drone.
+export function useDroneSelection() {
+  const dispatch = useDispatch();
+  const { drones, selectedDroneId, primaryStatus } = useSelector(state => state.fleet);
+  const { droneConnected, streamEnabled, isRecording } = useSelector(state => state.drone);
+
+  const selectDroneById = useCallback((droneId) => {
+    if (droneId === selectedDroneId) return;
+
+    if (!selectedDroneId) {
+      dispatch(savePrimaryStatus({ droneConnected, streamEnabled, isRecording }));
+    }
+
+    const drone = drones.find(candidate => candidate.id === droneId);
+    const status = drone
+      ? { droneConnected: drone.connected, streamEnabled: drone.streaming, isRecording: drone.recording }
+      : primaryStatus;
+
+    dispatch(resetDroneState());
+    dispatch(setDroneConnection(status.droneConnected));
+    dispatch(setStreamEnabled(status.streamEnabled));
+    dispatch(setRecordingStatus(status.isRecording));
+    dispatch(selectDrone(drone ? droneId : null));
+  }, [drones, selectedDroneId, primaryStatus, droneConnected, streamEnabled, isRecording, dispatch]);
+
+  return selectDroneById;
+}
@@ -0,0 +1,35 @@
+import { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { setError } from '@/store/slices/droneSlice';
+import { getDroneApi } from '@utils/droneApi';
+
+// How long the speed slider has to rest before the value goes to the drone
+const SEND_DELAY = 400;
+
+// Keeps the drone's 'speed' in line with the flight settings: after connecting, after switching drones and
+// whenever the setting changes
+export function useDroneSpeed() {
+    const dispatch = useDispatch();
+    const { droneConnected } = useSelector(state => state.drone);
+    const { droneSpeed } = useSelector(state => state.flightSettings);
+    const { selectedDroneId } = useSelector(state => state.fleet);
+
+    useEffect(() => {
+        if (!droneConnected) return;
+
+        const timer = setTimeout(async () => {
+            try {
+                const response = await fetch(getDroneApi(selectedDroneId).command(`speed ${droneSpeed}`));
+                if (!response.ok) {
+                    const data = await response.json();
+                    throw new Error(data.error || 'Failed to set the drone speed');
+                }
+            } catch (error) {
+                console.error(error);
+                dispatch(setError(error.message));
+            }
+        }, SEND_DELAY);
+
+        return () => clearTimeout(timer);
+    }, [droneConnected, droneSpeed, selectedDroneId, dispatch]);
+}
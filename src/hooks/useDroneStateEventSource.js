@@ -1,13 +1,27 @@
 import { useEffect } from 'react';
-import { useDispatch } from 'react-redux';
-import { setDroneState } from '@/store/slices/droneSlice';
+import { useDispatch, useSelector } from 'react-redux';
+import { setDroneState, setError, addFailsafeAlert } from '@/store/slices/droneSlice';
+import { setMissionProgress } from '@/store/slices/missionSlice';
+import { setProfileSwitch, setRestreamStatus } from '@/store/slices/videoSlice';
+import { getDroneApi } from '@utils/droneApi';
+
+// Every failsafe has its own event type on the state stream
+const FAILSAFE_EVENTS = ['battery-warning', 'battery-land', 'link-lost', 'drone-silent'];
 
 export function useDroneStateEventSource() {
     const dispatch = useDispatch();
+    const { loaded, port } = useSelector(state => state.config);
+    const { selectedDroneId } = useSelector(state => state.fleet);
+    const { viewerId } = useSelector(state => state.video);
 
     useEffect(() => {
+        // Wait for /config so we connect to the port the server actually listens on
+        if (!loaded) return;
+
         // Create EventSource connection
-        const eventSource = new EventSource(`http://${window.location.hostname}:3000/drone-state-stream`);
+        // State of the selected drone only, so switching drones reconnects
+        const { stateStream } = getDroneApi(selectedDroneId);
+        const eventSource = new EventSource(`http://${window.location.hostname}:${port}${stateStream}`);
 
         // Handle incoming messages
         eventSource.onmessage = (event) => {
@@ -19,6 +33,78 @@ export function useDroneStateEventSource() {
             }
         };
 
+        // Named events carry everything that is not drone state
+        eventSource.addEventListener('mission', (event) => {
+            try {
+                dispatch(setMissionProgress(JSON.parse(event.data)));
+            } catch (error) {
+                console.error('Error processing mission progress:', error);
+            }
+        });
+
+        // Replayed state is flagged with replay: true, clear the flag once playback is over
+        eventSource.addEventListener('replay', (event) => {
+            try {
+                const replay = JSON.parse(event.data);
+                if (replay.status !== 'playing') {
+                    dispatch(setDroneState({ replay: false }));
+                }
+            } catch (error) {
+                console.error('Error processing replay status:', error);
+            }
+        });
+
+        // Rejected commands already fail their own request; clamps and overrides would go unnoticed otherwise
+        eventSource.addEventListener('geofence', (event) => {
+            try {
+                const violation = JSON.parse(event.data);
+                if (violation.action === 'clamped') {
+                    const sent = violation.sent ? `, sent '${violation.sent}' instead` : '';
+                    dispatch(setError(`Geofence: '${violation.command}' ${violation.reason}${sent}`));
+                } else if (violation.action === 'overridden') {
+                    dispatch(setError(`Geofence overridden: '${violation.command}' ${violation.reason}`));
+                }
+            } catch (error) {
+                console.error('Error processing geofence event:', error);
+            }
+        });
+
+        FAILSAFE_EVENTS.forEach(type => {
+            eventSource.addEventListener(type, (event) => {
+                try {
+                    dispatch(addFailsafeAlert(JSON.parse(event.data)));
+                } catch (error) {
+                    console.error(`Error processing ${type} event:`, error);
+                }
+            });
+        });
+
+        // The server moved a lagging viewer to a lower quality profile; only our own switches matter here
+        eventSource.addEventListener('video-profile', (event) => {
+            try {
+                const { viewer, ...profileSwitch } = JSON.parse(event.data);
+                if (viewer === viewerId) {
+                    dispatch(setProfileSwitch(profileSwitch));
+                }
+            } catch (error) {
+                console.error('Error processing video profile event:', error);
+            }
+        });
+
+        // Push state, bitrate, uptime and reconnects of the RTMP/SRT restream
+        eventSource.addEventListener('restream', (event) => {
+            try {
+                dispatch(setRestreamStatus(JSON.parse(event.data)));
+            } catch (error) {
+                console.error('Error processing restream status:', error);
+            }
+        });
+
+        // A fleet drone was taken out of the fleet while we were watching it
+        eventSource.addEventListener('removed', () => {
+            dispatch(setError('This drone was removed from the fleet'));
+        });
+
         // Handle connection errors
         eventSource.onerror = (error) => {
             // Log the error but don't close the connection
@@ -37,5 +123,5 @@ export function useDroneStateEventSource() {
         return () => {
             eventSource.close();
         };
-    }, []); // Empty dependency array since we only want to create the connection once
+    }, [loaded, port, selectedDroneId, viewerId, dispatch]); // Only reconnects if the server config or the selected drone changes
 } 
\ No newline at end of file
@@ -0,0 +1,28 @@
+import { useEffect } from 'react';
+import { useDispatch } from 'react-redux';
+import { setFleetDrones } from '@/store/slices/fleetSlice';
+
+// Fleet drones only need a coarse overview (battery, streaming), so the list is polled instead of
+// holding an SSE connection per drone open - browsers allow only a handful per host
+const POLL_INTERVAL = 2000;
+
+export function useFleet() {
+  const dispatch = useDispatch();
+
+  useEffect(() => {
+    const loadFleet = async () => {
+      try {
+        const response = await fetch('/drones');
+        if (response.ok) {
+          dispatch(setFleetDrones(await response.json()));
+        }
+      } catch (error) {
+        console.error('Failed to load fleet:', error);
+      }
+    };
+
+    loadFleet();
+    const interval = setInterval(loadFleet, POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [dispatch]);
+}
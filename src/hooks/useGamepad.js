@@ -0,0 +1,94 @@
+import { useEffect, useRef, useState } from 'react';
+import { readGamepadAxes } from '@utils/gamepad';
+
+const CENTERED = { a: 0, b: 0, c: 0, d: 0 };
+
+const sameAxes = (first, second) =>
+  first.a === second.a && first.b === second.b && first.c === second.c && first.d === second.d;
+
+// Polls the first connected gamepad every animation frame.
+// Returns the connected controller and its rc axes; button presses call onButton(action) once per press.
+export function useGamepad({ layout, deadZone, expo, maxOutput, buttons, onButton }) {
+  const [gamepad, setGamepad] = useState(null); // { index, id }
+  const [axes, setAxes] = useState(CENTERED);
+
+  // Refs so the polling loop always sees the latest settings without restarting
+  const settingsRef = useRef({ layout, deadZone, expo, maxOutput, buttons, onButton });
+  settingsRef.current = { layout, deadZone, expo, maxOutput, buttons, onButton };
+  const pressedRef = useRef(new Set());
+
+  // ==== CONNECTION ====
+  useEffect(() => {
+    const handleConnected = (e) => {
+      console.log('Gamepad connected:', e.gamepad.id);
+      setGamepad(current => current ?? { index: e.gamepad.index, id: e.gamepad.id });
+    };
+
+    const handleDisconnected = (e) => {
+      console.log('Gamepad disconnected:', e.gamepad.id);
+      setGamepad(current => (current?.index === e.gamepad.index ? null : current));
+      setAxes(CENTERED);
+    };
+
+    window.addEventListener('gamepadconnected', handleConnected);
+    window.addEventListener('gamepaddisconnected', handleDisconnected);
+
+    // A controller that was connected before the page loaded only shows up after a button press,
+    // but pick it up right away if the browser already knows about it
+    const existing = Array.from(navigator.getGamepads?.() ?? []).find(Boolean);
+    if (existing) {
+      setGamepad({ index: existing.index, id: existing.id });
+    }
+
+    return () => {
+      window.removeEventListener('gamepadconnected', handleConnected);
+      window.removeEventListener('gamepaddisconnected', handleDisconnected);
+    };
+  }, []);
+
+  // ==== POLLING ====
+  useEffect(() => {
+    if (!gamepad) return;
+
+    let frame;
+    const poll = () => {
+      const pad = navigator.getGamepads()[gamepad.index];
+
+      if (pad) {
+        const settings = settingsRef.current;
+
+        // Only re-render when the rounded axis values actually change
+        const next = readGamepadAxes(pad, settings);
+        setAxes(current => (sameAxes(current, next) ? current : next));
+
+        // Fire each mapped button once on press, not on every frame it is held
+        Object.entries(settings.buttons).forEach(([action, index]) => {
+          const pressed = pad.buttons[index]?.pressed;
+          if (pressed && !pressedRef.current.has(action)) {
+            pressedRef.current.add(action);
+            settings.onButton?.(action);
+          } else if (!pressed) {
+            pressedRef.current.delete(action);
+          }
+        });
+      }
+
+      frame = requestAnimationFrame(poll);
+    };
+
+    // Animation frames stop in background tabs, so center the sticks instead of leaving them frozen
+    const handleVisibilityChange = () => {
+      if (document.hidden) setAxes(CENTERED);
+    };
+
+    frame = requestAnimationFrame(poll);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      cancelAnimationFrame(frame);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [gamepad]);
+
+  return { gamepad, axes };
+}
@@ -0,0 +1,27 @@
+import { useEffect } from 'react';
+import { useSelector } from 'react-redux';
+import { getDroneApi } from '@utils/droneApi';
+
+// Several beats fit in the default 15 s link-loss timeout, so a dropped request or two does not land the drone
+const HEARTBEAT_INTERVAL = 2000;
+
+// Tells the server a pilot is at the controls of the selected drone. Its link-loss failsafe only counts
+// control input, and a pilot hovering in step mode sends none; viewers without this UI don't count at all.
+export function usePilotHeartbeat() {
+    const { droneConnected } = useSelector(state => state.drone);
+    const { selectedDroneId } = useSelector(state => state.fleet);
+
+    useEffect(() => {
+        if (!droneConnected) return;
+
+        const { heartbeat } = getDroneApi(selectedDroneId);
+        const beat = () => fetch(heartbeat, { method: 'POST' }).catch(error => {
+            // A missed beat is only a problem once the failsafe says so, no need for the error toast
+            console.error('Failed to send pilot heartbeat:', error);
+        });
+
+        beat();
+        const timer = setInterval(beat, HEARTBEAT_INTERVAL);
+        return () => clearInterval(timer);
+    }, [droneConnected, selectedDroneId]);
+}
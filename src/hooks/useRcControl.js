@@ -0,0 +1,43 @@
+import { useEffect } from 'react';
+
+// How often held sticks are re-posted so the server's input watchdog knows the pilot is still there
+const HEARTBEAT_INTERVAL = 200;
+
+const postSticks = async (path, axes) => {
+  try {
+    await fetch(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(axes)
+    });
+  } catch (error) {
+    // Sent many times a second, so log instead of flashing the error toast
+    console.error('Failed to send stick input:', error);
+  }
+};
+
+// Streams the four rc axes to the server while stick mode is enabled.
+// The server repeats them to the drone at a fixed rate; we only post changes plus a heartbeat.
+// path is the rc endpoint of the selected drone, switching drones centers the sticks of the one left behind.
+export function useRcControl({ a, b, c, d }, enabled, path = '/drone/rc') {
+  useEffect(() => {
+    if (!enabled) return;
+
+    const axes = { a, b, c, d };
+    postSticks(path, axes);
+
+    const centered = a === 0 && b === 0 && c === 0 && d === 0;
+    if (centered) return;
+
+    const heartbeat = setInterval(() => postSticks(path, axes), HEARTBEAT_INTERVAL);
+    return () => clearInterval(heartbeat);
+  }, [a, b, c, d, enabled, path]);
+
+  // Center the sticks when stick mode is switched off or the component goes away
+  useEffect(() => {
+    if (!enabled) return;
+    return () => {
+      postSticks(path, { a: 0, b: 0, c: 0, d: 0 });
+    };
+  }, [enabled, path]);
+}
@@ -0,0 +1,26 @@
+import { useEffect } from 'react';
+import { useDispatch } from 'react-redux';
+import { setServerConfig } from '@/store/slices/configSlice';
+import { setError } from '@/store/slices/droneSlice';
+
+// Fetches the server's client settings (ports, video size) once on startup
+export function useServerConfig() {
+    const dispatch = useDispatch();
+
+    useEffect(() => {
+        const loadConfig = async () => {
+            try {
+                const response = await fetch('/config');
+                if (!response.ok) {
+                    throw new Error(`Server answered ${response.status}`);
+                }
+                dispatch(setServerConfig(await response.json()));
+            } catch (error) {
+                console.error('Failed to load server config:', error);
+                dispatch(setError(`Failed to load server config: ${error.message}`));
+            }
+        };
+
+        loadConfig();
+    }, [dispatch]);
+}
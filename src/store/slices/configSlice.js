@@ -0,0 +1,41 @@
+import { createSlice } from '@reduxjs/toolkit';
+
+// Mirrors GET /config. The defaults match the server's own defaults so the UI can render before it loads.
+const initialState = {
+  loaded: false,
+  port: 3000,          // Express: API and state stream
+  streamPort: 3001,    // WebSocket video stream
+  stateStreamRateHz: 5,
+  video: {
+    width: 640,
+    height: 480,
+    frameRate: 30,
+    defaultProfile: 'high', // quality profile the server gives viewers that do not pick one
+    profiles: {             // size and rate of each quality profile
+      low: { width: 320, height: 240, frameRate: 15 },
+      medium: { width: 480, height: 360, frameRate: 25 },
+      high: { width: 640, height: 480, frameRate: 30 },
+      original: { width: 960, height: 720, frameRate: 30 }
+    }
+  },
+  webrtc: {
+    enabled: true      // the server offers WebRTC video, see VideoPlayer
+  },
+  provisioning: {
+    subnet: '192.168.1.0/24' // scanned for drones that joined the shared network
+  }
+};
+
+export const configSlice = createSlice({
+  name: 'config',
+  initialState,
+  reducers: {
+    setServerConfig: (state, action) => {
+      return { ...state, ...action.payload, loaded: true };
+    }
+  }
+});
+
+export const { setServerConfig } = configSlice.actions;
+
+export default configSlice.reducer;
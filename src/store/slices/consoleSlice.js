@@ -0,0 +1,62 @@
+import { createSlice, nanoid } from '@reduxjs/toolkit';
+
+export const HISTORY_STORAGE_KEY = 'tello.console.history';
+const MAX_HISTORY = 100;
+const MAX_ENTRIES = 200;
+
+// History survives reloads; a broken or missing entry in localStorage just starts it empty
+const loadHistory = () => {
+  try {
+    const history = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY));
+    return Array.isArray(history) ? history.filter(command => typeof command === 'string') : [];
+  } catch {
+    return [];
+  }
+};
+
+const initialState = {
+  panelOpen: false,
+  history: loadHistory(), // sent commands, oldest first, without repeats in a row
+  entries: []             // log: { id, t, droneId, command, status: 'pending' | 'ok' | 'error' | 'invalid', response, latency, droneLatency }
+};
+
+export const consoleSlice = createSlice({
+  name: 'console',
+  initialState,
+  reducers: {
+    toggleConsole: (state) => {
+      state.panelOpen = !state.panelOpen;
+    },
+    // payload: { command, droneId, status?, response? }; invalid commands are logged without being sent
+    logCommand: {
+      reducer: (state, action) => {
+        state.entries = [...state.entries, action.payload].slice(-MAX_ENTRIES);
+        const { command } = action.payload;
+        if (state.history[state.history.length - 1] !== command) {
+          state.history = [...state.history, command].slice(-MAX_HISTORY);
+        }
+      },
+      prepare: ({ command, droneId, status = 'pending', response = null }) => ({
+        payload: { id: nanoid(), t: Date.now(), command, droneId, status, response, latency: null, droneLatency: null }
+      })
+    },
+    // payload: { id, status, response, latency, droneLatency }
+    resolveCommand: (state, action) => {
+      const { id, ...result } = action.payload;
+      const entry = state.entries.find(candidate => candidate.id === id);
+      if (entry) Object.assign(entry, result);
+    },
+    clearConsole: (state) => {
+      state.entries = [];
+    }
+  }
+});
+
+export const {
+  toggleConsole,
+  logCommand,
+  resolveCommand,
+  clearConsole
+} = consoleSlice.actions;
+
+export default consoleSlice.reducer;
@@ -7,10 +7,26 @@ const initialState = {
   recordingFiles: null,
   error: null,
   retryAttempts: 0,
+  failsafeAlerts: [], // server failsafe events, newest last, until dismissed
   droneState: {
     battery: null,
     speed: null,
     time: null,
+    pitch: null,  // attitude in degrees
+    roll: null,
+    yaw: null,
+    vgx: null,    // velocity in dm/s
+    vgy: null,
+    vgz: null,
+    templ: null,  // lowest / highest temperature in °C
+    temph: null,
+    tof: null,    // time-of-flight distance in cm
+    h: null,      // height relative to takeoff in cm
+    baro: null,   // barometer altitude in m
+    agx: null,    // acceleration in 0.001g
+    agy: null,
+    agz: null,
+    replay: false, // true while the server plays back a recorded flight log
     lastUpdate: null
   }
 };
@@ -44,7 +60,22 @@ export const droneSlice = createSlice({
       state.retryAttempts = 0;
     },
     setDroneState: (state, action) => {
-      state.droneState = action.payload;
+      state.droneState = { ...state.droneState, ...action.payload };
+    },
+    // A different drone was selected, nothing of the previous one's telemetry applies
+    resetDroneState: (state) => {
+      state.droneState = initialState.droneState;
+      state.failsafeAlerts = [];
+    },
+    // One alert per failsafe type, a repeat replaces the older one
+    addFailsafeAlert: (state, action) => {
+      state.failsafeAlerts = [
+        ...state.failsafeAlerts.filter(alert => alert.type !== action.payload.type),
+        action.payload
+      ];
+    },
+    dismissFailsafeAlert: (state, action) => {
+      state.failsafeAlerts = state.failsafeAlerts.filter(alert => alert.type !== action.payload);
     }
   }
 });
@@ -57,7 +88,10 @@ export const {
   setError,
   incrementRetryAttempts,
   resetRetryAttempts,
-  setDroneState
+  setDroneState,
+  resetDroneState,
+  addFailsafeAlert,
+  dismissFailsafeAlert
 } = droneSlice.actions;
 
 export default droneSlice.reducer; 
\ No newline at end of file
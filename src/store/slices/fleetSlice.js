@@ -0,0 +1,41 @@
+import { createSlice } from '@reduxjs/toolkit';
+
+const initialState = {
+  drones: [],             // fleet drones from GET /drones: { id, ip, name, connected, streaming, recording, state }
+  selectedDroneId: null,  // null flies the primary drone, otherwise the IP of a fleet drone
+  view: 'single',         // 'single' shows the selected drone, 'grid' every video feed
+  // The drone slice only tracks the selected drone, so the primary's flags are kept here while it is not
+  primaryStatus: {
+    droneConnected: false,
+    streamEnabled: false,
+    isRecording: false
+  }
+};
+
+export const fleetSlice = createSlice({
+  name: 'fleet',
+  initialState,
+  reducers: {
+    setFleetDrones: (state, action) => {
+      state.drones = action.payload;
+    },
+    selectDrone: (state, action) => {
+      state.selectedDroneId = action.payload;
+    },
+    setFleetView: (state, action) => {
+      state.view = action.payload;
+    },
+    savePrimaryStatus: (state, action) => {
+      state.primaryStatus = action.payload;
+    }
+  }
+});
+
+export const {
+  setFleetDrones,
+  selectDrone,
+  setFleetView,
+  savePrimaryStatus
+} = fleetSlice.actions;
+
+export default fleetSlice.reducer;
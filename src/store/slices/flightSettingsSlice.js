@@ -0,0 +1,57 @@
+import { createSlice } from '@reduxjs/toolkit';
+import { DEFAULT_GAMEPAD_BUTTONS } from '@utils/gamepad';
+import { FLIGHT_PRESETS, clampSetting, loadFlightSettings } from '@utils/flightSettings';
+
+const defaults = {
+  controlMode: 'step', // 'step' sends discrete moves per keypress, 'stick' streams rc axes while keys are held
+  stickSpeed: 50,      // stick deflection (0-100) applied while a key is held in stick mode
+  stepDistance: 20,    // cm per W/A/S/D or ↑/↓ press in step mode
+  stepAngle: 45,       // degrees per ←/→ press in step mode
+  droneSpeed: 50,      // cm/s, sent to the drone as 'speed x'
+  preset: null,        // key of FLIGHT_PRESETS while its values are untouched
+  gamepad: {
+    layout: 'mode2',     // key of GAMEPAD_LAYOUTS
+    deadZone: 0.12,      // fraction of stick travel ignored around center
+    expo: 0.3,           // 0 linear .. 1 fully cubic
+    buttons: DEFAULT_GAMEPAD_BUTTONS
+  }
+};
+
+// Persisted by store.js, so the last settings come back after a reload
+const initialState = loadFlightSettings(defaults);
+
+export const flightSettingsSlice = createSlice({
+  name: 'flightSettings',
+  initialState,
+  reducers: {
+    setControlMode: (state, action) => {
+      state.controlMode = action.payload;
+    },
+    setStickSpeed: (state, action) => {
+      state.stickSpeed = Math.max(10, Math.min(100, action.payload));
+    },
+    // payload: { name: 'stepDistance' | 'stepAngle' | 'droneSpeed', value }
+    setFlightSetting: (state, action) => {
+      const { name, value } = action.payload;
+      state[name] = clampSetting(name, value);
+      state.preset = null;
+    },
+    applyFlightPreset: (state, action) => {
+      const { stepDistance, stepAngle, droneSpeed } = FLIGHT_PRESETS[action.payload];
+      Object.assign(state, { stepDistance, stepAngle, droneSpeed, preset: action.payload });
+    },
+    setGamepadSettings: (state, action) => {
+      state.gamepad = { ...state.gamepad, ...action.payload };
+    }
+  }
+});
+
+export const {
+  setControlMode,
+  setStickSpeed,
+  setFlightSetting,
+  applyFlightPreset,
+  setGamepadSettings
+} = flightSettingsSlice.actions;
+
+export default flightSettingsSlice.reducer;
@@ -0,0 +1,58 @@
+import { createSlice } from '@reduxjs/toolkit';
+
+const initialState = {
+  galleryOpen: false,
+  filter: 'all',   // 'all' | 'photos' | 'recordings'
+  items: [],       // { type, name, size, createdAt, duration, url } from GET /media
+  loading: false,
+  selected: null   // item shown in the viewer
+};
+
+export const mediaSlice = createSlice({
+  name: 'media',
+  initialState,
+  reducers: {
+    toggleGallery: (state) => {
+      state.galleryOpen = !state.galleryOpen;
+      if (!state.galleryOpen) state.selected = null;
+    },
+    setMediaFilter: (state, action) => {
+      state.filter = action.payload;
+    },
+    setMediaLoading: (state, action) => {
+      state.loading = action.payload;
+    },
+    setMediaItems: (state, action) => {
+      state.items = action.payload;
+      state.loading = false;
+    },
+    removeMediaItem: (state, action) => {
+      const { type, name } = action.payload;
+      state.items = state.items.filter(item => !(item.type === type && item.name === name));
+      if (state.selected?.type === type && state.selected?.name === name) state.selected = null;
+    },
+    // payload: { type, name, item } where item is the renamed file as returned by the server
+    replaceMediaItem: (state, action) => {
+      const { type, name, item } = action.payload;
+      state.items = state.items.map(existing =>
+        existing.type === type && existing.name === name ? item : existing
+      );
+      if (state.selected?.type === type && state.selected?.name === name) state.selected = item;
+    },
+    selectMediaItem: (state, action) => {
+      state.selected = action.payload;
+    }
+  }
+});
+
+export const {
+  toggleGallery,
+  setMediaFilter,
+  setMediaLoading,
+  setMediaItems,
+  removeMediaItem,
+  replaceMediaItem,
+  selectMediaItem
+} = mediaSlice.actions;
+
+export default mediaSlice.reducer;
@@ -0,0 +1,102 @@
+import { createSlice, nanoid } from '@reduxjs/toolkit';
+import { createStep, fromMissionSteps } from '@utils/mission';
+
+const initialState = {
+  panelOpen: false,
+  name: 'Untitled mission',
+  steps: [],        // editor steps, see utils/mission.js
+  progress: null    // last 'mission' event from the server (status, currentStep, step.sourceIndex, ...)
+};
+
+// Finds the array holding the step with this id, searching inside repeat blocks too
+const findParentList = (steps, id) => {
+  if (steps.some(step => step.id === id)) return steps;
+
+  for (const step of steps) {
+    if (step.type === 'repeat') {
+      const found = findParentList(step.steps, id);
+      if (found) return found;
+    }
+  }
+  return null;
+};
+
+const findStep = (steps, id) => findParentList(steps, id)?.find(step => step.id === id) ?? null;
+
+export const missionSlice = createSlice({
+  name: 'mission',
+  initialState,
+  reducers: {
+    toggleMissionPanel: (state) => {
+      state.panelOpen = !state.panelOpen;
+    },
+    setMissionName: (state, action) => {
+      state.name = action.payload;
+    },
+    // payload: { type, parentId } where parentId is an optional repeat block to add into
+    addStep: {
+      reducer: (state, action) => {
+        const { type, parentId, id } = action.payload;
+        const parent = parentId ? findStep(state.steps, parentId) : null;
+        (parent?.steps ?? state.steps).push(createStep(type, id));
+      },
+      prepare: ({ type, parentId = null }) => ({ payload: { type, parentId, id: nanoid() } })
+    },
+    updateStep: (state, action) => {
+      const { id, changes } = action.payload;
+      const step = findStep(state.steps, id);
+      if (step) Object.assign(step, changes);
+    },
+    removeStep: (state, action) => {
+      const list = findParentList(state.steps, action.payload);
+      if (list) list.splice(list.findIndex(step => step.id === action.payload), 1);
+    },
+    // payload: { id, offset } with offset -1 (up) or 1 (down), within the same list
+    moveStep: (state, action) => {
+      const { id, offset } = action.payload;
+      const list = findParentList(state.steps, id);
+      if (!list) return;
+
+      const from = list.findIndex(step => step.id === id);
+      const to = from + offset;
+      if (to < 0 || to >= list.length) return;
+
+      const [step] = list.splice(from, 1);
+      list.splice(to, 0, step);
+    },
+    clearMission: (state) => {
+      state.name = initialState.name;
+      state.steps = [];
+    },
+    // payload: a mission in the server format { name, steps }
+    loadMission: {
+      reducer: (state, action) => {
+        state.name = action.payload.name;
+        state.steps = action.payload.steps;
+      },
+      prepare: (mission) => ({
+        payload: {
+          name: mission.name ?? initialState.name,
+          steps: fromMissionSteps(mission.steps ?? [], nanoid)
+        }
+      })
+    },
+    setMissionProgress: (state, action) => {
+      state.progress = action.payload;
+    }
+  }
+});
+
+export const {
+  toggleMissionPanel,
+  setMissionName,
+  addStep,
+  updateStep,
+  removeStep,
+  moveStep,
+  clearMission,
+  loadMission,
+  setMissionProgress
+} = missionSlice.actions;
+
+export default missionSlice.reducer;
@@ -0,0 +1,50 @@
+import { createSlice, nanoid } from '@reduxjs/toolkit';
+import { loadVideoSettings } from '@utils/videoSettings';
+
+const defaults = {
+  transport: 'auto',     // key of VIDEO_TRANSPORTS, the pilot's choice
+  activeTransport: null, // 'webrtc' | 'jsmpeg' while a player is mounted, after any fallback
+  profile: null,         // JSMpeg quality profile asked for, null for the server's default
+  profileSwitch: null,   // { profile, previous, reason } once the server moved us to a lower profile
+  profileRequests: 0,    // bumped by every pick, so picking the same profile again after a switch reconnects
+  viewerId: nanoid(),    // sent with the WebSocket URL, tells our 'video-profile' events apart from others'
+  restream: null         // the selected drone's RTMP/SRT push, as GET /video/restream and 'restream' events report it
+};
+
+// The transport and profile choices are persisted by store.js
+const initialState = loadVideoSettings(defaults);
+
+export const videoSlice = createSlice({
+  name: 'video',
+  initialState,
+  reducers: {
+    setVideoTransport: (state, action) => {
+      state.transport = action.payload;
+    },
+    setActiveTransport: (state, action) => {
+      state.activeTransport = action.payload;
+    },
+    // Reconnects the JSMpeg player, which starts over on the chosen profile
+    setVideoProfile: (state, action) => {
+      state.profile = action.payload;
+      state.profileSwitch = null;
+      state.profileRequests += 1;
+    },
+    setProfileSwitch: (state, action) => {
+      state.profileSwitch = action.payload;
+    },
+    setRestreamStatus: (state, action) => {
+      state.restream = action.payload;
+    }
+  }
+});
+
+export const {
+  setVideoTransport,
+  setActiveTransport,
+  setVideoProfile,
+  setProfileSwitch,
+  setRestreamStatus
+} = videoSlice.actions;
+
+export default videoSlice.reducer;
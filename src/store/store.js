@@ -1,10 +1,41 @@
 import { configureStore } from '@reduxjs/toolkit';
 import droneReducer from './slices/droneSlice';
+import flightSettingsReducer from './slices/flightSettingsSlice';
+import missionReducer from './slices/missionSlice';
+import mediaReducer from './slices/mediaSlice';
+import configReducer from './slices/configSlice';
+import fleetReducer from './slices/fleetSlice';
+import consoleReducer from './slices/consoleSlice';
+import videoReducer from './slices/videoSlice';
+import { FLIGHT_SETTINGS_STORAGE_KEY } from '@utils/flightSettings';
+import { VIDEO_SETTINGS_STORAGE_KEY } from '@utils/videoSettings';
 
 export const store = configureStore({
   reducer: {
-    drone: droneReducer
+    drone: droneReducer,
+    flightSettings: flightSettingsReducer,
+    mission: missionReducer,
+    media: mediaReducer,
+    config: configReducer,
+    fleet: fleetReducer,
+    console: consoleReducer,
+    video: videoReducer
   }
 });
 
-export default store; 
\ No newline at end of file
+// Flight settings and the video choices survive reloads; only write when they actually changed
+let savedFlightSettings = store.getState().flightSettings;
+let savedVideo = store.getState().video;
+store.subscribe(() => {
+  const { flightSettings, video } = store.getState();
+  if (flightSettings !== savedFlightSettings) {
+    savedFlightSettings = flightSettings;
+    localStorage.setItem(FLIGHT_SETTINGS_STORAGE_KEY, JSON.stringify(flightSettings));
+  }
+  if (video.transport !== savedVideo.transport || video.profile !== savedVideo.profile) {
+    savedVideo = video;
+    localStorage.setItem(VIDEO_SETTINGS_STORAGE_KEY, JSON.stringify({ transport: video.transport, profile: video.profile }));
+  }
+});
+
+export default store; 
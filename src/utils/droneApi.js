@@ -0,0 +1,32 @@
+// Endpoints of the drone the UI is flying. null is the primary drone with the classic single-drone routes,
+// anything else is the IP of a fleet drone, served under /drones/:id.
+export const getDroneApi = (droneId) => {
+  if (!droneId) {
+    return {
+      command: (command) => `/drone/${encodeURIComponent(command)}`, // read commands end in '?'
+      rc: '/drone/rc',
+      heartbeat: '/drone/heartbeat', // tells the link-loss failsafe a pilot is at the controls
+      capturePhoto: '/capture-photo',
+      startRecording: '/start-recording',
+      stopRecording: '/stop-recording',
+      stateStream: '/drone-state-stream',
+      videoStream: '', // path on the WebSocket port
+      webrtc: '/video/webrtc',
+      restream: '/video/restream'
+    };
+  }
+
+  const base = `/drones/${encodeURIComponent(droneId)}`;
+  return {
+    command: (command) => `${base}/command/${encodeURIComponent(command)}`,
+    rc: `${base}/rc`,
+    heartbeat: `${base}/heartbeat`,
+    capturePhoto: `${base}/capture-photo`,
+    startRecording: `${base}/start-recording`,
+    stopRecording: `${base}/stop-recording`,
+    stateStream: `${base}/state-stream`,
+    videoStream: base,
+    webrtc: `${base}/video/webrtc`,
+    restream: `${base}/video/restream`
+  };
+};
@@ -0,0 +1,32 @@
+// Step sizes and drone speed for keyboard flying. Ranges follow the SDK: moves 20-500 cm, turns 1-360°,
+// 'speed' 10-100 cm/s.
+
+export const FLIGHT_SETTING_RANGES = {
+  stepDistance: { min: 20, max: 500, step: 10, unit: 'cm' },
+  stepAngle: { min: 1, max: 360, step: 1, unit: '°' },
+  droneSpeed: { min: 10, max: 100, step: 5, unit: 'cm/s' }
+};
+
+export const FLIGHT_PRESETS = {
+  indoorPrecise: { label: 'Indoor precise', stepDistance: 20, stepAngle: 15, droneSpeed: 20 },
+  standard: { label: 'Standard', stepDistance: 50, stepAngle: 45, droneSpeed: 50 },
+  outdoorFast: { label: 'Outdoor fast', stepDistance: 200, stepAngle: 90, droneSpeed: 100 }
+};
+
+export const clampSetting = (name, value) => {
+  const { min, max } = FLIGHT_SETTING_RANGES[name];
+  return Math.max(min, Math.min(max, Math.round(value)));
+};
+
+export const FLIGHT_SETTINGS_STORAGE_KEY = 'tello.flightSettings';
+
+// Saved settings over the defaults; anything unreadable falls back to the defaults
+export const loadFlightSettings = (defaults) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(FLIGHT_SETTINGS_STORAGE_KEY));
+    if (!saved || typeof saved !== 'object') return defaults;
+    return { ...defaults, ...saved, gamepad: { ...defaults.gamepad, ...saved.gamepad } };
+  } catch {
+    return defaults;
+  }
+};
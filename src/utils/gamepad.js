@@ -0,0 +1,55 @@
+// Gamepad helpers for the browser Gamepad API ("standard" mapping: axes 0/1 = left stick, 2/3 = right stick)
+
+// Which gamepad axis drives each rc channel. Stick Y axes report -1 when pushed up, hence the inverts.
+export const GAMEPAD_LAYOUTS = {
+  mode2: {
+    label: 'Mode 2 (throttle left)',
+    axes: {
+      a: { axis: 2, invert: false }, // right stick X: left/right
+      b: { axis: 3, invert: true },  // right stick Y: forward/back
+      c: { axis: 1, invert: true },  // left stick Y: up/down
+      d: { axis: 0, invert: false }  // left stick X: yaw
+    }
+  },
+  mode1: {
+    label: 'Mode 1 (throttle right)',
+    axes: {
+      a: { axis: 2, invert: false },
+      b: { axis: 1, invert: true },
+      c: { axis: 3, invert: true },
+      d: { axis: 0, invert: false }
+    }
+  }
+};
+
+// Standard mapping button indices: 0 A/Cross, 1 B/Circle, 2 X/Square, 3 Y/Triangle, 8 Back/Share
+export const DEFAULT_GAMEPAD_BUTTONS = {
+  takeoff: 0,
+  land: 1,
+  photo: 2,
+  record: 3,
+  emergency: 8
+};
+
+// Values inside the dead-zone read as zero, the rest is rescaled so output still starts at 0
+export const applyDeadZone = (value, deadZone) => {
+  const magnitude = Math.abs(value);
+  if (magnitude <= deadZone) return 0;
+  return Math.sign(value) * (magnitude - deadZone) / (1 - deadZone);
+};
+
+// Blend of linear and cubic response: 0 is linear, 1 is fully cubic (fine control around center)
+export const applyExpo = (value, expo) => {
+  return (1 - expo) * value + expo * value * value * value;
+};
+
+// Read the four rc channels (-maxOutput..maxOutput) from a gamepad
+export const readGamepadAxes = (gamepad, { layout, deadZone, expo, maxOutput }) => {
+  const mapping = GAMEPAD_LAYOUTS[layout]?.axes ?? GAMEPAD_LAYOUTS.mode2.axes;
+
+  return Object.fromEntries(Object.entries(mapping).map(([channel, { axis, invert }]) => {
+    const raw = gamepad.axes[axis] ?? 0;
+    const shaped = applyExpo(applyDeadZone(raw, deadZone), expo);
+    return [channel, Math.round((invert ? -shaped : shaped) * maxOutput)];
+  }));
+};
@@ -0,0 +1,122 @@
+import { validateCommand } from '@shared/telloCommands';
+
+// Mission editor step model and conversion to/from the server's mission format.
+// Editor steps look like { id, type, value } (value only for types with a parameter),
+// { id, type: 'custom', command } or { id, type: 'repeat', value, steps: [...] }.
+
+export const STEP_TYPES = {
+  takeoff: { label: 'Takeoff' },
+  land: { label: 'Land' },
+  up: { label: 'Up', param: { name: 'distance', min: 20, max: 500, unit: 'cm', default: 50 } },
+  down: { label: 'Down', param: { name: 'distance', min: 20, max: 500, unit: 'cm', default: 50 } },
+  forward: { label: 'Forward', param: { name: 'distance', min: 20, max: 500, unit: 'cm', default: 100 } },
+  back: { label: 'Back', param: { name: 'distance', min: 20, max: 500, unit: 'cm', default: 100 } },
+  left: { label: 'Left', param: { name: 'distance', min: 20, max: 500, unit: 'cm', default: 100 } },
+  right: { label: 'Right', param: { name: 'distance', min: 20, max: 500, unit: 'cm', default: 100 } },
+  cw: { label: 'Rotate CW', param: { name: 'angle', min: 1, max: 360, unit: '°', default: 90 } },
+  ccw: { label: 'Rotate CCW', param: { name: 'angle', min: 1, max: 360, unit: '°', default: 90 } },
+  wait: { label: 'Wait', param: { name: 'seconds', min: 0.1, max: 300, unit: 's', default: 2, step: 0.1 } },
+  photo: { label: 'Photo' },
+  recordStart: { label: 'Start recording' },
+  recordStop: { label: 'Stop recording' },
+  repeat: { label: 'Repeat', param: { name: 'times', min: 1, max: 100, unit: '×', default: 4 } },
+  custom: { label: 'SDK command' }
+};
+
+const MOVE_TYPES = ['up', 'down', 'forward', 'back', 'left', 'right', 'cw', 'ccw'];
+
+export const createStep = (type, id) => {
+  const { param } = STEP_TYPES[type];
+  return {
+    id,
+    type,
+    ...(param && { value: param.default }),
+    ...(type === 'custom' && { command: '' }),
+    ...(type === 'repeat' && { steps: [] })
+  };
+};
+
+// Returns { [stepId]: message } for every invalid step, empty when the mission can be uploaded
+export const validateMissionSteps = (steps, nested = false) => {
+  const errors = {};
+
+  if (!nested && steps.length === 0) {
+    errors.mission = 'Add at least one step';
+  }
+
+  steps.forEach(step => {
+    const { param } = STEP_TYPES[step.type] ?? {};
+
+    if (!STEP_TYPES[step.type]) {
+      errors[step.id] = `Unknown step type '${step.type}'`;
+    } else if (param && (!Number.isFinite(step.value) || step.value < param.min || step.value > param.max)) {
+      errors[step.id] = `${param.name} must be between ${param.min} and ${param.max}${param.unit}`;
+    } else if (param && param.name !== 'seconds' && !Number.isInteger(step.value)) {
+      errors[step.id] = `${param.name} must be a whole number`;
+    } else if (step.type === 'custom' && !step.command?.trim()) {
+      errors[step.id] = 'Enter an SDK command';
+    } else if (step.type === 'custom' && validateCommand(step.command).error) {
+      errors[step.id] = validateCommand(step.command).error.message;
+    } else if (step.type === 'repeat') {
+      if (step.steps.length === 0) {
+        errors[step.id] = 'Repeat needs at least one step';
+      }
+      Object.assign(errors, validateMissionSteps(step.steps, true));
+    }
+  });
+
+  return errors;
+};
+
+// Editor steps -> server mission steps
+export const toMissionSteps = (steps) => steps.map(step => {
+  if (MOVE_TYPES.includes(step.type)) return { type: 'command', command: `${step.type} ${step.value}` };
+
+  switch (step.type) {
+    case 'takeoff':
+    case 'land':
+      return { type: 'command', command: step.type };
+    case 'custom':
+      return { type: 'command', command: step.command.trim() };
+    case 'wait':
+      return { type: 'wait', seconds: step.value };
+    case 'photo':
+      return { type: 'photo' };
+    case 'recordStart':
+      return { type: 'record', action: 'start' };
+    case 'recordStop':
+      return { type: 'record', action: 'stop' };
+    case 'repeat':
+      return { type: 'repeat', times: step.value, steps: toMissionSteps(step.steps) };
+    default:
+      throw new Error(`Unknown step type '${step.type}'`);
+  }
+});
+
+// Server mission steps -> editor steps. Commands the editor has no control for become 'custom' steps.
+export const fromMissionSteps = (steps, createId) => steps.map(step => {
+  const id = createId();
+
+  switch (step.type) {
+    case 'command': {
+      const [name, arg, ...rest] = step.command.trim().split(/\s+/);
+      if ((name === 'takeoff' || name === 'land') && arg === undefined) {
+        return { id, type: name };
+      }
+      if (MOVE_TYPES.includes(name) && arg !== undefined && rest.length === 0 && Number.isFinite(Number(arg))) {
+        return { id, type: name, value: Number(arg) };
+      }
+      return { id, type: 'custom', command: step.command };
+    }
+    case 'wait':
+      return { id, type: 'wait', value: step.seconds };
+    case 'photo':
+      return { id, type: 'photo' };
+    case 'record':
+      return { id, type: step.action === 'stop' ? 'recordStop' : 'recordStart' };
+    case 'repeat':
+      return { id, type: 'repeat', value: step.times, steps: fromMissionSteps(step.steps ?? [], createId) };
+    default:
+      throw new Error(`Unknown step type '${step.type}'`);
+  }
+});
@@ -0,0 +1,53 @@
+// How the main video reaches the browser. WebRTC carries the drone's own H.264 with the lowest latency,
+// JSMpeg the server's MPEG-1 transcode over a WebSocket, which works everywhere.
+
+export const VIDEO_TRANSPORTS = {
+  auto: { label: 'Auto', hint: 'WebRTC when the server and browser support it, JSMpeg otherwise' },
+  webrtc: { label: 'WebRTC', hint: 'Original H.264, lowest latency; falls back to JSMpeg if it cannot connect' },
+  jsmpeg: { label: 'JSMpeg', hint: 'MPEG-1 over WebSocket, transcoded by the server' }
+};
+
+// Quality profiles of the JSMpeg stream, worst to best; sizes come from the server's /config
+export const VIDEO_PROFILE_LABELS = {
+  low: 'Low',
+  medium: 'Medium',
+  high: 'High',
+  original: 'Original'
+};
+
+// States of the RTMP/SRT restream as the server reports them
+export const RESTREAM_STATES = {
+  connecting: { label: 'Connecting', className: 'text-amber-300' },
+  live: { label: 'Live', className: 'text-emerald-400' },
+  reconnecting: { label: 'Reconnecting', className: 'text-amber-300' },
+  stopped: { label: 'Stopped', className: 'text-white/50' }
+};
+
+// 75000 -> '1:15', 3725000 -> '1:02:05'
+export const formatUptime = (ms) => {
+  const seconds = Math.floor(ms / 1000);
+  const parts = [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60];
+  const [hours, ...rest] = parts;
+  return [...(hours > 0 ? [hours] : []), ...rest]
+    .map((part, index) => (index === 0 ? String(part) : String(part).padStart(2, '0')))
+    .join(':');
+};
+
+export const VIDEO_SETTINGS_STORAGE_KEY = 'tello.videoSettings';
+
+export const isWebRtcSupported = () => typeof window !== 'undefined' && 'RTCPeerConnection' in window;
+
+// Saved settings over the defaults; anything unreadable or unknown falls back to the defaults
+export const loadVideoSettings = (defaults) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(VIDEO_SETTINGS_STORAGE_KEY));
+    if (!saved || typeof saved !== 'object') return defaults;
+    return {
+      ...defaults,
+      transport: Object.hasOwn(VIDEO_TRANSPORTS, saved.transport) ? saved.transport : defaults.transport,
+      profile: Object.hasOwn(VIDEO_PROFILE_LABELS, saved.profile) ? saved.profile : defaults.profile
+    };
+  } catch {
+    return defaults;
+  }
+};
@@ -8,9 +8,28 @@ class ServerState {
                 battery: null,
                 speed: null,
                 time: null,
+                // Telemetry pushed by the drone on the state port (8890)
+                pitch: null,
+                roll: null,
+                yaw: null,
+                vgx: null,
+                vgy: null,
+                vgz: null,
+                templ: null,
+                temph: null,
+                tof: null,
+                h: null,
+                baro: null,
+                agx: null,
+                agy: null,
+                agz: null,
                 lastUpdate: null
             },
-            monitoringInterval: null
+            monitoringInterval: null,
+            stateBroadcast: {
+                interval: null,    // timer pushing state to SSE clients at a fixed rate
+                lastSentUpdate: null
+            }
         };
 
         this.video = {
@@ -22,6 +41,9 @@ class ServerState {
                 active: false,
                 process: null,  // Separate FFmpeg process for MP4 recording
                 filePath: null,
+            },
+            live: {
+                output: null,   // LiveOutput writing the HLS/DASH window, set once at startup
             }
         };
 
@@ -38,6 +60,10 @@ class ServerState {
         this.drone.connected = status;
     }
 
+    isDroneConnected() {
+        return this.drone.connected;
+    }
+
     setLastCommand(command) {
         this.drone.lastCommand = command;
     }
@@ -47,10 +73,31 @@ class ServerState {
         this.drone.state.lastUpdate = Date.now();
     }
 
+    // Merge a whole telemetry packet into the drone state
+    updateDroneStateFields(fields) {
+        Object.entries(fields).forEach(([key, value]) => {
+            this.updateDroneState(key, value);
+        });
+    }
+
     setMonitoringInterval(interval) {
         this.drone.monitoringInterval = interval;
     }
 
+    setStateBroadcastInterval(interval) {
+        this.drone.stateBroadcast.interval = interval;
+    }
+
+    // True when the state changed since the last broadcast, marking it as sent
+    takePendingStateUpdate() {
+        const { lastUpdate } = this.drone.state;
+        if (!lastUpdate || lastUpdate === this.drone.stateBroadcast.lastSentUpdate) {
+            return false;
+        }
+        this.drone.stateBroadcast.lastSentUpdate = lastUpdate;
+        return true;
+    }
+
     // Video streaming state methods
     setVideoStreamProcess(process) {
         this.video.stream.process = process;
@@ -93,6 +140,15 @@ class ServerState {
         return this.video.recording.filePath;
     }
 
+    // Live HLS/DASH output methods
+    setLiveOutput(output) {
+        this.video.live.output = output;
+    }
+
+    getLiveOutput() {
+        return this.video.live.output;
+    }
+
     // SSE client methods
     addSSEClient(clientId, sendFunction) {
         this.sseClients.set(clientId, sendFunction);
@@ -114,6 +170,17 @@ class ServerState {
         });
     }
 
+    // Same as broadcastSSEUpdate but as a named SSE event, for everything that is not drone state
+    broadcastSSEEvent(event, data) {
+        this.sseClients.forEach(sendFunction => {
+            try {
+                sendFunction(data, event);
+            } catch (error) {
+                console.error(`Error sending SSE '${event}' event:`, error);
+            }
+        });
+    }
+
     // WebSocket client methods
     addClient(ws) {
         ws.clientId = this.websocket.nextClientId++; // use 1 then increment to 2 post increment operator (X++)
@@ -148,6 +215,11 @@ class ServerState {
         if (this.drone.monitoringInterval) {
             clearInterval(this.drone.monitoringInterval);
         }
+
+        if (this.drone.stateBroadcast.interval) {
+            clearInterval(this.drone.stateBroadcast.interval);
+            this.drone.stateBroadcast.interval = null;
+        }
         
         // Clean up streaming FFmpeg process
         if (this.video.stream.process) {
@@ -165,6 +237,9 @@ class ServerState {
             this.video.recording.filePath = null;
         }
 
+        // Stop the live output and remove its segments and playlist
+        this.video.live.output?.stop();
+
         // Clean up WebSocket clients (for video)
         this.websocket.clients.forEach(client => {
             try {